@@ -7,19 +7,50 @@ class PlanningValidationApp {
     constructor() {
         this.planningEngine = new PlanningEngine();
         this.validationEngine = new ValidationEngine();
+        this.reportRenderer = new ReportRenderer();
+        this.reportExporter = new ReportExporter(this.reportRenderer);
+        this.runComparison = new RunComparison(this.reportRenderer);
+        this.workspace = new ProjectWorkspace();
+        this.workspaceBundle = new WorkspaceBundle(this.workspace);
+        this.templateLibrary = new TemplateLibrary(this.planningEngine.zoneRequirements);
+        this.editingTemplateId = null;
+        this.formHistories = { planning: new FormHistory(), validation: new FormHistory() };
+        this.formCommitTimers = {};
         this.currentMode = 'planning';
         this.currentWorkflow = null;
-        this.templates = this.loadTemplates();
+        this.currentProjectId = null;
+        this.templates = [];
 
         this.initializeApp();
     }
 
     initializeApp() {
         this.setupEventListeners();
-        this.loadTemplates();
+        this.setupFormHistory();
+        this.openWorkspace().then(() => this.restoreSession());
         this.setupModeToggle();
     }
 
+    // Opens the project workspace, bringing over data saved by earlier versions
+    async openWorkspace() {
+        try {
+            await this.workspace.open();
+        } catch (error) {
+            console.error('Project workspace unavailable, keeping projects in memory:', error);
+            this.workspace = new ProjectWorkspace(new MemoryStore(Object.values(ProjectWorkspace.STORES)));
+            this.workspaceBundle = new WorkspaceBundle(this.workspace);
+            await this.workspace.open();
+        }
+
+        try {
+            await this.workspace.migrateLegacyStorage(localStorage);
+        } catch (error) {
+            console.error('Could not migrate saved templates and runs:', error);
+        }
+
+        this.templates = await this.workspace.listTemplates();
+    }
+
     setupEventListeners() {
         // Mode switching - more robust event handling
         document.querySelectorAll('.mode-btn').forEach(btn => {
@@ -72,6 +103,61 @@ class PlanningValidationApp {
             this.saveTemplate();
         });
 
+        document.getElementById('cancelTemplateEdit').addEventListener('click', () => {
+            this.resetTemplateForm();
+            this.switchTemplateTab('load');
+        });
+
+        document.getElementById('templateSearch').addEventListener('input', () => {
+            this.loadTemplateList();
+        });
+
+        // Project management
+        document.getElementById('projectsBtn').addEventListener('click', () => {
+            this.showProjectModal();
+        });
+
+        document.getElementById('closeProjectModal').addEventListener('click', () => {
+            this.hideProjectModal();
+        });
+
+        document.getElementById('projectSearch').addEventListener('input', () => {
+            this.loadProjectList();
+        });
+
+        document.getElementById('showArchivedProjects').addEventListener('change', () => {
+            this.loadProjectList();
+        });
+
+        document.getElementById('projectModal').addEventListener('click', (e) => {
+            if (e.target.id === 'projectModal') {
+                this.hideProjectModal();
+            }
+        });
+
+        // Template and project files
+        ['importTemplatesBtn', 'importProjectsBtn'].forEach(id => {
+            document.getElementById(id).addEventListener('click', () => {
+                document.getElementById('workspaceImportFile').click();
+            });
+        });
+
+        document.getElementById('workspaceImportFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importWorkspaceFile(file);
+            }
+        });
+
+        document.getElementById('exportTemplatesBtn').addEventListener('click', () => {
+            this.exportTemplates();
+        });
+
+        document.getElementById('exportWorkspaceBtn').addEventListener('click', () => {
+            this.exportWorkspace();
+        });
+
         // Report generation buttons
         document.getElementById('generatePlanningReport')?.addEventListener('click', () => {
             this.generatePlanningReport();
@@ -81,6 +167,10 @@ class PlanningValidationApp {
             this.generateValidationReport();
         });
 
+        document.getElementById('generateRevisionSummary')?.addEventListener('click', () => {
+            this.generateRevisionSummary();
+        });
+
         // Template tabs
         document.querySelectorAll('.tab-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -95,6 +185,22 @@ class PlanningValidationApp {
             }
         });
 
+        // Autosave and undo/redo of form edits
+        ['planning', 'validation'].forEach(mode => {
+            const form = document.getElementById(`${mode}Form`);
+            form.addEventListener('input', () => this.scheduleFormCommit(mode));
+            form.addEventListener('change', () => this.commitFormState(mode));
+            form.addEventListener('keydown', (e) => this.handleHistoryShortcut(e, mode));
+
+            document.getElementById(`${mode}UndoBtn`).addEventListener('click', () => this.undoFormEdit(mode));
+            document.getElementById(`${mode}RedoBtn`).addEventListener('click', () => this.redoFormEdit(mode));
+        });
+
+        // Repeatable list rows
+        document.querySelectorAll('[data-add-row]').forEach(button => {
+            button.addEventListener('click', () => this.addListRow(button.form, button.dataset.addRow));
+        });
+
         // Form field changes for validation
         this.setupFormValidation();
     }
@@ -114,11 +220,10 @@ class PlanningValidationApp {
             });
         });
 
-        // Corner lot checkbox handler
-        document.querySelectorAll('input[name="isCornerLot"]').forEach(checkbox => {
-            checkbox.addEventListener('change', (e) => {
-                this.toggleCornerLotFields(e.target.checked, e.target.form);
-            });
+        // Sections that only apply to some designs (garage, pool, corner lot, ...)
+        document.querySelectorAll('.input-form').forEach(form => {
+            form.addEventListener('change', () => this.updateConditionalFields(form));
+            this.updateConditionalFields(form);
         });
 
         // Second unit checkbox handler
@@ -228,28 +333,26 @@ class PlanningValidationApp {
 
     handlePlanningSubmission() {
         const formData = this.getFormData('planningForm');
+        const siteData = this.formatSiteDataForPlanning(formData);
 
-        if (!this.validatePlanningInput(formData)) {
+        if (!this.validatePlanningInput(siteData)) {
             return;
         }
 
-        const siteData = this.formatSiteDataForPlanning(formData);
-
         this.showPlanningProgress();
-        this.executePlanningWorkflow(siteData);
+        this.executePlanningWorkflow(siteData, { asOf: formData.asOf || null });
     }
 
     handleValidationSubmission() {
         const formData = this.getFormData('validationForm');
+        const { siteData, designData } = this.formatDataForValidation(formData);
 
-        if (!this.validateValidationInput(formData)) {
+        if (!this.validateValidationInput(siteData, designData)) {
             return;
         }
 
-        const { siteData, designData } = this.formatDataForValidation(formData);
-
         this.showValidationProgress();
-        this.executeValidationWorkflow(siteData, designData);
+        this.executeValidationWorkflow(siteData, designData, { asOf: formData.asOf || null });
     }
 
     getFormData(formIdOrMode) {
@@ -264,44 +367,118 @@ class PlanningValidationApp {
         const data = {};
 
         for (let [key, value] of formData.entries()) {
-            if (form.querySelector(`input[name="${key}"][type="checkbox"]`)) {
+            if (this.isCheckboxList(form, key)) {
+                data[key] = [...(data[key] || []), value];
+            } else if (form.querySelector(`input[name="${key}"][type="checkbox"]`)) {
                 data[key] = form.querySelector(`input[name="${key}"]`).checked;
             } else if (form.querySelector(`input[name="${key}"][type="number"]`)) {
-                data[key] = parseFloat(value) || 0;
+                // Blank numbers stay unset so the input schema can report them as missing
+                if (value !== '') data[key] = parseFloat(value);
             } else {
                 data[key] = value;
             }
         }
 
+        // A checkbox list with nothing ticked is an empty list, not a missing field
+        form.querySelectorAll('input[type="checkbox"][name]:not(:disabled)').forEach(field => {
+            if (data[field.name] === undefined && this.isCheckboxList(form, field.name)) {
+                data[field.name] = [];
+            }
+        });
+
+        form.querySelectorAll('[data-list]').forEach(list => {
+            data[list.dataset.list] = this.getListValue(form, list.dataset.list);
+        });
+
         return data;
     }
 
-    validatePlanningInput(data) {
-        const errors = [];
+    // Several checkboxes sharing one name (stamps, documents) form a list of values
+    isCheckboxList(form, name) {
+        return form.querySelectorAll(`input[type="checkbox"][name="${name}"]`).length > 1;
+    }
 
-        if (!data.address) errors.push('Property address is required');
-        if (!data.zone) errors.push('Zone district is required');
-        if (!data.lotSize || data.lotSize < 1000) errors.push('Valid lot size is required (minimum 1000 sq ft)');
+    // Repeatable rows (grade points, floor profile, floor plan spaces,
+    // coverage items, lightwells, accessory structures) hold a list of objects whose fields carry data-field instead of a name,
+    // so FormData skips them
+    getListValue(form, name) {
+        const list = form.querySelector(`[data-list="${name}"]`);
 
-        if (errors.length > 0) {
-            this.showValidationErrors(errors);
+        return [...list.querySelectorAll('.list-row')].map(row => {
+            const item = {};
+            row.querySelectorAll('[data-field]').forEach(field => {
+                if (field.value === '') return;
+                item[field.dataset.field] = field.type === 'number' ? parseFloat(field.value) : field.value;
+            });
+            return item;
+        });
+    }
+
+    setListValue(form, name, items) {
+        const list = form.querySelector(`[data-list="${name}"]`);
+        list.innerHTML = (Array.isArray(items) ? items : []).map(item => this.renderListRow(name, item)).join('');
+    }
+
+    renderListRow(name, item = {}) {
+        const escape = ReportRenderer.escapeHtml;
+
+        const fields = PlanningValidationApp.LIST_FIELDS[name].map(spec => {
+            const value = item[spec.field] !== undefined ? String(item[spec.field]) : '';
+            const input = spec.options ? `
+                <select class="form-select glass-input" data-field="${spec.field}">
+                    <option value="">Select ${spec.label}</option>
+                    ${Object.entries(spec.options).map(([option, label]) =>
+                        `<option value="${option}"${option === value ? ' selected' : ''}>${label}</option>`).join('')}
+                </select>` : `
+                <input type="number" class="form-input glass-input" data-field="${spec.field}" value="${escape(value)}"
+                    min="0" step="0.1" placeholder="${spec.placeholder}">`;
+
+            return `<label class="list-field"><span class="form-label">${spec.label}</span>${input}</label>`;
+        }).join('');
+
+        return `
+            <div class="list-row">
+                ${fields}
+                <button type="button" class="template-action list-row-remove" onclick="app.removeListRow(this)">Remove</button>
+            </div>
+        `;
+    }
+
+    addListRow(form, name) {
+        form.querySelector(`[data-list="${name}"]`).insertAdjacentHTML('beforeend', this.renderListRow(name));
+        this.commitFormState(form.id.replace('Form', ''));
+    }
+
+    removeListRow(button) {
+        const form = button.form;
+        button.closest('.list-row').remove();
+        this.commitFormState(form.id.replace('Form', ''));
+    }
+
+    setFieldValue(field, value) {
+        if (field.type === 'checkbox') {
+            field.checked = Array.isArray(value) ? value.includes(field.value) : Boolean(value);
+        } else {
+            field.value = value === undefined || value === null ? '' : value;
+        }
+    }
+
+    validatePlanningInput(siteData) {
+        const { valid, errors } = this.planningEngine.validateInputs(siteData);
+
+        if (!valid) {
+            this.showValidationErrors(errors.map(error => error.message));
             return false;
         }
 
         return true;
     }
 
-    validateValidationInput(data) {
-        const errors = [];
-
-        if (!data.address) errors.push('Property address is required');
-        if (!data.zone) errors.push('Zone district is required');
-        if (!data.lotSize || data.lotSize < 1000) errors.push('Valid lot size is required');
-        if (!data.buildingHeight || data.buildingHeight <= 0) errors.push('Building height is required');
-        if (!data.totalFloorArea || data.totalFloorArea <= 0) errors.push('Total floor area is required');
+    validateValidationInput(siteData, designData) {
+        const { valid, errors } = this.validationEngine.validateInputs(siteData, designData);
 
-        if (errors.length > 0) {
-            this.showValidationErrors(errors);
+        if (!valid) {
+            this.showValidationErrors(errors.map(error => error.message));
             return false;
         }
 
@@ -349,6 +526,7 @@ class PlanningValidationApp {
     formatDataForValidation(formData) {
         const siteData = {
             address: formData.address,
+            apn: formData.apn || '',
             zone: formData.zone,
             lotSize: formData.lotSize,
             lotType: formData.lotType || 'typical',
@@ -358,33 +536,96 @@ class PlanningValidationApp {
             historicCategory: formData.historicCategory || null
         };
 
+        // Fields of hidden sections are disabled and so absent from formData;
+        // blank fields stay unset so the input schema reports what is missing
         const designData = {
             submittedZone: formData.zone,
             buildingHeight: formData.buildingHeight,
+            roofType: formData.roofType || undefined,
+            topOfRoofElevation: formData.topOfRoofElevation,
+            parapetHeight: formData.roofType === 'flat' ? formData.parapetHeight : undefined,
+            chimneyHeight: formData.chimneyHeight,
+            gradePoints: formData.gradePoints || [],
             totalFloorArea: formData.totalFloorArea,
+            spaces: formData.spaces || [],
+            hasBasement: formData.hasBasement || false,
+            basementArea: formData.basementArea,
+            basementDepth: formData.basementDepth,
+            basementExposure: formData.basementExposure,
+            lightwells: formData.hasBasement ? formData.lightwells || [] : undefined,
             floors: parseInt(formData.floors) || 1,
+            secondFloorCeiling: formData.secondFloorCeiling,
+            thirdFloorCeiling: formData.thirdFloorCeiling,
+            floorProfile: formData.floorProfile || [],
             totalCoverage: formData.totalCoverage,
+            totalCoverageWithFeatures: formData.totalCoverageWithFeatures,
+            coverageItems: formData.coverageItems || [],
             frontSetback: formData.frontSetback,
             interiorSideSetback: formData.interiorSideSetback,
-            streetSideSetback: formData.streetSideSetback || null,
+            streetSideSetback: formData.streetSideSetback !== undefined ? formData.streetSideSetback : null,
             rearSetback: formData.rearSetback,
+            porchArea: formData.porchArea,
+            entryProjection: formData.entryProjection,
+            bayWindowProjection: formData.bayWindowProjection,
+            bayWindowWidth: formData.bayWindowWidth,
             parkingSpaces: formData.parkingSpaces,
             coveredParkingSpaces: formData.coveredParkingSpaces,
-            drivewaySurfaceWidth: formData.drivewaySurfaceWidth || 8,
-            drivewayClearanceWidth: formData.drivewayClearanceWidth || 10,
-            backingDistance: formData.backingDistance || 18,
+            drivewaySurfaceWidth: formData.drivewaySurfaceWidth,
+            drivewayClearanceWidth: formData.drivewayClearanceWidth,
+            backingDistance: formData.backingDistance,
+            drivewayMaterial: formData.drivewayMaterial || undefined,
+            hasGarage: formData.hasGarage || false,
+            garageFrontSetback: formData.garageFrontSetback,
+            garageStreetSideSetback: formData.garageStreetSideSetback,
             hasSecondUnit: formData.hasSecondUnit || false,
+            secondUnitArea: formData.secondUnitArea,
+            mainHouseArea: formData.mainHouseArea,
             hasPool: formData.hasPool || false,
-            hasGarage: formData.hasGarage || false,
-            daylightPlaneCompliant: formData.daylightPlaneCompliant || false,
-            drivewayMaterial: 'concrete', // Default
-            professionalStamps: ['Architect'], // Default
-            submittedDocuments: ['site_plan', 'floor_plans'] // Default
+            poolSetback: formData.poolSetback,
+            poolSafetyBarriers: formData.poolSafetyBarriers || false,
+            historicCompliance: formData.historicCompliance || null,
+            daylightProfiles: this.buildDaylightProfiles(formData),
+            professionalStamps: formData.professionalStamps || [],
+            submittedDocuments: formData.submittedDocuments || [],
+            accessoryStructures: formData.accessoryStructures || []
         };
 
+        // Drop unset fields so stored revisions and exports stay compact
+        Object.keys(designData).forEach(key => {
+            if (designData[key] === undefined) delete designData[key];
+        });
+
         return { siteData, designData };
     }
 
+    buildDaylightProfiles(formData) {
+        const lines = {
+            front: 'Front',
+            rear: 'Rear',
+            side_interior: 'InteriorSide',
+            side_street: 'StreetSide'
+        };
+
+        return Object.entries(lines).map(([propertyLine, key]) => {
+            const points = [];
+            if (formData[`daylight${key}WallHeight`] > 0) {
+                points.push({
+                    label: 'wall plate',
+                    distance: formData[`daylight${key}WallDistance`],
+                    height: formData[`daylight${key}WallHeight`]
+                });
+            }
+            if (formData[`daylight${key}RidgeHeight`] > 0) {
+                points.push({
+                    label: 'ridge',
+                    distance: formData[`daylight${key}RidgeDistance`],
+                    height: formData[`daylight${key}RidgeHeight`]
+                });
+            }
+            return { propertyLine, label: `${this.camelCaseToTitle(key)} section`, points };
+        }).filter(profile => profile.points.length > 0);
+    }
+
     showPlanningProgress() {
         const progressContainer = document.getElementById('planningProgress');
         progressContainer.style.display = 'block';
@@ -425,14 +666,15 @@ class PlanningValidationApp {
         });
     }
 
-    async executePlanningWorkflow(siteData) {
+    async executePlanningWorkflow(siteData, options = {}) {
         try {
             const resultsContainer = document.getElementById('planningResults');
+            const engine = options.asOf ? this.planningEngine.forDate(options.asOf) : this.planningEngine;
 
             // Phase 1
             this.updateProgress('planning', 1, 5);
             await this.delay(500);
-            const phase1Results = this.planningEngine.executePhase1(siteData);
+            const phase1Results = engine.executePhase1(siteData);
             this.displayPhaseResult(resultsContainer, phase1Results, 'planning');
 
             if (phase1Results.status === 'stopped') {
@@ -443,13 +685,13 @@ class PlanningValidationApp {
             // Phase 2
             this.updateProgress('planning', 2, 5);
             await this.delay(500);
-            const phase2Results = this.planningEngine.executePhase2(siteData, phase1Results);
+            const phase2Results = engine.executePhase2(siteData, phase1Results);
             this.displayPhaseResult(resultsContainer, phase2Results, 'planning');
 
             // Phase 3
             this.updateProgress('planning', 3, 5);
             await this.delay(500);
-            const phase3Results = this.planningEngine.executePhase3(siteData, {
+            const phase3Results = engine.executePhase3(siteData, {
                 phase1: phase1Results,
                 phase2: phase2Results
             });
@@ -458,7 +700,7 @@ class PlanningValidationApp {
             // Phase 4
             this.updateProgress('planning', 4, 5);
             await this.delay(500);
-            const phase4Results = this.planningEngine.executePhase4(siteData, {
+            const phase4Results = engine.executePhase4(siteData, {
                 phase1: phase1Results,
                 phase2: phase2Results,
                 phase3: phase3Results
@@ -468,7 +710,7 @@ class PlanningValidationApp {
             // Phase 5
             this.updateProgress('planning', 5, 5);
             await this.delay(500);
-            const phase5Results = this.planningEngine.executePhase5(siteData, {
+            const phase5Results = engine.executePhase5(siteData, {
                 phase1: phase1Results,
                 phase2: phase2Results,
                 phase3: phase3Results,
@@ -483,9 +725,15 @@ class PlanningValidationApp {
             this.currentWorkflow = {
                 type: 'planning',
                 results: [phase1Results, phase2Results, phase3Results, phase4Results, phase5Results],
-                finalReport: phase5Results.finalReport
+                finalReport: phase5Results.finalReport,
+                ordinance: engine.rulebook.describeEdition(),
+                siteData: siteData,
+                asOf: options.asOf || null
             };
 
+            // Keep the run with the site's project
+            await this.recordPlanningRun();
+
             // Show report generation button
             this.showReportButton('planning');
 
@@ -494,31 +742,45 @@ class PlanningValidationApp {
         }
     }
 
-    async executeValidationWorkflow(siteData, designData) {
+    async executeValidationWorkflow(siteData, designData, options = {}) {
         try {
             const resultsContainer = document.getElementById('validationResults');
+            const engine = options.asOf ? this.validationEngine.forDate(options.asOf) : this.validationEngine;
 
             // Phase 1
             this.updateProgress('validation', 1, 5);
             await this.delay(500);
-            const phase1Results = this.validationEngine.executePhase1Validation(siteData, designData);
+            const phase1Results = engine.executePhase1Validation(siteData, designData);
             this.displayValidationResult(resultsContainer, phase1Results);
 
             if (phase1Results.status === 'critical_failure') {
                 this.updateProgress('validation', 5, 5);
+                const finalReport = engine.generateValidationReport(siteData, designData, { phase1: phase1Results });
+                this.displayFinalValidationReport(resultsContainer, finalReport);
+                this.currentWorkflow = {
+                    type: 'validation',
+                    results: [phase1Results],
+                    finalReport: finalReport,
+                    ordinance: finalReport.ordinance,
+                    siteData: siteData,
+                    designData: designData,
+                    asOf: options.asOf || null
+                };
+                await this.recordValidationRun(resultsContainer);
+                this.showReportButton('validation');
                 return;
             }
 
             // Phase 2
             this.updateProgress('validation', 2, 5);
             await this.delay(500);
-            const phase2Results = this.validationEngine.executePhase2Validation(siteData, designData, phase1Results);
+            const phase2Results = engine.executePhase2Validation(siteData, designData, phase1Results);
             this.displayValidationResult(resultsContainer, phase2Results);
 
             // Phase 3
             this.updateProgress('validation', 3, 5);
             await this.delay(500);
-            const phase3Results = this.validationEngine.executePhase3Validation(siteData, designData, {
+            const phase3Results = engine.executePhase3Validation(siteData, designData, {
                 phase1: phase1Results,
                 phase2: phase2Results
             });
@@ -527,7 +789,7 @@ class PlanningValidationApp {
             // Phase 4
             this.updateProgress('validation', 4, 5);
             await this.delay(500);
-            const phase4Results = this.validationEngine.executePhase4Validation(siteData, designData, {
+            const phase4Results = engine.executePhase4Validation(siteData, designData, {
                 phase1: phase1Results,
                 phase2: phase2Results,
                 phase3: phase3Results
@@ -537,7 +799,7 @@ class PlanningValidationApp {
             // Phase 5
             this.updateProgress('validation', 5, 5);
             await this.delay(500);
-            const phase5Results = this.validationEngine.executePhase5Validation(siteData, designData, {
+            const phase5Results = engine.executePhase5Validation(siteData, designData, {
                 phase1: phase1Results,
                 phase2: phase2Results,
                 phase3: phase3Results,
@@ -545,16 +807,27 @@ class PlanningValidationApp {
             });
             this.displayValidationResult(resultsContainer, phase5Results);
 
-            // Display final report
-            this.displayFinalValidationReport(resultsContainer, phase5Results.finalReport);
+            // Display final report with the combined minimal-change design when it did not pass
+            const finalReport = phase5Results.finalReport;
+            if (phase5Results.status !== 'approved') {
+                finalReport.minimalChangeDesign = engine.proposeMinimalChangeDesign(siteData, designData);
+            }
+            this.displayFinalValidationReport(resultsContainer, finalReport);
 
             // Store workflow results for report generation
             this.currentWorkflow = {
                 type: 'validation',
                 results: [phase1Results, phase2Results, phase3Results, phase4Results, phase5Results],
-                finalReport: phase5Results.finalReport
+                finalReport: finalReport,
+                ordinance: finalReport.ordinance,
+                siteData: siteData,
+                designData: designData,
+                asOf: options.asOf || null
             };
 
+            // Keep the run in the project's history and show what changed since the last one
+            await this.recordValidationRun(resultsContainer);
+
             // Show report generation button
             this.showReportButton('validation');
 
@@ -620,6 +893,10 @@ class PlanningValidationApp {
                 <div class="task-content">
                     <div class="task-name">${check.checkName}</div>
                     <div class="task-description">${check.message}</div>
+                    ${check.details && check.details.length > 0 ? `
+                        <ul class="check-details">
+                            ${check.details.map(detail => `<li>${ReportRenderer.escapeHtml(detail)}</li>`).join('')}
+                        </ul>` : ''}
                 </div>
             </div>
         `).join('');
@@ -690,6 +967,7 @@ class PlanningValidationApp {
                                 <div class="task-description">Timeline: ${report.estimatedTimeline}</div>
                             </div>
                         </div>
+                        ${this.formatOrdinanceItem(report.ordinance)}
                     </div>
                 </div>
 
@@ -719,9 +997,10 @@ class PlanningValidationApp {
                 <div class="task-item">
                     <div class="task-content">
                         <div class="task-name">Total Violations: ${report.violationSummary.total}</div>
-                        <div class="task-description">Critical: ${report.violationSummary.critical}, Major: ${report.violationSummary.major}</div>
+                        <div class="task-description">Critical: ${report.violationSummary.critical}, Major: ${report.violationSummary.major}, Design: ${report.violationSummary.design}, Process: ${report.violationSummary.process}</div>
                     </div>
                 </div>
+                ${this.formatOrdinanceItem(report.ordinance)}
             </div>
         `;
 
@@ -744,6 +1023,8 @@ class PlanningValidationApp {
                     ${violationSummaryHtml}
                 </div>
 
+                ${this.formatRemediations(report.remediations, report.minimalChangeDesign)}
+
                 <div class="report-section">
                     <h4 class="report-section-title">Resolution Timeline</h4>
                     <div class="task-item">
@@ -765,6 +1046,51 @@ class PlanningValidationApp {
         container.scrollTop = container.scrollHeight;
     }
 
+    formatRemediations(remediations, minimalChangeDesign) {
+        if ((!remediations || remediations.length === 0) && !minimalChangeDesign) return '';
+
+        const remediationsHtml = (remediations || []).map(remediation => `
+            <div class="recommendation-item">
+                <div class="recommendation-icon">📐</div>
+                <div class="recommendation-text"><strong>${remediation.ruleId}:</strong> ${remediation.description}</div>
+            </div>
+        `).join('');
+
+        let combinedHtml = '';
+        if (minimalChangeDesign) {
+            const changesHtml = minimalChangeDesign.changes.map(change => `
+                <div class="recommendation-item">
+                    <div class="recommendation-icon">✏️</div>
+                    <div class="recommendation-text">${change.description}</div>
+                </div>
+            `).join('');
+            const unresolvedHtml = minimalChangeDesign.unresolved.map(entry => `
+                <div class="recommendation-item">
+                    <div class="recommendation-icon">⚠️</div>
+                    <div class="recommendation-text"><strong>${entry.ruleId}:</strong> ${entry.description}</div>
+                </div>
+            `).join('');
+
+            combinedHtml = `
+                <div class="task-item">
+                    <div class="task-content">
+                        <div class="task-name">Combined Minimal-Change Design: ${minimalChangeDesign.passes ? 'Passes all phases' : minimalChangeDesign.status.toUpperCase()}</div>
+                        <div class="task-description">${minimalChangeDesign.changes.length} changes applied${minimalChangeDesign.unresolved.length > 0 ? `, ${minimalChangeDesign.unresolved.length} require redesign or review` : ''}</div>
+                    </div>
+                </div>
+                <div class="recommendations">${changesHtml}${unresolvedHtml}</div>
+            `;
+        }
+
+        return `
+            <div class="report-section">
+                <h4 class="report-section-title">Minimum Changes to Comply</h4>
+                ${remediationsHtml ? `<div class="recommendations">${remediationsHtml}</div>` : ''}
+                ${combinedHtml}
+            </div>
+        `;
+    }
+
     displayError(mode, message) {
         const resultsContainer = mode === 'planning'
             ? document.getElementById('planningResults')
@@ -784,6 +1110,23 @@ class PlanningValidationApp {
         `;
     }
 
+    formatOrdinanceItem(ordinance) {
+        if (!ordinance) return '';
+
+        return `
+            <div class="task-item">
+                <div class="task-content">
+                    <div class="task-name">Ordinance Applied: ${ordinance.edition}</div>
+                    <div class="task-description">${this.formatOrdinanceEffectiveDates(ordinance)}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    formatOrdinanceEffectiveDates(ordinance) {
+        return ReportRenderer.formatOrdinanceEffectiveDates(ordinance);
+    }
+
     formatDesignParameters(params) {
         if (!params) return '';
 
@@ -803,6 +1146,13 @@ class PlanningValidationApp {
                             <div class="task-description">Front: ${params.setbacks.front}ft, Side: ${params.setbacks.interiorSide}ft, Rear: ${params.setbacks.rear}ft</div>
                         </div>
                     </div>
+                    ${params.basement ? `
+                    <div class="task-item">
+                        <div class="task-content">
+                            <div class="task-name">Basement Allowances</div>
+                            <div class="task-description">${this.formatBasementAllowances(params.basement)}</div>
+                        </div>
+                    </div>` : ''}
                 </div>
             </div>
         `;
@@ -903,6 +1253,7 @@ class PlanningValidationApp {
         modal.style.display = 'flex';
         setTimeout(() => modal.classList.add('active'), 10);
 
+        this.resetTemplateForm();
         this.switchTemplateTab(defaultTab);
         this.loadTemplateList();
     }
@@ -911,6 +1262,7 @@ class PlanningValidationApp {
         const modal = document.getElementById('templateModal');
         modal.classList.remove('active');
         setTimeout(() => modal.style.display = 'none', 300);
+        this.resetTemplateForm();
     }
 
     switchTemplateTab(tab) {
@@ -923,69 +1275,144 @@ class PlanningValidationApp {
         });
     }
 
-    loadTemplates() {
-        const stored = localStorage.getItem('paloAltoTemplates');
-        return stored ? JSON.parse(stored) : [];
-    }
-
-    saveTemplates() {
-        localStorage.setItem('paloAltoTemplates', JSON.stringify(this.templates));
-    }
-
     loadTemplateList() {
         const templateList = document.getElementById('templateList');
+        const terms = document.getElementById('templateSearch').value.toLowerCase().split(/\s+/).filter(Boolean);
+        const matches = template => ProjectWorkspace.templateMatches(template, terms);
+        const templates = this.templates.filter(matches);
+        const starterTemplates = this.templateLibrary.getStarterTemplates().filter(matches);
 
-        if (this.templates.length === 0) {
-            templateList.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-icon">📁</div>
-                    <h3 class="empty-title">No Templates</h3>
-                    <p class="empty-text">Save your first template to get started.</p>
-                </div>
-            `;
-            return;
-        }
+        const emptyHtml = terms.length > 0 ? `
+            <div class="empty-state">
+                <div class="empty-icon">🔍</div>
+                <h3 class="empty-title">No Matching Templates</h3>
+                <p class="empty-text">Try a different search.</p>
+            </div>
+        ` : `
+            <div class="empty-state">
+                <div class="empty-icon">📁</div>
+                <h3 class="empty-title">No Templates</h3>
+                <p class="empty-text">Save your first template to get started.</p>
+            </div>
+        `;
+
+        templateList.innerHTML = `
+            <div class="template-section-title">My Templates</div>
+            ${templates.length > 0 ? templates.map(template => this.renderTemplateItem(template)).join('') : emptyHtml}
+            ${starterTemplates.length > 0 ? `
+                <div class="template-section-title">Starter Library</div>
+                ${starterTemplates.map(template => this.renderTemplateItem(template)).join('')}
+            ` : ''}
+        `;
+    }
+
+    renderTemplateItem(template) {
+        const escape = ReportRenderer.escapeHtml;
+        const tagsHtml = template.tags && template.tags.length > 0 ? `
+            <div class="template-tags">
+                ${template.tags.map(tag => `<span class="template-tag">${escape(tag)}</span>`).join('')}
+            </div>
+        ` : '';
+        const askHtml = template.askOnLoad && template.askOnLoad.length > 0 ?
+            ` • Asks for ${template.askOnLoad.map(name => this.getFieldLabel(template.mode, name)).join(', ')}` : '';
+        const actionsHtml = template.builtIn ? '' : `
+            <div class="template-actions">
+                <button class="template-action" onclick="event.stopPropagation(); app.editTemplate('${template.id}')">Edit</button>
+                <button class="template-action" onclick="event.stopPropagation(); app.overwriteTemplate('${template.id}')">Overwrite</button>
+                <button class="template-action" onclick="event.stopPropagation(); app.deleteTemplate('${template.id}')">Delete</button>
+                <button class="template-action" onclick="event.stopPropagation(); app.exportTemplate('${template.id}')">Export</button>
+            </div>
+        `;
 
-        const templatesHtml = this.templates.map((template, index) => `
-            <div class="template-item" onclick="app.loadTemplate(${index})">
-                <div class="template-name">${template.name}</div>
-                <div class="template-description">${template.description}</div>
+        return `
+            <div class="template-item" onclick="app.loadTemplate('${template.id}')">
+                <div class="template-name">${escape(template.name)}</div>
+                <div class="template-description">${escape(template.description)}</div>
+                ${tagsHtml}
                 <div class="template-meta">
-                    ${template.mode} template • Created ${new Date(template.created).toLocaleDateString()}
+                    ${template.builtIn ? 'Built-in' : template.mode} template${template.created ? ` • Created ${new Date(template.created).toLocaleDateString()}` : ''}${askHtml}
                 </div>
+                ${actionsHtml}
             </div>
+        `;
+    }
+
+    // Clears the save tab and lists the current form's fields for "ask on load"
+    resetTemplateForm() {
+        this.editingTemplateId = null;
+        document.getElementById('templateName').value = '';
+        document.getElementById('templateDescription').value = '';
+        document.getElementById('templateTags').value = '';
+        document.getElementById('saveNewTemplate').textContent = 'Save Template';
+        document.getElementById('cancelTemplateEdit').style.display = 'none';
+        this.renderAskOnLoadFields(this.currentMode, []);
+    }
+
+    renderAskOnLoadFields(mode, selected) {
+        document.getElementById('templateAskOnLoad').innerHTML = this.getAskableFields(mode).map(field => `
+            <label class="checkbox-label">
+                <input type="checkbox" name="askOnLoad" value="${field.name}" ${selected.includes(field.name) ? 'checked' : ''}>
+                <span class="checkbox-text">${field.label}</span>
+            </label>
         `).join('');
+    }
 
-        templateList.innerHTML = templatesHtml;
+    // Text, number and date inputs of a mode's form, which a prompt can fill in
+    getAskableFields(mode) {
+        const form = document.getElementById(mode === 'planning' ? 'planningForm' : 'validationForm');
+        const fields = [...form.querySelectorAll('input[name]')]
+            .filter(input => ['text', 'number', 'date'].includes(input.type));
+
+        return fields.map(input => ({
+            name: input.name,
+            type: input.type,
+            label: this.getFieldLabel(mode, input.name)
+        }));
+    }
+
+    getFieldLabel(mode, name) {
+        const form = document.getElementById(mode === 'planning' ? 'planningForm' : 'validationForm');
+        const label = form.querySelector(`[name="${name}"]`)?.closest('.form-group')?.querySelector('.form-label');
+        const text = label && label.childNodes[0] ? label.childNodes[0].textContent.trim() : '';
+        return text || this.camelCaseToTitle(name);
     }
 
-    saveTemplate() {
-        const name = document.getElementById('templateName').value;
-        const description = document.getElementById('templateDescription').value;
+    async saveTemplate() {
+        const name = document.getElementById('templateName').value.trim();
+        const details = {
+            description: document.getElementById('templateDescription').value,
+            tags: ProjectWorkspace.normalizeTags(document.getElementById('templateTags').value),
+            askOnLoad: [...document.querySelectorAll('#templateAskOnLoad input:checked')].map(input => input.value)
+        };
 
         if (!name) {
             alert('Please enter a template name');
             return;
         }
 
-        const formId = this.currentMode === 'planning' ? 'planningForm' : 'validationForm';
-        const formData = this.getFormData(formId);
-
-        const template = {
-            name: name,
-            description: description,
-            mode: this.currentMode,
-            data: formData,
-            created: new Date().toISOString()
-        };
-
-        this.templates.push(template);
-        this.saveTemplates();
-
-        // Clear form
-        document.getElementById('templateName').value = '';
-        document.getElementById('templateDescription').value = '';
+        try {
+            if (this.editingTemplateId) {
+                await this.workspace.updateTemplate(this.editingTemplateId, { ...details, name });
+            } else {
+                const formId = this.currentMode === 'planning' ? 'planningForm' : 'validationForm';
+                const template = { ...details, name, mode: this.currentMode, data: this.getFormData(formId) };
+                const existing = await this.workspace.findTemplateByName(name);
+
+                if (!existing) {
+                    await this.workspace.saveTemplate(template);
+                } else if (confirm(`A template named "${name}" already exists. Replace it with the current form?`)) {
+                    await this.workspace.updateTemplate(existing.id, template);
+                } else {
+                    return;
+                }
+            }
+            this.templates = await this.workspace.listTemplates();
+        } catch (error) {
+            alert(`Template could not be saved: ${error.message}`);
+            return;
+        }
 
+        this.resetTemplateForm();
         this.loadTemplateList();
         this.switchTemplateTab('load');
 
@@ -993,15 +1420,68 @@ class PlanningValidationApp {
         alert('Template saved successfully!');
     }
 
-    loadTemplate(index) {
-        const template = this.templates[index];
+    editTemplate(id) {
+        const template = this.templates.find(candidate => candidate.id === id);
+        if (!template) return;
+
+        this.editingTemplateId = id;
+        document.getElementById('templateName').value = template.name;
+        document.getElementById('templateDescription').value = template.description || '';
+        document.getElementById('templateTags').value = (template.tags || []).join(', ');
+        document.getElementById('saveNewTemplate').textContent = 'Save Changes';
+        document.getElementById('cancelTemplateEdit').style.display = 'block';
+        this.renderAskOnLoadFields(template.mode, template.askOnLoad || []);
+        this.switchTemplateTab('save');
+    }
+
+    async overwriteTemplate(id) {
+        const template = this.templates.find(candidate => candidate.id === id);
+        if (!template || !confirm(`Replace the values saved in "${template.name}" with the current ${this.currentMode} form?`)) return;
+
+        const formId = this.currentMode === 'planning' ? 'planningForm' : 'validationForm';
+        await this.runTemplateAction(() => this.workspace.updateTemplate(id, { mode: this.currentMode, data: this.getFormData(formId) }));
+    }
+
+    async deleteTemplate(id) {
+        const template = this.templates.find(candidate => candidate.id === id);
+        if (!template || !confirm(`Delete the template "${template.name}"?`)) return;
+
+        await this.runTemplateAction(() => this.workspace.deleteTemplate(id));
+    }
+
+    async runTemplateAction(action) {
+        try {
+            await action();
+            this.templates = await this.workspace.listTemplates();
+        } catch (error) {
+            alert(error.message);
+        }
+        this.loadTemplateList();
+    }
+
+    loadTemplate(id) {
+        const template = this.templates.find(candidate => candidate.id === id) || this.templateLibrary.getStarterTemplate(id);
+        if (!template) return;
+
+        // Ask for the site-specific values before touching the form
+        const data = { ...template.data };
+        const askableFields = this.getAskableFields(template.mode);
+        for (const name of template.askOnLoad || []) {
+            const field = askableFields.find(candidate => candidate.name === name);
+            const value = prompt(`${this.getFieldLabel(template.mode, name)} for this site`, data[name] !== undefined ? data[name] : '');
+            if (value === null) return;
+
+            data[name] = field && field.type === 'number' && value !== '' ? parseFloat(value) : value;
+        }
 
         if (template.mode !== this.currentMode) {
             this.switchMode(template.mode);
         }
 
         const formId = this.currentMode === 'planning' ? 'planningForm' : 'validationForm';
-        this.populateForm(formId, template.data);
+        this.populateForm(formId, data);
+        this.refreshDependentFields(document.getElementById(formId));
+        this.commitFormState(this.currentMode);
 
         this.hideTemplateModal();
     }
@@ -1010,17 +1490,361 @@ class PlanningValidationApp {
         const form = document.getElementById(formId);
 
         Object.keys(data).forEach(key => {
-            const field = form.querySelector(`[name="${key}"]`);
-            if (!field) return;
+            form.querySelectorAll(`[name="${key}"]`).forEach(field => this.setFieldValue(field, data[key]));
+            if (form.querySelector(`[data-list="${key}"]`)) this.setListValue(form, key, data[key]);
+        });
+    }
+
+    // Autosave and Undo/Redo
+    setupFormHistory() {
+        ['planning', 'validation'].forEach(mode => {
+            this.formHistories[mode].reset(this.captureForm(mode));
+            this.updateHistoryButtons(mode);
+        });
+    }
+
+    // Every named field's value, including unchecked boxes and blank inputs
+    captureForm(mode) {
+        const form = document.getElementById(`${mode}Form`);
+        const snapshot = {};
+
+        [...form.elements].filter(field => field.name).forEach(field => {
+            if (this.isCheckboxList(form, field.name)) {
+                snapshot[field.name] = snapshot[field.name] || [];
+                if (field.checked) snapshot[field.name].push(field.value);
+            } else {
+                snapshot[field.name] = field.type === 'checkbox' ? field.checked : field.value;
+            }
+        });
+
+        form.querySelectorAll('[data-list]').forEach(list => {
+            snapshot[list.dataset.list] = this.getListValue(form, list.dataset.list);
+        });
 
-            if (field.type === 'checkbox') {
-                field.checked = data[key];
+        return snapshot;
+    }
+
+    restoreForm(mode, snapshot) {
+        const form = document.getElementById(`${mode}Form`);
+
+        [...form.elements].filter(field => field.name && field.name in snapshot).forEach(field => {
+            this.setFieldValue(field, snapshot[field.name]);
+        });
+        form.querySelectorAll('[data-list]').forEach(list => {
+            if (list.dataset.list in snapshot) this.setListValue(form, list.dataset.list, snapshot[list.dataset.list]);
+        });
+
+        this.refreshDependentFields(form);
+    }
+
+    // Re-applies the show/hide rules that normally run on change events
+    refreshDependentFields(form) {
+        this.updateConditionalFields(form);
+    }
+
+    // Typing settles into one undo step once the user pauses
+    scheduleFormCommit(mode) {
+        clearTimeout(this.formCommitTimers[mode]);
+        this.formCommitTimers[mode] = setTimeout(() => this.commitFormState(mode), PlanningValidationApp.FORM_COMMIT_DELAY);
+    }
+
+    commitFormState(mode) {
+        clearTimeout(this.formCommitTimers[mode]);
+        if (this.formHistories[mode].record(this.captureForm(mode))) {
+            this.updateHistoryButtons(mode);
+            this.autosaveForms();
+        }
+    }
+
+    undoFormEdit(mode) {
+        this.commitFormState(mode);
+        const snapshot = this.formHistories[mode].undo();
+        if (!snapshot) return;
+
+        this.restoreForm(mode, snapshot);
+        this.updateHistoryButtons(mode);
+        this.autosaveForms();
+    }
+
+    redoFormEdit(mode) {
+        this.commitFormState(mode);
+        const snapshot = this.formHistories[mode].redo();
+        if (!snapshot) return;
+
+        this.restoreForm(mode, snapshot);
+        this.updateHistoryButtons(mode);
+        this.autosaveForms();
+    }
+
+    // Ctrl/Cmd+Z undoes across fields; Ctrl/Cmd+Shift+Z and Ctrl/Cmd+Y redo
+    handleHistoryShortcut(e, mode) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redoFormEdit(mode);
             } else {
-                field.value = data[key];
+                this.undoFormEdit(mode);
+            }
+        } else if (key === 'y') {
+            e.preventDefault();
+            this.redoFormEdit(mode);
+        }
+    }
+
+    updateHistoryButtons(mode) {
+        document.getElementById(`${mode}UndoBtn`).disabled = !this.formHistories[mode].canUndo();
+        document.getElementById(`${mode}RedoBtn`).disabled = !this.formHistories[mode].canRedo();
+    }
+
+    autosaveForms() {
+        this.workspace.saveDraft(this.currentProjectId, {
+            planning: this.captureForm('planning'),
+            validation: this.captureForm('validation')
+        }).catch(error => console.error('Could not autosave forms:', error));
+    }
+
+    applyDraft(draft) {
+        ['planning', 'validation'].forEach(mode => {
+            if (draft.forms[mode]) {
+                this.restoreForm(mode, draft.forms[mode]);
+                this.commitFormState(mode);
             }
         });
     }
 
+    // Submitted work lives on in the project's revisions and runs
+    async clearDrafts() {
+        try {
+            await this.workspace.deleteDraft(null);
+            if (this.currentProjectId) {
+                await this.workspace.deleteDraft(this.currentProjectId);
+            }
+        } catch (error) {
+            console.error('Could not clear autosaved forms:', error);
+        }
+    }
+
+    // Offers the most recent unsaved session after a reload
+    async restoreSession() {
+        const [draft] = await this.workspace.listDrafts();
+        if (!draft) return;
+
+        const project = draft.projectId ? await this.workspace.getProject(draft.projectId) : null;
+        if (draft.projectId && !project) {
+            await this.workspace.deleteDraft(draft.projectId);
+            return;
+        }
+
+        const owner = project ? ` to ${project.name}` : '';
+        if (confirm(`Restore unsaved changes${owner} from ${new Date(draft.savedAt).toLocaleString()}?`)) {
+            this.currentProjectId = draft.projectId;
+            this.applyDraft(draft);
+        } else {
+            await this.workspace.deleteDraft(draft.projectId);
+        }
+    }
+
+    // Project Management
+    showProjectModal() {
+        const modal = document.getElementById('projectModal');
+        modal.style.display = 'flex';
+        setTimeout(() => modal.classList.add('active'), 10);
+
+        this.loadProjectList();
+    }
+
+    hideProjectModal() {
+        const modal = document.getElementById('projectModal');
+        modal.classList.remove('active');
+        setTimeout(() => modal.style.display = 'none', 300);
+    }
+
+    async loadProjectList() {
+        const projectList = document.getElementById('projectList');
+        const query = document.getElementById('projectSearch').value.trim();
+        const options = { includeArchived: document.getElementById('showArchivedProjects').checked };
+        const projects = query
+            ? await this.workspace.searchProjects(query, options)
+            : await this.workspace.listProjects(options);
+
+        if (projects.length === 0) {
+            projectList.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">🗂️</div>
+                    <h3 class="empty-title">${query ? 'No Matching Projects' : 'No Projects'}</h3>
+                    <p class="empty-text">${query ? 'Try a different search.' : 'Projects are created when you run planning or validation for a site.'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        const escape = ReportRenderer.escapeHtml;
+        projectList.innerHTML = projects.map(project => {
+            const latestRun = project.validationRuns[project.validationRuns.length - 1];
+            const classes = ['template-item', project.archived ? 'archived' : '', project.id === this.currentProjectId ? 'current' : '']
+                .filter(Boolean).join(' ');
+            const notesHtml = project.notes.length > 0 ? `
+                <div class="template-notes">
+                    ${project.notes.map(note => `<div>📝 ${escape(note.text)} (${new Date(note.createdAt).toLocaleDateString()})</div>`).join('')}
+                </div>
+            ` : '';
+
+            return `
+                <div class="${classes}">
+                    <div class="template-name">${escape(project.name)}${project.archived ? ' (archived)' : ''}</div>
+                    <div class="template-description">${escape([project.siteData.address, project.siteData.apn, project.siteData.zone].filter(Boolean).join(' • '))}</div>
+                    <div class="template-meta">
+                        ${project.designRevisions.length} design revision(s) • ${project.planningRuns.length} planning run(s) •
+                        ${project.validationRuns.length} validation run(s)${latestRun ? ` (latest ${latestRun.overallStatus})` : ''} •
+                        Updated ${new Date(project.updatedAt).toLocaleDateString()}
+                    </div>
+                    ${notesHtml}
+                    <div class="template-actions">
+                        <button class="template-action" onclick="app.openProject('${project.id}')">Open</button>
+                        <button class="template-action" onclick="app.renameProject('${project.id}')">Rename</button>
+                        <button class="template-action" onclick="app.duplicateProject('${project.id}')">Duplicate</button>
+                        <button class="template-action" onclick="app.exportProject('${project.id}')">Export</button>
+                        <button class="template-action" onclick="app.addProjectNote('${project.id}')">Add Note</button>
+                        <button class="template-action" onclick="app.archiveProject('${project.id}', ${!project.archived})">${project.archived ? 'Unarchive' : 'Archive'}</button>
+                        <button class="template-action" onclick="app.deleteProject('${project.id}')">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Fills both forms with the project's site data and its latest design revision
+    async openProject(id) {
+        const project = await this.workspace.getProject(id);
+        if (!project) return;
+
+        const latestRevision = project.designRevisions[project.designRevisions.length - 1];
+        const draft = await this.workspace.getDraft(project.id);
+        this.currentProjectId = project.id;
+
+        if (draft && confirm(`Restore unsaved changes to ${project.name} from ${new Date(draft.savedAt).toLocaleString()}?`)) {
+            this.applyDraft(draft);
+        } else {
+            this.populateForm('planningForm', project.siteData);
+            this.populateForm('validationForm', { ...project.siteData, ...(latestRevision ? latestRevision.designData : {}) });
+            this.refreshDependentFields(document.getElementById('planningForm'));
+            this.refreshDependentFields(document.getElementById('validationForm'));
+            this.commitFormState('planning');
+            this.commitFormState('validation');
+        }
+
+        this.switchMode(project.validationRuns.length > 0 || latestRevision ? 'validation' : 'planning');
+        this.hideProjectModal();
+    }
+
+    async renameProject(id) {
+        const project = await this.workspace.getProject(id);
+        const name = project ? prompt('Project name', project.name) : null;
+        if (name === null) return;
+
+        await this.runProjectAction(() => this.workspace.renameProject(id, name));
+    }
+
+    async duplicateProject(id) {
+        await this.runProjectAction(() => this.workspace.duplicateProject(id));
+    }
+
+    async addProjectNote(id) {
+        const text = prompt('Note');
+        if (text === null) return;
+
+        await this.runProjectAction(() => this.workspace.addNote(id, text));
+    }
+
+    async archiveProject(id, archived) {
+        await this.runProjectAction(() => this.workspace.archiveProject(id, archived));
+    }
+
+    async deleteProject(id) {
+        if (!confirm('Delete this project and all of its runs? This cannot be undone.')) return;
+
+        await this.runProjectAction(() => this.workspace.deleteProject(id));
+        if (this.currentProjectId === id) {
+            this.currentProjectId = null;
+        }
+    }
+
+    async runProjectAction(action) {
+        try {
+            await action();
+        } catch (error) {
+            alert(error.message);
+        }
+        this.loadProjectList();
+    }
+
+    // Template and Project Files
+    async exportTemplate(id) {
+        const template = this.templates.find(candidate => candidate.id === id);
+        await this.downloadBundle(() => this.workspaceBundle.exportTemplate(id), `template-${this.toFileSlug(template ? template.name : id)}`);
+    }
+
+    async exportTemplates() {
+        await this.downloadBundle(() => this.workspaceBundle.exportTemplates(), 'templates');
+    }
+
+    async exportProject(id) {
+        const project = await this.workspace.getProject(id);
+        await this.downloadBundle(() => this.workspaceBundle.exportProject(id), `project-${this.toFileSlug(project ? project.name : id)}`);
+    }
+
+    async exportWorkspace() {
+        await this.downloadBundle(() => this.workspaceBundle.exportWorkspace(), 'workspace');
+    }
+
+    async downloadBundle(createBundle, filename) {
+        try {
+            const bundle = await createBundle();
+            this.downloadFile(WorkspaceBundle.toJson(bundle), `${filename}-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    async importWorkspaceFile(file) {
+        try {
+            const data = WorkspaceBundle.parse(await file.text());
+            const conflicts = await this.workspaceBundle.findConflicts(data);
+            const names = [...conflicts.templates, ...conflicts.projects];
+
+            let onConflict = 'rename';
+            if (names.length > 0) {
+                const answer = prompt(
+                    `These already exist: ${names.join(', ')}.\n` +
+                    'Type "rename" to keep both, "overwrite" to replace the existing ones, or "skip" to keep only the existing ones.',
+                    'rename'
+                );
+                if (answer === null) return;
+                onConflict = answer.trim().toLowerCase();
+            }
+
+            const summary = await this.workspaceBundle.importBundle(data, { onConflict });
+            this.templates = await this.workspace.listTemplates();
+            this.loadTemplateList();
+            this.loadProjectList();
+
+            const describe = counts => `${counts.imported + counts.renamed + counts.overwritten} imported` +
+                (counts.renamed ? `, ${counts.renamed} renamed` : '') +
+                (counts.overwritten ? `, ${counts.overwritten} replaced` : '') +
+                (counts.skipped ? `, ${counts.skipped} skipped` : '');
+            alert(`Templates: ${describe(summary.templates)}\nProjects: ${describe(summary.projects)}`);
+        } catch (error) {
+            alert(`Import failed: ${error.message}`);
+        }
+    }
+
+    toFileSlug(name) {
+        return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+    }
+
     // Form field handlers
     updateZoneSpecificFields(zone, form) {
         // This could show zone-specific information or warnings
@@ -1038,12 +1862,28 @@ class PlanningValidationApp {
         }
     }
 
-    toggleCornerLotFields(isCorner, form) {
-        const streetSideField = form.querySelector('[name="streetSideSetback"]');
-        if (streetSideField) {
-            streetSideField.required = isCorner;
-            streetSideField.closest('.form-group').style.display = isCorner ? 'flex' : 'none';
-        }
+    /**
+     * Shows each [data-show-when] group only while its conditions hold and
+     * disables the hidden fields so they are neither required nor submitted.
+     * Conditions are space-separated and must all hold: "name" means the
+     * checkbox is checked or the field is not blank, "name=a|b" means the
+     * field's value is one of the listed values.
+     */
+    updateConditionalFields(form) {
+        form.querySelectorAll('[data-show-when]').forEach(group => {
+            const visible = group.dataset.showWhen.split(/\s+/).every(condition => {
+                const [name, values] = condition.split('=');
+                const field = form.querySelector(`[name="${name}"]`);
+                if (!field) return false;
+                if (values !== undefined) return values.split('|').includes(field.value);
+                return field.type === 'checkbox' ? field.checked : field.value !== '';
+            });
+
+            group.style.display = visible ? '' : 'none';
+            group.querySelectorAll('input, select, textarea').forEach(field => {
+                field.disabled = !visible;
+            });
+        });
     }
 
     toggleSecondUnitFields(hasSecondUnit, form) {
@@ -1058,6 +1898,11 @@ class PlanningValidationApp {
         if (button) {
             button.style.display = 'block';
         }
+
+        const formatSelect = document.getElementById(`${mode}ReportFormat`);
+        if (formatSelect) {
+            formatSelect.style.display = 'block';
+        }
     }
 
     // Report Generation Methods
@@ -1072,13 +1917,159 @@ class PlanningValidationApp {
     }
 
     generateValidationReport() {
-        if (!this.currentWorkflow || !this.currentWorkflow.results) {
+        if (!this.currentWorkflow || this.currentWorkflow.type !== 'validation') {
             alert('Please complete the validation workflow first.');
             return;
         }
 
-        const reportData = this.createValidationReportData();
-        this.downloadReport(reportData, 'validation-report', 'Validation Report');
+        const format = document.getElementById('validationReportFormat')?.value || 'html';
+        let exported;
+        try {
+            exported = this.reportExporter.export(this.getValidationWorkflowExport(), format);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        const prefix = format === 'letter' ? 'correction-letter' : 'validation-report';
+        this.downloadFile(exported.content, `${prefix}-${new Date().toISOString().split('T')[0]}.${exported.extension}`, exported.mimeType);
+    }
+
+    // Resubmittal Tracking
+    async recordValidationRun(container) {
+        try {
+            const project = await this.getProjectForSite(this.currentWorkflow.siteData);
+            const run = await this.workspace.recordValidationRun(project.id, this.getValidationWorkflowExport());
+            this.currentWorkflow.projectId = project.id;
+            this.currentWorkflow.runNumber = run.runNumber;
+
+            const previousRun = project.validationRuns[project.validationRuns.length - 1];
+            if (previousRun) {
+                this.displayRunComparison(container, this.runComparison.compare(previousRun, run));
+            }
+            this.updateRevisionControls([...project.validationRuns, run]);
+            await this.clearDrafts();
+        } catch (error) {
+            console.error('Could not record validation run:', error);
+        }
+    }
+
+    async recordPlanningRun() {
+        try {
+            const project = await this.getProjectForSite(this.currentWorkflow.siteData);
+            await this.workspace.recordPlanningRun(project.id, {
+                ...this.currentWorkflow,
+                overallStatus: 'completed'
+            });
+            this.currentWorkflow.projectId = project.id;
+            await this.clearDrafts();
+        } catch (error) {
+            console.error('Could not record planning run:', error);
+        }
+    }
+
+    /**
+     * The open project when it covers this site, otherwise the site's most
+     * recent project, otherwise a new one. The result becomes the open project.
+     */
+    async getProjectForSite(siteData) {
+        let project = this.currentProjectId ? await this.workspace.getProject(this.currentProjectId) : null;
+        if (!project || project.archived || !ProjectWorkspace.isSameSite(project.siteData, siteData)) {
+            project = await this.workspace.findProjectForSite(siteData) ||
+                await this.workspace.createProject({ siteData: siteData });
+        }
+
+        this.currentProjectId = project.id;
+        return project;
+    }
+
+    displayRunComparison(container, comparison) {
+        const formatValue = ReportRenderer.formatValue;
+        const violationItems = (violations, icon) => violations.map(violation => `
+            <div class="recommendation-item">
+                <div class="recommendation-icon">${icon}</div>
+                <div class="recommendation-text"><strong>${violation.ruleId}:</strong> ${violation.description}</div>
+            </div>
+        `).join('');
+        const valueItems = comparison.valueChanges.map(change => `
+            <div class="recommendation-item">
+                <div class="recommendation-icon">📏</div>
+                <div class="recommendation-text"><strong>${change.checkName}:</strong> ${formatValue(change.from)} → ${formatValue(change.to)}${change.required !== undefined && typeof change.required !== 'object' ? ` (limit ${formatValue(change.required)})` : ''}</div>
+            </div>
+        `).join('');
+
+        const comparisonHtml = `
+            <div class="final-report">
+                <div class="report-section">
+                    <h4 class="report-section-title">Changes Since ${comparison.previous.label} (${comparison.statusChange.from} → ${comparison.statusChange.to})</h4>
+                    <div class="task-item">
+                        <div class="task-content">
+                            <div class="task-name">${comparison.summary.resolved} resolved, ${comparison.summary.introduced} new, ${comparison.summary.persisting} outstanding</div>
+                            <div class="task-description">Compared with the run of ${new Date(comparison.previous.recordedAt).toLocaleString()}</div>
+                        </div>
+                    </div>
+                    <div class="recommendations">
+                        ${violationItems(comparison.resolved, '✅')}
+                        ${violationItems(comparison.introduced, '🆕')}
+                        ${violationItems(comparison.persisting.map(entry => entry.current), '⏳')}
+                        ${valueItems}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        container.insertAdjacentHTML('beforeend', comparisonHtml);
+        container.scrollTop = container.scrollHeight;
+    }
+
+    // Lists the project's earlier runs as baselines for the revision summary
+    updateRevisionControls(runs) {
+        const select = document.getElementById('revisionBaseline');
+        const button = document.getElementById('generateRevisionSummary');
+        if (!select || !button) return;
+
+        const earlierRuns = runs
+            .filter(run => run.runNumber < this.currentWorkflow.runNumber)
+            .reverse();
+
+        select.innerHTML = earlierRuns.map(run => `
+            <option value="${run.runNumber}">vs. ${run.label} - ${run.overallStatus} (${new Date(run.recordedAt).toLocaleDateString()})</option>
+        `).join('');
+        select.style.display = earlierRuns.length > 0 ? 'block' : 'none';
+        button.style.display = earlierRuns.length > 0 ? 'block' : 'none';
+    }
+
+    async generateRevisionSummary() {
+        const workflow = this.currentWorkflow;
+        if (!workflow || workflow.type !== 'validation' || !workflow.runNumber) {
+            alert('Please complete the validation workflow first.');
+            return;
+        }
+
+        const project = await this.workspace.getProject(workflow.projectId);
+        if (!project) {
+            alert('This project is no longer in the workspace.');
+            return;
+        }
+
+        const baselineNumber = parseInt(document.getElementById('revisionBaseline').value, 10);
+        const findRun = runNumber => project.validationRuns.find(run => run.runNumber === runNumber);
+        const comparison = this.runComparison.compare(findRun(baselineNumber), findRun(workflow.runNumber));
+        this.downloadReport(this.runComparison.toMarkdown(comparison), 'revision-summary', 'Revision Response Summary');
+    }
+
+    // Shapes the stored run like ValidationEngine.executeValidationWorkflow output
+    getValidationWorkflowExport() {
+        const workflow = this.currentWorkflow;
+        return {
+            siteData: workflow.siteData,
+            designData: workflow.designData,
+            asOf: workflow.asOf,
+            ordinance: workflow.ordinance,
+            phases: Object.fromEntries(workflow.results.map(result => [`phase${result.phase}`, result])),
+            overallStatus: workflow.finalReport.overallStatus.toLowerCase(),
+            finalReport: workflow.finalReport,
+            minimalChangeDesign: workflow.finalReport.minimalChangeDesign || undefined
+        };
     }
 
     createPlanningReportData() {
@@ -1090,6 +2081,9 @@ class PlanningValidationApp {
         reportContent += `**APN:** ${formData.apn}\n`;
         reportContent += `**Zone:** ${formData.zone}\n`;
         reportContent += `**Lot Size:** ${formData.lotSize.toLocaleString()} sf\n`;
+        if (workflow.ordinance) {
+            reportContent += `**Ordinance:** ${workflow.ordinance.edition} - ${this.formatOrdinanceEffectiveDates(workflow.ordinance)}\n`;
+        }
         reportContent += `**Generated:** ${new Date().toLocaleDateString()}\n\n`;
 
         reportContent += `## Executive Summary\n\n`;
@@ -1189,165 +2183,24 @@ class PlanningValidationApp {
         return reportContent;
     }
 
-    createValidationReportData() {
-        const workflow = this.currentWorkflow;
-        const formData = this.getFormData('validation');
-
-        let reportContent = `# Validation Report\n\n`;
-        reportContent += `**Property:** ${formData.address}\n`;
-        reportContent += `**Zone:** ${formData.zone}\n`;
-        reportContent += `**Lot Size:** ${formData.lotSize.toLocaleString()} sf\n`;
-        reportContent += `**Generated:** ${new Date().toLocaleDateString()}\n\n`;
-
-        // Overall compliance status
-        const overallStatus = this.calculateOverallStatus(workflow.results);
-        const statusIcon = overallStatus === 'APPROVED' ? '✅' : overallStatus === 'CONDITIONAL' ? '⚠️' : '❌';
-        reportContent += `## Overall Status: ${statusIcon} ${overallStatus}\n\n`;
-
-        let totalViolations = 0;
-        let criticalViolations = 0;
-
-        workflow.results.forEach((phase, index) => {
-            reportContent += `## Phase ${index + 1}: ${phase.phase}\n\n`;
-
-            if (phase.validationResults && phase.validationResults.length > 0) {
-                phase.validationResults.forEach(result => {
-                    const icon = this.getValidationIcon(result.status);
-                    const severity = result.critical ? ' (CRITICAL)' : '';
-
-                    if (result.status === 'FAIL') {
-                        totalViolations++;
-                        if (result.critical) criticalViolations++;
-                    }
-
-                    reportContent += `${icon} **${result.rule}**${severity}\n`;
-                    reportContent += `   Status: ${result.status}\n`;
-                    reportContent += `   Message: ${result.message}\n`;
-
-                    if (result.actual !== undefined) {
-                        reportContent += `   Actual: ${this.formatValidationValue(result.actual)}\n`;
-                    }
-                    if (result.required !== undefined) {
-                        reportContent += `   Required: ${this.formatValidationValue(result.required)}\n`;
-                    }
-
-                    if (result.status === 'FAIL' && result.remediation) {
-                        reportContent += `   **Remediation:** ${result.remediation}\n`;
-                    }
-
-                    reportContent += `\n`;
-                });
-            }
-        });
-
-        reportContent += `## Summary\n\n`;
-        reportContent += `• **Total Violations:** ${totalViolations}\n`;
-        reportContent += `• **Critical Violations:** ${criticalViolations}\n`;
-        reportContent += `• **Status:** ${overallStatus}\n\n`;
-
-        if (totalViolations > 0) {
-            reportContent += `## Required Actions\n\n`;
-            if (criticalViolations > 0) {
-                reportContent += `🚨 **CRITICAL:** Address ${criticalViolations} critical violation(s) before proceeding.\n`;
-            }
-            reportContent += `• Review and address all validation failures listed above\n`;
-            reportContent += `• Revise design to meet zoning requirements\n`;
-            reportContent += `• Re-validate design after modifications\n\n`;
-        } else {
-            reportContent += `## Approval Status\n\n`;
-            reportContent += `✅ All validations passed. Design meets zoning requirements.\n\n`;
-        }
-
-        reportContent += `---\n`;
-        reportContent += `*Generated by Palo Alto Planning & Validation Web Application*`;
-
-        return reportContent;
-    }
-
-    calculateOverallStatus(results) {
-        let hasCriticalFailures = false;
-        let hasFailures = false;
-
-        results.forEach(phase => {
-            if (phase.validationResults) {
-                phase.validationResults.forEach(result => {
-                    if (result.status === 'FAIL') {
-                        hasFailures = true;
-                        if (result.critical) {
-                            hasCriticalFailures = true;
-                        }
-                    }
-                });
-            }
-        });
-
-        if (hasCriticalFailures) return 'REJECTED';
-        if (hasFailures) return 'CONDITIONAL';
-        return 'APPROVED';
-    }
-
     downloadReport(content, filename, title) {
         // Create HTML version of the report
-        const htmlContent = this.convertMarkdownToHtml(content, title);
+        const htmlContent = this.reportRenderer.markdownToHtml(content, title);
+        this.downloadFile(htmlContent, `${filename}-${new Date().toISOString().split('T')[0]}.html`, 'text/html');
+    }
 
-        // Create blob and download
-        const blob = new Blob([htmlContent], { type: 'text/html' });
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `${filename}-${new Date().toISOString().split('T')[0]}.html`;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
     }
 
-    convertMarkdownToHtml(markdown, title) {
-        // Basic markdown to HTML conversion
-        let html = markdown
-            .replace(/^# (.+)$/gm, '<h1>$1</h1>')
-            .replace(/^## (.+)$/gm, '<h2>$1</h2>')
-            .replace(/^### (.+)$/gm, '<h3>$1</h3>')
-            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-            .replace(/^• (.+)$/gm, '<li>$1</li>')
-            .replace(/^---$/gm, '<hr>')
-            .replace(/\n\n/g, '</p><p>')
-            .replace(/\n/g, '<br>');
-
-        // Wrap list items
-        html = html.replace(/(<li>.*?<\/li>)/gs, '<ul>$1</ul>');
-        html = html.replace(/<\/ul><br><ul>/g, '');
-
-        // Wrap paragraphs
-        html = '<p>' + html + '</p>';
-        html = html.replace(/<p><h/g, '<h').replace(/<\/h([1-6])><\/p>/g, '</h$1>');
-        html = html.replace(/<p><ul>/g, '<ul>').replace(/<\/ul><\/p>/g, '</ul>');
-        html = html.replace(/<p><hr><\/p>/g, '<hr>');
-
-        return `<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <title>${title}</title>
-    <style>
-        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 800px; margin: 0 auto; padding: 40px 20px; line-height: 1.6; }
-        h1 { color: #007AFF; border-bottom: 2px solid #007AFF; padding-bottom: 10px; }
-        h2 { color: #333; margin-top: 30px; }
-        h3 { color: #666; }
-        ul { margin: 10px 0; }
-        li { margin: 5px 0; }
-        hr { margin: 30px 0; border: none; border-top: 1px solid #ddd; }
-        .status-approved { color: #34C759; font-weight: bold; }
-        .status-conditional { color: #FF9500; font-weight: bold; }
-        .status-rejected { color: #FF3B30; font-weight: bold; }
-    </style>
-</head>
-<body>
-    ${html}
-</body>
-</html>`;
-    }
-
     // Report formatting helper methods
     formatParameterName(key) {
         const nameMap = {
@@ -1355,6 +2208,7 @@ class PlanningValidationApp {
             'maxFloorArea': 'Maximum Floor Area',
             'setbacks': 'Required Setbacks',
             'farBreakdown': 'Floor Area Ratio Breakdown',
+            'basement': 'Basement Allowances',
             'buildingEnvelope': 'Building Envelope',
             'parkingRequirements': 'Parking Requirements',
             'accessRequirements': 'Access Requirements',
@@ -1397,6 +2251,8 @@ class PlanningValidationApp {
                 return this.formatSetbacks(value);
             } else if (key === 'farBreakdown') {
                 return this.formatFarBreakdown(value);
+            } else if (key === 'basement') {
+                return this.formatBasementAllowances(value);
             } else if (key === 'buildingEnvelope') {
                 return this.formatBuildingEnvelope(value);
             } else if (key === 'parkingRequirements' || key === 'required') {
@@ -1471,6 +2327,16 @@ class PlanningValidationApp {
         return parts.length > 0 ? parts.join(' | ') : 'Standard FAR applies';
     }
 
+    formatBasementAllowances(basement) {
+        if (!basement || typeof basement !== 'object') return 'N/A';
+
+        const parts = [];
+        if (basement.exemptFromFloorArea) parts.push(`Excluded from floor area when exposed ≤ ${basement.maxExposureAboveGrade} ft above grade`);
+        parts.push(`Lightwells: ${this.formatSetbacks(basement.lightwellSetbacks)} from property lines`);
+
+        return parts.join(' | ');
+    }
+
     formatBuildingEnvelope(envelope) {
         if (!envelope || typeof envelope !== 'object') return 'N/A';
 
@@ -1516,20 +2382,6 @@ class PlanningValidationApp {
         return parts.length > 0 ? parts.join(' | ') : 'Standard parking applies';
     }
 
-    formatValidationValue(value) {
-        if (value === null || value === undefined) return 'N/A';
-        if (typeof value === 'number') {
-            return value.toLocaleString();
-        }
-        if (typeof value === 'boolean') {
-            return value ? 'Yes' : 'No';
-        }
-        if (typeof value === 'object') {
-            return JSON.stringify(value, null, 2);
-        }
-        return value.toString();
-    }
-
     formatSimpleValue(value) {
         if (value === null || value === undefined) return 'N/A';
         if (typeof value === 'boolean') return value ? 'Yes' : 'No';
@@ -1637,6 +2489,8 @@ class PlanningValidationApp {
         if (coverage.maxCoverageArea) parts.push(`Base Coverage Area: ${coverage.maxCoverageArea.toLocaleString()} sq ft`);
         if (coverage.additionalAllowanceArea) parts.push(`Additional Area: ${coverage.additionalAllowanceArea.toLocaleString()} sq ft`);
         if (coverage.totalMaxCoverage) parts.push(`Total Max Coverage: ${coverage.totalMaxCoverage.toLocaleString()} sq ft`);
+        if (coverage.allowanceFor) parts.push(`Allowance For: ${coverage.allowanceFor}`);
+        if (coverage.exemptEaveProjection) parts.push(`Eaves Exempt Up To: ${coverage.exemptEaveProjection} ft`);
 
         return parts.length > 0 ? parts.join(' | ') : 'Standard coverage requirements';
     }
@@ -1647,6 +2501,113 @@ class PlanningValidationApp {
     }
 }
 
+// Quiet period (ms) before typing is recorded as one undo step and autosaved
+PlanningValidationApp.FORM_COMMIT_DELAY = 400;
+
+// Columns of each repeatable list in the forms, keyed by the data-list name
+PlanningValidationApp.LIST_FIELDS = {
+    gradePoints: [
+        {
+            field: 'location',
+            label: 'Location',
+            options: {
+                front_left: 'Front Left Corner',
+                front_right: 'Front Right Corner',
+                rear_left: 'Rear Left Corner',
+                rear_right: 'Rear Right Corner',
+                other: 'Other'
+            }
+        },
+        { field: 'existingGrade', label: 'Existing Grade (ft)', placeholder: '100' },
+        { field: 'finishedGrade', label: 'Finished Grade (ft)', placeholder: '100.5' }
+    ],
+    floorProfile: [
+        {
+            field: 'level',
+            label: 'Floor',
+            options: {
+                first: 'First Floor',
+                second: 'Second Floor',
+                third: 'Third Floor'
+            }
+        },
+        { field: 'plateHeight', label: 'Plate Height (ft)', placeholder: '10' },
+        { field: 'ceilingHeight', label: 'Ceiling Height (ft)', placeholder: '9' }
+    ],
+    spaces: [
+        {
+            field: 'level',
+            label: 'Level',
+            options: {
+                basement: 'Basement',
+                first: 'First Floor',
+                second: 'Second Floor',
+                third: 'Third Floor',
+                attic: 'Attic'
+            }
+        },
+        {
+            field: 'use',
+            label: 'Use',
+            options: {
+                living: 'Living Space',
+                garage: 'Garage'
+            }
+        },
+        { field: 'area', label: 'Area (sq ft)', placeholder: '1200' },
+        { field: 'height', label: 'Ceiling Height (ft)', placeholder: '9' }
+    ],
+    coverageItems: [
+        {
+            field: 'type',
+            label: 'Type',
+            options: {
+                main_house: 'Main House',
+                garage: 'Garage',
+                other_building: 'Other Building',
+                covered_porch: 'Covered Porch',
+                covered_patio: 'Covered Patio',
+                eave: 'Eaves'
+            }
+        },
+        { field: 'area', label: 'Area (sq ft)', placeholder: '2400' },
+        { field: 'projection', label: 'Eave Projection (ft)', placeholder: '3' }
+    ],
+    lightwells: [
+        {
+            field: 'propertyLine',
+            label: 'Property Line',
+            options: {
+                front: 'Front',
+                interiorSide: 'Interior Side',
+                streetSide: 'Street Side',
+                rear: 'Rear'
+            }
+        },
+        { field: 'setback', label: 'Distance to Property Line (ft)', placeholder: '6' }
+    ],
+    accessoryStructures: [
+        {
+            field: 'type',
+            label: 'Type',
+            options: {
+                shed: 'Shed',
+                detached_garage: 'Detached Garage',
+                carport: 'Carport',
+                cabana: 'Cabana / Pool House',
+                workshop: 'Workshop / Studio',
+                accessory_dwelling: 'Accessory Dwelling',
+                other: 'Other'
+            }
+        },
+        { field: 'footprint', label: 'Footprint (sq ft)', placeholder: '120' },
+        { field: 'height', label: 'Height (ft)', placeholder: '12' },
+        { field: 'sideSetback', label: 'Side Setback (ft)', placeholder: '5' },
+        { field: 'rearSetback', label: 'Rear Setback (ft)', placeholder: '5' },
+        { field: 'separation', label: 'Separation from House (ft)', placeholder: '10' }
+    ]
+};
+
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     console.log('DOM loaded, initializing app...');
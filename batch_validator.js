@@ -0,0 +1,312 @@
+/**
+ * Palo Alto Batch Validator
+ * Runs the validation workflow over a portfolio of projects and rolls the results
+ * up into a comparison table.
+ *
+ * Records come from a JSON array of { id, siteData, designData, asOf } objects or
+ * from a CSV file whose columns are prefixed "site." or "design." (for example
+ * site.lotSize, design.buildingHeight). Unprefixed "id" and "asOf" columns are
+ * also read. Cells are converted by the type the input schema declares for their
+ * column: numbers and booleans for numeric and boolean fields, JSON for array and
+ * object fields starting with "[" or "{", and semicolon-separated values for list
+ * fields (LIST_FIELDS). Everything else stays a string.
+ */
+
+class BatchValidator {
+    constructor(engine) {
+        this.engine = engine || this.createValidationEngine();
+        this.topRuleCount = 10;
+    }
+
+    createValidationEngine() {
+        const Engine = typeof ValidationEngine !== 'undefined' ? ValidationEngine : require('./validation_engine');
+        return new Engine();
+    }
+
+    /**
+     * Parses JSON or CSV text into project records
+     */
+    parseRecords(text, format) {
+        const trimmed = text.trim();
+        const resolvedFormat = format || (trimmed.startsWith("[") ? "json" : "csv");
+
+        if (resolvedFormat === "json") {
+            const records = JSON.parse(trimmed);
+            if (!Array.isArray(records)) {
+                throw new Error("Batch JSON must be an array of project records");
+            }
+            return records;
+        }
+
+        if (resolvedFormat === "csv") {
+            return this.parseCsvRecords(trimmed);
+        }
+
+        throw new Error(`Unsupported batch format: ${resolvedFormat}`);
+    }
+
+    parseCsvRecords(text) {
+        const rows = BatchValidator.parseCsv(text);
+        if (rows.length === 0) {
+            return [];
+        }
+
+        const schema = this.engine.createInputSchema();
+        const siteProperties = schema.getSiteDataSchema().properties;
+        const designProperties = schema.getDesignDataSchema().properties;
+
+        const headers = rows[0].map(header => header.trim());
+        return rows.slice(1)
+            .filter(row => row.some(cell => cell.trim() !== ""))
+            .map(row => {
+                const record = { siteData: {}, designData: {} };
+
+                headers.forEach((header, index) => {
+                    const cell = row[index] === undefined ? "" : row[index].trim();
+                    if (cell === "" || record.parseError) return;
+
+                    try {
+                        if (header.startsWith("site.")) {
+                            const field = header.slice(5);
+                            record.siteData[field] = BatchValidator.parseCell(cell, field, siteProperties[field]);
+                        } else if (header.startsWith("design.")) {
+                            const field = header.slice(7);
+                            record.designData[field] = BatchValidator.parseCell(cell, field, designProperties[field]);
+                        } else if (header === "id" || header === "asOf") {
+                            record[header] = cell;
+                        }
+                    } catch (error) {
+                        record.parseError = `Column ${header}: ${error.message}`;
+                    }
+                });
+
+                return record;
+            });
+    }
+
+    /**
+     * Validates every record. Malformed records and workflow errors are
+     * reported as ERROR rows instead of aborting the batch.
+     */
+    validateRecords(records, defaultAsOf = null) {
+        return records.map((record, index) => {
+            const id = record.id || (record.siteData && record.siteData.address) || `Record ${index + 1}`;
+
+            if (record.parseError) {
+                return { id, record, workflow: null, error: record.parseError };
+            }
+
+            if (!record.siteData || !record.designData) {
+                return { id, record, workflow: null, error: "Record must contain siteData and designData" };
+            }
+
+            const workflow = this.engine.executeValidationWorkflow(record.siteData, record.designData, {
+                asOf: record.asOf || defaultAsOf
+            });
+
+            return {
+                id,
+                record,
+                workflow,
+                error: workflow.overallStatus === "error" ? workflow.error :
+                    workflow.inputErrors ? workflow.inputErrors.map(error => error.message).join("; ") : null
+            };
+        });
+    }
+
+    run(records, defaultAsOf = null) {
+        return this.buildRollup(this.validateRecords(records, defaultAsOf));
+    }
+
+    buildRollup(results) {
+        const violationTypes = Object.values(this.engine.criticalViolationTypes);
+        const ruleCounts = {};
+        const statusCounts = {};
+
+        const rows = results.map(result => {
+            const workflow = result.workflow;
+            const status = workflow ? workflow.overallStatus.toUpperCase() : "ERROR";
+            const phases = workflow ? Object.values(workflow.phases) : [];
+            const violations = phases.flatMap(phase => phase.violations || []);
+            const warnings = phases.flatMap(phase => phase.warnings || []);
+
+            const row = {
+                id: result.id,
+                address: result.record.siteData ? result.record.siteData.address || "" : "",
+                zone: result.record.siteData ? result.record.siteData.zone || "" : "",
+                status: status,
+                totalViolations: violations.length
+            };
+            violationTypes.forEach(type => {
+                row[type] = violations.filter(violation => violation.type === type).length;
+            });
+            row.warnings = warnings.length;
+            row.failedRules = [...new Set(violations.map(violation => violation.ruleId).filter(Boolean))];
+            row.error = result.error || "";
+
+            row.failedRules.forEach(ruleId => {
+                const violation = violations.find(candidate => candidate.ruleId === ruleId);
+                ruleCounts[ruleId] = ruleCounts[ruleId] || { ruleId, category: violation.category, projects: 0 };
+                ruleCounts[ruleId].projects++;
+            });
+            statusCounts[status] = (statusCounts[status] || 0) + 1;
+
+            return row;
+        });
+
+        return {
+            generatedAt: new Date().toISOString(),
+            totalProjects: rows.length,
+            statusCounts: statusCounts,
+            violationTotals: violationTypes.reduce((totals, type) => {
+                totals[type] = rows.reduce((sum, row) => sum + row[type], 0);
+                return totals;
+            }, {}),
+            topFailingRules: Object.values(ruleCounts)
+                .sort((a, b) => b.projects - a.projects || a.ruleId.localeCompare(b.ruleId))
+                .slice(0, this.topRuleCount),
+            violationTypes: violationTypes,
+            rows: rows
+        };
+    }
+
+    // Export Formats
+
+    toCsv(rollup) {
+        const headers = ["id", "address", "zone", "status", "totalViolations", ...rollup.violationTypes,
+            "warnings", "failedRules", "error"];
+        const lines = [headers.join(",")];
+
+        rollup.rows.forEach(row => {
+            lines.push(headers.map(header => {
+                const value = header === "failedRules" ? row.failedRules.join(";") : row[header];
+                return BatchValidator.escapeCsv(value);
+            }).join(","));
+        });
+
+        return lines.join("\n") + "\n";
+    }
+
+    toJson(rollup) {
+        return JSON.stringify(rollup, null, 2);
+    }
+
+    /**
+     * Plain-text table for terminals and logs
+     */
+    formatTable(rollup) {
+        const columns = [
+            { key: "id", title: "Project" },
+            { key: "status", title: "Status" },
+            { key: "totalViolations", title: "Total" },
+            ...rollup.violationTypes.map(type => ({ key: type, title: type.replace("_stopper", "") })),
+            { key: "warnings", title: "Warnings" },
+            { key: "failedRules", title: "Failing Rules" }
+        ];
+        const cellText = (row, column) => column.key === "failedRules" ?
+            (row.error ? `error: ${row.error}` : row.failedRules.join(", ")) : String(row[column.key]);
+        const widths = columns.map(column =>
+            Math.max(column.title.length, ...rollup.rows.map(row => cellText(row, column).length))
+        );
+        const formatLine = cells => cells.map((cell, index) => cell.padEnd(widths[index])).join("  ").trimEnd();
+
+        const lines = [
+            formatLine(columns.map(column => column.title)),
+            formatLine(widths.map(width => "-".repeat(width))),
+            ...rollup.rows.map(row => formatLine(columns.map(column => cellText(row, column))))
+        ];
+
+        lines.push("");
+        lines.push(`${rollup.totalProjects} projects: ` +
+            Object.entries(rollup.statusCounts).map(([status, count]) => `${count} ${status}`).join(", "));
+
+        if (rollup.topFailingRules.length > 0) {
+            lines.push("Top failing rules: " + rollup.topFailingRules
+                .map(rule => `${rule.ruleId} ${rule.category} (${rule.projects})`).join(", "));
+        }
+
+        return lines.join("\n");
+    }
+
+    // CSV Utilities
+
+    static parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = "";
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ",") {
+                row.push(cell);
+                cell = "";
+            } else if (char === "\n" || char === "\r") {
+                if (char === "\r" && text[i + 1] === "\n") i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = "";
+            } else {
+                cell += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error("Unterminated quoted field in CSV");
+        }
+        if (cell !== "" || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Converts a CSV cell to the type its schema property declares, so that an
+     * all-digit APN stays a string. Throws when a JSON cell is malformed.
+     */
+    static parseCell(cell, field, property = {}) {
+        const types = [].concat(property.type || []);
+
+        if ((types.includes("array") || types.includes("object")) && (cell.startsWith("[") || cell.startsWith("{"))) {
+            try {
+                return JSON.parse(cell);
+            } catch (error) {
+                throw new Error(`Invalid JSON for ${field} (${error.message})`);
+            }
+        }
+        if (BatchValidator.LIST_FIELDS.includes(field)) return cell.split(";").map(value => value.trim()).filter(Boolean);
+        if (types.includes("boolean") && (cell === "true" || cell === "false")) return cell === "true";
+        if ((types.includes("number") || types.includes("integer")) && /^-?\d+(\.\d+)?$/.test(cell)) return Number(cell);
+        return cell;
+    }
+
+    static escapeCsv(value) {
+        const text = value === undefined || value === null ? "" : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Design fields that hold lists of values in CSV cells
+BatchValidator.LIST_FIELDS = ["professionalStamps", "submittedDocuments"];
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchValidator;
+} else if (typeof window !== 'undefined') {
+    window.BatchValidator = BatchValidator;
+}
\ No newline at end of file
@@ -0,0 +1,374 @@
+/**
+ * Palo Alto Compliance Checklist
+ * Individual plan-check items behind the Phase 5 comprehensive validation and
+ * the planning workflow's final compliance review.
+ * Items are generated from the zoning rulebook so a code amendment updates the
+ * checklist along with the engines.
+ */
+
+class ComplianceChecklist {
+    constructor(rulebook) {
+        this.rulebook = rulebook;
+        this.items = this.buildItems();
+    }
+
+    /**
+     * Evaluates every item. The context carries values the validation engine has
+     * already derived (substandard status, measured setbacks, daylight plane
+     * results, site geometry) so the checklist and the phase checks agree.
+     */
+    evaluate(siteData, designData, context = {}) {
+        const ctx = this.createContext(siteData, designData, context);
+        return this.summarize(this.items.map(item => this.evaluateItem(item, siteData, designData, ctx)));
+    }
+
+    /**
+     * Evaluates the checklist before a design exists, as in the planning
+     * workflow. Site items are checked against the site and the units it
+     * plans for; design items are reported as PENDING.
+     */
+    evaluateSite(siteData, context = {}) {
+        const plannedDesign = { hasSecondUnit: Boolean(siteData.hasSecondUnit) };
+        const ctx = this.createContext(siteData, plannedDesign, context);
+
+        return this.summarize(this.items.map(item => item.scope === "site" ?
+            this.evaluateItem(item, siteData, plannedDesign, ctx) :
+            this.describeItem(item, ComplianceChecklist.pending())));
+    }
+
+    createContext(siteData, designData, context) {
+        return {
+            zoneRequirements: this.rulebook.getZoneRequirements(siteData.zone) || {},
+            setbacks: { actual: {}, measured: null, discrepancies: [] },
+            daylightLines: [],
+            geometry: null,
+            isSubStandard: false,
+            lotCoverage: null,
+            floorArea: designData.totalFloorArea,
+            buildingHeight: designData.buildingHeight,
+            stories: null,
+            ...context
+        };
+    }
+
+    evaluateItem(item, siteData, designData, ctx) {
+        return this.describeItem(item, item.evaluate(siteData, designData, ctx));
+    }
+
+    describeItem(item, outcome) {
+        return {
+            id: item.id,
+            ruleId: item.ruleId,
+            category: item.category,
+            description: item.description,
+            result: outcome.result,
+            required: outcome.required,
+            actual: outcome.actual
+        };
+    }
+
+    summarize(results) {
+        return {
+            items: results,
+            totalChecks: results.length,
+            passed: results.filter(item => item.result === "PASS").length,
+            failed: results.filter(item => item.result === "FAIL").length,
+            notApplicable: results.filter(item => item.result === "N/A").length,
+            pending: results.filter(item => item.result === "PENDING").length,
+            byCategory: this.summarizeByCategory(results)
+        };
+    }
+
+    summarizeByCategory(results) {
+        const categories = {};
+        results.forEach(item => {
+            const summary = categories[item.category] || { passed: 0, failed: 0, notApplicable: 0, pending: 0 };
+            if (item.result === "PASS") summary.passed++;
+            else if (item.result === "FAIL") summary.failed++;
+            else if (item.result === "PENDING") summary.pending++;
+            else summary.notApplicable++;
+            categories[item.category] = summary;
+        });
+        return categories;
+    }
+
+    buildItems() {
+        const items = [];
+        const rule = ruleId => this.rulebook.getParameters(ruleId);
+        const add = (id, ruleId, description, evaluate, scope = "design") => {
+            items.push({
+                id: id,
+                ruleId: ruleId,
+                category: this.rulebook.getRule(ruleId).category,
+                description: description,
+                scope: scope,
+                evaluate: evaluate
+            });
+        };
+
+        const { atLeast, atMost, requireTrue, notApplicable } = ComplianceChecklist;
+
+        // Lot requirements and site
+        add("CP001-LOT-AREA", "CP001", "Lot area meets zone minimum",
+            (site, design, ctx) => atLeast(site.lotSize, ctx.zoneRequirements.minLotSize), "site");
+        add("CP001-ZONE-MATCH", "CP001", "Design submitted for the property's zone district",
+            (site, design) => requireTrue(site.zone === design.submittedZone, site.zone, design.submittedZone));
+        add("CP009-HISTORIC", "CP009", "Historic design review approved",
+            (site, design) => site.historicCategory ?
+                requireTrue(design.historicCompliance === "approved", "approved", design.historicCompliance || null) :
+                notApplicable());
+        add("CP012-CREEK", "CP012", "Footprint clear of creek setback areas",
+            (site, design, ctx) => ctx.geometry && site.creekSetbackAreas ?
+                atMost(ComplianceChecklist.encroachedArea(ctx.geometry, "creek"), 0) : notApplicable());
+        add("CP012-EASEMENT", "CP012", "Footprint clear of easements",
+            (site, design, ctx) => ctx.geometry && site.easementAreas ?
+                atMost(ComplianceChecklist.encroachedArea(ctx.geometry, "easement"), 0) : notApplicable());
+        add("CP012-WITHIN-LOT", "CP012", "Footprint lies within the lot boundary",
+            (site, design, ctx) => ctx.geometry && ctx.geometry.footprintWithinLot !== null ?
+                requireTrue(ctx.geometry.footprintWithinLot, true, ctx.geometry.footprintWithinLot) : notApplicable());
+
+        // Building envelope
+        add("CP002-HEIGHT", "CP002", "Building height within zone limit",
+            (site, design, ctx) => atMost(ctx.buildingHeight,
+                ctx.isSubStandard ? rule("CP002").subStandardMaxHeight : rule("CP002").maxHeight));
+        const stories = (site, design, ctx) => ctx.stories || ComplianceChecklist.declaredStories(design, ctx.isSubStandard, rule("CP015"));
+        add("CP015-SECOND-FLOOR", "CP015", "Second floor ceiling within story equivalency",
+            (site, design, ctx) => {
+                const ceiling = stories(site, design, ctx).ceilings.second;
+                return ceiling !== undefined ? atMost(ceiling, rule("CP015").secondFloor) : notApplicable();
+            });
+        add("CP015-THIRD-FLOOR", "CP015", "Third floor ceiling within story equivalency",
+            (site, design, ctx) => {
+                const ceiling = stories(site, design, ctx).ceilings.third;
+                return ceiling !== undefined ? atMost(ceiling, rule("CP015").thirdFloor) : notApplicable();
+            });
+        add("CP015-STORIES", "CP015", "Equivalent stories within limit, counting tall stories twice",
+            (site, design, ctx) => {
+                const count = stories(site, design, ctx);
+                return atMost(count.equivalentStories, count.maxStories);
+            });
+
+        [
+            ["front", "FRONT", "Front setback"],
+            ["interiorSide", "INTERIOR-SIDE", "Interior side setback"],
+            ["streetSide", "STREET-SIDE", "Street side setback"],
+            ["rear", "REAR", "Rear setback"]
+        ].forEach(([key, suffix, label]) => {
+            add(`CP004-${suffix}`, "CP004", `${label} meets minimum`,
+                (site, design, ctx) => key === "streetSide" && !site.isCornerLot ?
+                    notApplicable() : atLeast(ctx.setbacks.actual[key], rule("CP004")[key]));
+        });
+
+        add("CP003-FLOOR-AREA", "CP003", "Floor area within FAR allowance",
+            (site, design, ctx) => atMost(ctx.floorArea, ComplianceChecklist.maxFloorArea(site.lotSize, rule("CP003"))));
+
+        rule("CP005").applicableLines.forEach(line => {
+            add(`CP005-${line.toUpperCase().replace("_", "-")}`, "CP005",
+                `Daylight plane clear at ${line.replace("_", " ")} property line`,
+                (site, design, ctx) => {
+                    const result = ctx.daylightLines.find(entry => entry.propertyLine === line);
+                    return result ? atMost(result.maxIntrusion, 0) : notApplicable();
+                });
+        });
+
+        add("CP010-PORCH", "CP010", "Porch area within limit",
+            (site, design) => design.porchArea ? atMost(design.porchArea, rule("CP010").maxPorchArea) : notApplicable());
+        add("CP010-ENTRY", "CP010", "Entry projection within limit",
+            (site, design) => design.entryProjection ?
+                atMost(design.entryProjection, rule("CP010").maxEntryProjection) : notApplicable());
+        add("CP010-BAY-PROJECTION", "CP010", "Bay window projection within limit",
+            (site, design) => design.bayWindowProjection ?
+                atMost(design.bayWindowProjection, rule("CP010").maxBayWindowProjection) : notApplicable());
+        add("CP010-BAY-WIDTH", "CP010", "Bay window width within limit",
+            (site, design) => design.bayWindowWidth ?
+                atMost(design.bayWindowWidth, rule("CP010").maxBayWindowWidth) : notApplicable());
+
+        [
+            ["front", "FRONT", "front"],
+            ["interiorSide", "INTERIOR-SIDE", "interior side"],
+            ["streetSide", "STREET-SIDE", "street side"],
+            ["rear", "REAR", "rear"]
+        ].forEach(([key, suffix, label]) => {
+            add(`CP021-LIGHTWELL-${suffix}`, "CP021", `Lightwells clear of the ${label} setback`,
+                (site, design) => {
+                    const lightwells = design.hasBasement && Array.isArray(design.lightwells) ?
+                        design.lightwells.filter(lightwell => lightwell.propertyLine === key) : [];
+                    return lightwells.length > 0 ?
+                        atLeast(Math.min(...lightwells.map(lightwell => lightwell.setback)),
+                            ComplianceChecklist.lightwellSetback(key, rule("CP004"), rule("CP021"))) :
+                        notApplicable();
+                });
+        });
+
+        const lotCoverage = (site, design, ctx) => ctx.lotCoverage || ComplianceChecklist.declaredCoverage(site, design, rule("CP013"));
+        add("CP013-COVERAGE", "CP013", "Lot coverage within maximum",
+            (site, design, ctx) => {
+                const coverage = lotCoverage(site, design, ctx);
+                return atMost(coverage.buildingCoverage, coverage.buildingLimit);
+            });
+        add("CP013-COVERAGE-FEATURES", "CP013", "Coverage including all features within maximum",
+            (site, design, ctx) => {
+                const coverage = lotCoverage(site, design, ctx);
+                return coverage.hasFeatureTotal ? atMost(coverage.total, coverage.totalAllowed) : notApplicable();
+            });
+
+        // Parking and access
+        add("CP006-SPACES", "CP006", "Total parking spaces provided",
+            (site, design) => atLeast(design.parkingSpaces,
+                rule("CP006").mainDwelling.total + (design.hasSecondUnit ? rule("CP006").secondUnit.total : 0)));
+        add("CP006-COVERED", "CP006", "Covered parking spaces provided",
+            (site, design) => atLeast(design.coveredParkingSpaces,
+                rule("CP006").mainDwelling.covered + (design.hasSecondUnit ? rule("CP006").secondUnit.covered : 0)));
+        add("CP007-SURFACE-WIDTH", "CP007", "Driveway surface width",
+            (site, design) => atLeast(design.drivewaySurfaceWidth, rule("CP007").minSurfaceWidth));
+        add("CP007-CLEARANCE-WIDTH", "CP007", "Driveway clearance width",
+            (site, design) => atLeast(design.drivewayClearanceWidth, rule("CP007").minClearanceWidth));
+        add("CP007-BACKING", "CP007", "Backing distance to sidewalk",
+            (site, design) => atLeast(design.backingDistance, rule("CP007").minBackingDistance));
+        add("CP007-MATERIAL", "CP007", "Approved driveway material",
+            (site, design) => requireTrue(rule("CP007").approvedMaterials.includes(design.drivewayMaterial),
+                rule("CP007").approvedMaterials, design.drivewayMaterial || null));
+        add("CP014-GARAGE-FRONT", "CP014", "Garage front setback",
+            (site, design) => design.hasGarage ?
+                atLeast(design.garageFrontSetback,
+                    site.isCornerLot ? rule("CP014").cornerLotFrontSetback : rule("CP014").frontSetback) :
+                notApplicable());
+        add("CP014-GARAGE-STREET-SIDE", "CP014", "Corner lot garage street side setback",
+            (site, design) => design.hasGarage && site.isCornerLot ?
+                atLeast(design.garageStreetSideSetback, rule("CP014").cornerLotStreetSideSetback) : notApplicable());
+
+        // Special features
+        add("CP008-LOT-SIZE", "CP008", "Lot size qualifies for second unit",
+            (site, design, ctx) => design.hasSecondUnit ?
+                atLeast(site.lotSize, site.lotType === "flag" ?
+                    ctx.zoneRequirements.secondUnitMinFlag : ctx.zoneRequirements.secondUnitMinTypical) :
+                notApplicable(), "site");
+        add("CP017-UNIT-SIZE", "CP017", "Second unit size within maximum",
+            (site, design) => design.hasSecondUnit ? atMost(design.secondUnitArea, rule("CP017").maxSize) : notApplicable());
+        add("CP017-MAIN-HOUSE-SHARE", "CP017", "Second unit size within share of main house",
+            (site, design) => design.hasSecondUnit ?
+                atMost(design.secondUnitArea, design.mainHouseArea * rule("CP017").maxPercentOfMainHouse / 100) :
+                notApplicable());
+        add("CP011-HEIGHT", "CP011", "Accessory structure heights within limit",
+            (site, design) => ComplianceChecklist.hasAccessoryStructures(design) ?
+                atMost(Math.max(...design.accessoryStructures.map(s => s.height)), rule("CP011").maxHeight) :
+                notApplicable());
+        add("CP011-SIDE-SETBACK", "CP011", "Accessory structure side setbacks",
+            (site, design) => ComplianceChecklist.hasAccessoryStructures(design) ?
+                atLeast(Math.min(...design.accessoryStructures.map(s => s.sideSetback)), rule("CP011").minSetback) :
+                notApplicable());
+        add("CP011-REAR-SETBACK", "CP011", "Accessory structure rear setbacks",
+            (site, design) => ComplianceChecklist.hasAccessoryStructures(design) ?
+                atLeast(Math.min(...design.accessoryStructures.map(s => s.rearSetback)), rule("CP011").minSetback) :
+                notApplicable());
+        add("CP011-SEPARATION", "CP011", "Accessory structure separation from main house",
+            (site, design) => !ComplianceChecklist.hasAccessoryStructures(design) ? notApplicable() :
+                design.accessoryStructures.some(s => s.separation === undefined) ? ComplianceChecklist.pending() :
+                    atLeast(Math.min(...design.accessoryStructures.map(s => s.separation)), rule("CP011").minSeparation));
+        add("CP020-SETBACK", "CP020", "Pool setback",
+            (site, design) => design.hasPool ? atLeast(design.poolSetback, rule("CP020").minSetback) : notApplicable());
+        add("CP020-BARRIERS", "CP020", "Pool safety barriers specified",
+            (site, design) => design.hasPool ?
+                requireTrue(Boolean(design.poolSafetyBarriers), true, Boolean(design.poolSafetyBarriers)) :
+                notApplicable());
+
+        // Submittal requirements
+        rule("CP018").requiredStamps.forEach(stamp => {
+            add(`CP018-${stamp.toUpperCase().replace(/\s+/g, "-")}`, "CP018", `${stamp} stamp on drawings`,
+                (site, design) => requireTrue((design.professionalStamps || []).includes(stamp), stamp,
+                    (design.professionalStamps || []).includes(stamp) ? stamp : null));
+        });
+        rule("CP019").requiredDocuments.forEach(doc => {
+            add(`CP019-${doc.toUpperCase().replace(/_/g, "-")}`, "CP019", `Submittal includes ${doc.replace(/_/g, " ")}`,
+                (site, design) => requireTrue((design.submittedDocuments || []).includes(doc), doc,
+                    (design.submittedDocuments || []).includes(doc) ? doc : null));
+        });
+
+        return items;
+    }
+
+    // Outcome helpers. Missing numeric values fail rather than compare as undefined.
+
+    static atLeast(actual, required) {
+        const valid = typeof actual === "number" && !isNaN(actual);
+        return { result: valid && actual >= required ? "PASS" : "FAIL", required, actual: valid ? actual : null };
+    }
+
+    static atMost(actual, required) {
+        const valid = typeof actual === "number" && !isNaN(actual);
+        return { result: valid && actual <= required ? "PASS" : "FAIL", required, actual: valid ? actual : null };
+    }
+
+    static requireTrue(condition, required, actual) {
+        return { result: condition ? "PASS" : "FAIL", required, actual };
+    }
+
+    static notApplicable() {
+        return { result: "N/A", required: null, actual: null };
+    }
+
+    static pending() {
+        return { result: "PENDING", required: null, actual: null };
+    }
+
+    static maxFloorArea(lotSize, farRule) {
+        const calculated = Math.min(lotSize, farRule.baseLotArea) * farRule.baseRatio +
+            Math.max(lotSize - farRule.baseLotArea, 0) * farRule.excessRatio;
+        return Math.min(calculated, farRule.maxFloorArea);
+    }
+
+    static maxCoverage(lotSize, coverageRule) {
+        return lotSize * (coverageRule.baseCoveragePercent + coverageRule.additionalAllowancePercent) / 100;
+    }
+
+    /**
+     * Coverage figures from the declared totals alone, for callers that do not
+     * pass the engine's itemized coverage
+     */
+    static declaredCoverage(siteData, designData, coverageRule) {
+        const maxCoverage = ComplianceChecklist.maxCoverage(siteData.lotSize, coverageRule);
+        return {
+            buildingCoverage: designData.totalCoverage,
+            buildingLimit: maxCoverage,
+            total: designData.totalCoverageWithFeatures,
+            totalAllowed: maxCoverage,
+            hasFeatureTotal: designData.totalCoverageWithFeatures !== undefined
+        };
+    }
+
+    /**
+     * Story figures from the declared ceiling heights and floor count, for
+     * callers that do not pass the engine's floor profile
+     */
+    static declaredStories(designData, isSubStandard, storyRule) {
+        return {
+            ceilings: {
+                second: designData.floors >= 2 ? designData.secondFloorCeiling : undefined,
+                third: designData.floors >= 3 ? designData.thirdFloorCeiling : undefined
+            },
+            equivalentStories: designData.floors,
+            maxStories: isSubStandard ? storyRule.subStandardMaxStories : storyRule.maxStories
+        };
+    }
+
+    static lightwellSetback(propertyLine, setbackRule, basementRule) {
+        return Math.max(setbackRule[propertyLine] - basementRule.lightwellMaxEncroachment, basementRule.lightwellMinSetback);
+    }
+
+    static encroachedArea(geometry, type) {
+        return geometry.encroachments
+            .filter(encroachment => encroachment.type === type)
+            .reduce((sum, encroachment) => sum + encroachment.area, 0);
+    }
+
+    static hasAccessoryStructures(design) {
+        return Array.isArray(design.accessoryStructures) && design.accessoryStructures.length > 0;
+    }
+}
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComplianceChecklist;
+} else if (typeof window !== 'undefined') {
+    window.ComplianceChecklist = ComplianceChecklist;
+}
\ No newline at end of file
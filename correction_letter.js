@@ -0,0 +1,232 @@
+/**
+ * Palo Alto Correction Letter
+ * Turns the violations of a CONDITIONAL or REJECTED validation report into a
+ * plan-check correction letter: a numbered correction list grouped by
+ * category, each item citing its rule, the required and provided values and
+ * the remediation, with a blank response column for the resubmittal.
+ */
+
+class CorrectionLetterGenerator {
+    constructor(options = {}) {
+        this.agency = options.agency || "City of Palo Alto";
+        this.department = options.department || "Planning and Development Services";
+    }
+
+    getRendererClass() {
+        return typeof ReportRenderer !== 'undefined' ? ReportRenderer : require('./report_renderer');
+    }
+
+    /**
+     * Builds the letter model from a validation report model
+     */
+    generate(report) {
+        if (report.overallStatus === "APPROVED") {
+            throw new Error("The design is approved; there are no corrections to send");
+        }
+
+        const groups = [];
+        let number = 0;
+
+        report.phases.flatMap(phase => phase.violations).forEach(violation => {
+            let group = groups.find(candidate => candidate.category === violation.category);
+            if (!group) {
+                group = { category: violation.category, items: [] };
+                groups.push(group);
+            }
+
+            const values = this.describeValues(violation, report.remediations || []);
+            group.items.push({
+                number: ++number,
+                ruleId: violation.ruleId,
+                severity: violation.type,
+                correction: violation.description,
+                required: values.required,
+                provided: values.provided,
+                remediation: values.remediation,
+                response: ""
+            });
+        });
+
+        return {
+            agency: this.agency,
+            department: this.department,
+            title: "Plan Check Corrections",
+            date: new Date().toISOString(),
+            project: {
+                address: report.projectSummary.address,
+                apn: report.projectSummary.apn,
+                zone: report.projectSummary.zone,
+                lotSize: report.projectSummary.lotSize
+            },
+            ordinance: report.ordinance,
+            reviewStatus: report.overallStatus,
+            introduction: this.buildIntroduction(report),
+            groups: groups,
+            totalItems: number,
+            closing: [
+                "Cloud and delta every revision on the plans and note the sheet number in the Response column.",
+                "Return this letter with the revised plan set; partial responses will delay the review.",
+                `Estimated time to resolve: ${report.estimatedResolution}.`
+            ]
+        };
+    }
+
+    buildIntroduction(report) {
+        const ordinance = report.ordinance ? report.ordinance.edition : "the zoning ordinance";
+        const intro = `The plans submitted for the project referenced above have been reviewed for conformance with ${ordinance}. ` +
+            "The corrections listed below must be addressed before the project can be approved. " +
+            "Respond to each item in the Response column and resubmit the revised plans together with this letter.";
+
+        if (report.overallStatus === "REJECTED") {
+            return `${intro} Items marked ABSOLUTE STOPPER cannot be resolved by minor revisions and require the design to be reworked.`;
+        }
+        return intro;
+    }
+
+    /**
+     * Required and provided values for a correction item. Values come from the
+     * check that raised the violation; where that check reports no plain
+     * values (setbacks, daylight plane) the calculated remediations for the
+     * same rule supply them.
+     */
+    describeValues(violation, remediations) {
+        const Renderer = this.getRendererClass();
+        const isList = value => Array.isArray(value) && value.every(entry => typeof entry !== "object");
+        const isPlain = value => value !== undefined && value !== null && (typeof value !== "object" || isList(value));
+        const hasCheckValues = isPlain(violation.required) && isPlain(violation.actual);
+        const format = value => isList(value) ? value.join(", ") || "None" : Renderer.formatValue(value);
+
+        let related = remediations.filter(remediation => remediation.ruleId === violation.ruleId);
+        if (hasCheckValues && typeof violation.actual === "number") {
+            const sameValue = related.filter(remediation => remediation.current === violation.actual);
+            if (sameValue.length > 0) related = sameValue;
+        }
+
+        const remediation = [violation.remediation, ...related.map(entry => entry.description)].filter(Boolean).join("; ");
+
+        if (hasCheckValues) {
+            return {
+                required: format(violation.required),
+                provided: format(violation.actual),
+                remediation: remediation
+            };
+        }
+
+        const numeric = related.filter(entry => entry.field && entry.current !== undefined);
+        if (numeric.length > 0) {
+            return {
+                required: numeric.map(entry => `${entry.field}: ${Renderer.formatValue(entry.required)}`).join("; "),
+                provided: numeric.map(entry => `${entry.field}: ${Renderer.formatValue(entry.current)}`).join("; "),
+                remediation: remediation
+            };
+        }
+
+        return { required: "See correction", provided: "See correction", remediation: remediation };
+    }
+
+    // Output Formats
+
+    /**
+     * Word-compatible HTML, so the designer can type responses into the table
+     */
+    toHtml(letter) {
+        const Renderer = this.getRendererClass();
+        const escape = Renderer.escapeHtml;
+
+        const groupRows = letter.groups.map(group => `
+        <tr class="group"><td colspan="7">${escape(group.category)}</td></tr>
+        ${group.items.map(item => `<tr>
+            <td>${item.number}</td>
+            <td>${escape(item.ruleId)}<br><small>${escape(Renderer.formatSeverity(item.severity))}</small></td>
+            <td>${escape(item.correction)}</td>
+            <td>${escape(item.required)}</td>
+            <td>${escape(item.provided)}</td>
+            <td>${escape(item.remediation)}</td>
+            <td class="response">${escape(item.response)}</td>
+        </tr>`).join("\n        ")}`).join("");
+
+        return `<!DOCTYPE html>
+<html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word" xmlns="http://www.w3.org/TR/REC-html40">
+<head>
+    <meta charset="UTF-8">
+    <title>${escape(letter.title)} - ${escape(letter.project.address)}</title>
+    <!--[if gte mso 9]><xml><w:WordDocument><w:View>Print</w:View><w:Zoom>100</w:Zoom></w:WordDocument></xml><![endif]-->
+    <style>
+        body { font-family: Arial, sans-serif; font-size: 11pt; margin: 40px; }
+        .letterhead { border-bottom: 2px solid #000; margin-bottom: 20px; }
+        .letterhead h1 { font-size: 16pt; margin: 0; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #000; padding: 4px; vertical-align: top; font-size: 9pt; }
+        th { background: #ddd; }
+        tr.group td { background: #eee; font-weight: bold; }
+        td.response { width: 22%; }
+    </style>
+</head>
+<body>
+    <div class="letterhead">
+        <h1>${escape(letter.agency)}</h1>
+        <div>${escape(letter.department)}</div>
+    </div>
+    <h2>${escape(letter.title)}</h2>
+    <p>
+        <strong>Date:</strong> ${escape(new Date(letter.date).toLocaleDateString())}<br>
+        <strong>Project Address:</strong> ${escape(letter.project.address)}<br>
+        ${letter.project.apn ? `<strong>APN:</strong> ${escape(letter.project.apn)}<br>` : ""}
+        <strong>Zone:</strong> ${escape(letter.project.zone)}<br>
+        ${letter.ordinance ? `<strong>Ordinance:</strong> ${escape(letter.ordinance.edition)} (version ${escape(letter.ordinance.version)})<br>` : ""}
+        <strong>Review Status:</strong> ${escape(letter.reviewStatus)}
+    </p>
+    <p>${escape(letter.introduction)}</p>
+    <table>
+        <tr><th>No.</th><th>Rule</th><th>Correction</th><th>Required</th><th>Provided</th><th>Remediation</th><th>Response</th></tr>
+        ${groupRows}
+    </table>
+    <ul>
+        ${letter.closing.map(line => `<li>${escape(line)}</li>`).join("\n        ")}
+    </ul>
+</body>
+</html>`;
+    }
+
+    /**
+     * Plain-text letter for terminals and email
+     */
+    toText(letter) {
+        const Renderer = this.getRendererClass();
+        const lines = [
+            letter.agency,
+            letter.department,
+            "",
+            letter.title.toUpperCase(),
+            `Date: ${new Date(letter.date).toLocaleDateString()}`,
+            `Project Address: ${letter.project.address}`
+        ];
+        if (letter.project.apn) lines.push(`APN: ${letter.project.apn}`);
+        lines.push(`Zone: ${letter.project.zone}`);
+        if (letter.ordinance) lines.push(`Ordinance: ${letter.ordinance.edition} (version ${letter.ordinance.version})`);
+        lines.push(`Review Status: ${letter.reviewStatus}`, "", letter.introduction);
+
+        letter.groups.forEach(group => {
+            lines.push("", group.category.toUpperCase());
+            group.items.forEach(item => {
+                lines.push(`${item.number}. [${item.ruleId}, ${Renderer.formatSeverity(item.severity)}] ${item.correction}`);
+                lines.push(`   Required: ${item.required}`);
+                lines.push(`   Provided: ${item.provided}`);
+                if (item.remediation) lines.push(`   Remediation: ${item.remediation}`);
+                lines.push(`   Response: ${item.response || "________________________________"}`);
+            });
+        });
+
+        lines.push("");
+        letter.closing.forEach(line => lines.push(`- ${line}`));
+
+        return lines.join("\n");
+    }
+}
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CorrectionLetterGenerator;
+} else if (typeof window !== 'undefined') {
+    window.CorrectionLetterGenerator = CorrectionLetterGenerator;
+}
\ No newline at end of file
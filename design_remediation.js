@@ -0,0 +1,569 @@
+/**
+ * Palo Alto Design Remediation
+ * Computes the smallest numeric change that brings each failing dimension into
+ * compliance, and assembles a combined minimal-change design that is re-run
+ * through the validation workflow to confirm it passes.
+ */
+
+class DesignRemediator {
+    constructor(engine) {
+        this.engine = engine;
+        this.rulebook = engine.rulebook;
+        this.maxPasses = 3;
+    }
+
+    /**
+     * Lists every numeric limit that applies to the design. Each entry names the
+     * designData field it constrains, whether the limit is a maximum or minimum,
+     * and how to phrase the change.
+     */
+    getNumericRequirements(siteData, designData) {
+        const rule = ruleId => this.rulebook.getParameters(ruleId);
+        const requirements = [];
+        const add = requirement => requirements.push({ unit: "ft", integer: false, ...requirement });
+
+        const isSubStandard = this.engine.validateSubStandardStatus(siteData).isSubStandard;
+        const maxHeight = isSubStandard ? rule("CP002").subStandardMaxHeight : rule("CP002").maxHeight;
+        // A measured height comes down with the roof; parapets and chimneys sit on top of it
+        const measurement = this.engine.calculateBuildingHeight(designData);
+        if (measurement) {
+            const limit = DesignRemediator.round(designData.topOfRoofElevation + maxHeight - measurement.height);
+            add({
+                ruleId: "CP002", field: "topOfRoofElevation", label: "top of roof elevation", kind: "max", limit: limit,
+                describe: delta => `Lower the top of roof elevation by ${delta} ft (${designData.topOfRoofElevation} → ${limit} ft) ` +
+                    `so the height at the ${measurement.governing.label.toLowerCase()} is within ${maxHeight} ft`
+            });
+        } else {
+            add({ ruleId: "CP002", field: "buildingHeight", label: "building height", kind: "max", limit: maxHeight });
+        }
+
+        // With a floor profile the ceiling limits apply to each floor's own
+        // ceiling height; tall stories come down through their plate height,
+        // taking the ceiling with them
+        const storyCheck = this.engine.validateStoryEquivalency(designData, isSubStandard);
+        if (storyCheck.profile) {
+            const storyLimits = { second: rule("CP015").secondFloor, third: rule("CP015").thirdFloor };
+            designData.floorProfile.forEach((row, index) => {
+                const label = this.engine.formatSpaceLevel(row.level).toLowerCase();
+                const isTall = row.plateHeight > rule("CP015").tallStoryHeight;
+                if (storyCheck.equivalentStories > storyCheck.maxStories && isTall) {
+                    add({ ruleId: "CP015", field: `floorProfile.${index}.plateHeight`, label: `${label} plate height`, kind: "max", limit: rule("CP015").tallStoryHeight });
+                    add({
+                        ruleId: "CP015", field: `floorProfile.${index}.ceilingHeight`, label: `${label} ceiling height`, kind: "max",
+                        limit: rule("CP015").tallStoryHeight, minimum: DesignRemediator.MIN_CEILING_HEIGHT
+                    });
+                } else if (storyLimits[row.level] !== undefined) {
+                    add({
+                        ruleId: "CP015", field: `floorProfile.${index}.ceilingHeight`, label: `${label} ceiling height`, kind: "max",
+                        limit: storyLimits[row.level], minimum: DesignRemediator.MIN_CEILING_HEIGHT
+                    });
+                }
+            });
+        } else {
+            if (designData.floors >= 2) {
+                add({
+                    ruleId: "CP015", field: "secondFloorCeiling", label: "second floor ceiling height", kind: "max",
+                    limit: rule("CP015").secondFloor, minimum: DesignRemediator.MIN_CEILING_HEIGHT
+                });
+            }
+            if (designData.floors >= 3) {
+                add({
+                    ruleId: "CP015", field: "thirdFloorCeiling", label: "third floor ceiling height", kind: "max",
+                    limit: rule("CP015").thirdFloor, minimum: DesignRemediator.MIN_CEILING_HEIGHT
+                });
+            }
+        }
+
+        // Floor area counted from listed spaces is remediated space by space;
+        // a counted basement leaves less room for the declared floors above it
+        const floorArea = this.engine.calculateFloorArea(designData);
+        if (!floorArea.fromSpaces) {
+            add({
+                ruleId: "CP003", field: "totalFloorArea", label: "floor area", kind: "max", unit: "sq ft",
+                limit: this.engine.validateFAR(siteData, designData).maxAllowed - (floorArea.countable - designData.totalFloorArea)
+            });
+        }
+
+        // Itemized coverage is remediated item by item; accessory structure
+        // footprints count on top of the declared coverage
+        const coverage = this.engine.calculateLotCoverage(siteData, designData);
+        if (!coverage.itemized) {
+            const maxCoverage = Math.max(coverage.totalAllowed - coverage.accessoryCoverage, 0);
+            add({ ruleId: "CP013", field: "totalCoverage", label: "main building coverage", kind: "max", unit: "sq ft", limit: maxCoverage });
+            if (designData.totalCoverageWithFeatures !== undefined) {
+                add({ ruleId: "CP013", field: "totalCoverageWithFeatures", label: "coverage including features", kind: "max", unit: "sq ft", limit: maxCoverage });
+            }
+        }
+
+        const setbackCheck = this.engine.validateSetbacks(siteData, designData);
+        const setbackFields = {
+            front: "frontSetback",
+            interiorSide: "interiorSideSetback",
+            streetSide: "streetSideSetback",
+            rear: "rearSetback"
+        };
+        Object.entries(setbackFields).forEach(([key, field]) => {
+            if (key === "streetSide" && !siteData.isCornerLot) return;
+            const name = this.engine.formatSetbackName(key).toLowerCase();
+            const current = setbackCheck.actual[key];
+            add({
+                ruleId: "CP004", field, kind: "min", limit: rule("CP004")[key],
+                label: `${name} setback`,
+                current: current,
+                fromGeometry: Boolean(setbackCheck.measured && setbackCheck.measured[key] !== undefined),
+                describe: delta => `Move the ${name} wall ${delta} ft further from the property line ` +
+                    `(${current} → ${rule("CP004")[key]} ft)`
+            });
+        });
+
+        const features = rule("CP010");
+        [
+            ["porchArea", "porch area", features.maxPorchArea, "sq ft"],
+            ["entryProjection", "entry projection", features.maxEntryProjection, "ft"],
+            ["bayWindowProjection", "bay window projection", features.maxBayWindowProjection, "ft"],
+            ["bayWindowWidth", "bay window width", features.maxBayWindowWidth, "ft"]
+        ].forEach(([field, label, limit, unit]) => {
+            if (designData[field]) {
+                add({ ruleId: "CP010", field, label, kind: "max", limit, unit });
+            }
+        });
+
+        const parking = rule("CP006");
+        add({
+            ruleId: "CP006", field: "parkingSpaces", label: "parking spaces", kind: "min", unit: "", integer: true,
+            limit: parking.mainDwelling.total + (designData.hasSecondUnit ? parking.secondUnit.total : 0)
+        });
+        add({
+            ruleId: "CP006", field: "coveredParkingSpaces", label: "covered parking spaces", kind: "min", unit: "", integer: true,
+            limit: parking.mainDwelling.covered + (designData.hasSecondUnit ? parking.secondUnit.covered : 0)
+        });
+
+        const access = rule("CP007");
+        add({ ruleId: "CP007", field: "drivewaySurfaceWidth", label: "driveway surface width", kind: "min", limit: access.minSurfaceWidth });
+        add({ ruleId: "CP007", field: "drivewayClearanceWidth", label: "driveway clearance width", kind: "min", limit: access.minClearanceWidth });
+        add({ ruleId: "CP007", field: "backingDistance", label: "backing distance", kind: "min", limit: access.minBackingDistance });
+
+        if (designData.hasGarage) {
+            const garage = rule("CP014");
+            add({
+                ruleId: "CP014", field: "garageFrontSetback", label: "garage front setback", kind: "min",
+                limit: siteData.isCornerLot ? garage.cornerLotFrontSetback : garage.frontSetback
+            });
+            if (siteData.isCornerLot) {
+                add({ ruleId: "CP014", field: "garageStreetSideSetback", label: "garage street side setback", kind: "min", limit: garage.cornerLotStreetSideSetback });
+            }
+        }
+
+        if (designData.hasSecondUnit) {
+            const size = rule("CP017");
+            add({
+                ruleId: "CP017", field: "secondUnitArea", label: "second unit area", kind: "max", unit: "sq ft",
+                limit: Math.min(size.maxSize, designData.mainHouseArea * size.maxPercentOfMainHouse / 100)
+            });
+        }
+
+        (designData.accessoryStructures || []).forEach((structure, index) => {
+            const accessory = rule("CP011");
+            add({ ruleId: "CP011", field: `accessoryStructures.${index}.height`, label: `accessory structure ${index + 1} height`, kind: "max", limit: accessory.maxHeight });
+            add({ ruleId: "CP011", field: `accessoryStructures.${index}.sideSetback`, label: `accessory structure ${index + 1} side setback`, kind: "min", limit: accessory.minSetback });
+            add({ ruleId: "CP011", field: `accessoryStructures.${index}.rearSetback`, label: `accessory structure ${index + 1} rear setback`, kind: "min", limit: accessory.minSetback });
+            add({ ruleId: "CP011", field: `accessoryStructures.${index}.separation`, label: `accessory structure ${index + 1} separation from main house`, kind: "min", limit: accessory.minSeparation });
+        });
+
+        if (designData.hasBasement) {
+            const lightwellSetbacks = this.engine.getLightwellSetbacks();
+            (designData.lightwells || []).forEach((lightwell, index) => {
+                add({
+                    ruleId: "CP021", field: `lightwells.${index}.setback`, label: `lightwell ${index + 1} setback`, kind: "min",
+                    limit: lightwellSetbacks[lightwell.propertyLine]
+                });
+            });
+        }
+
+        if (designData.hasPool) {
+            add({ ruleId: "CP020", field: "poolSetback", label: "pool setback", kind: "min", limit: rule("CP020").minSetback });
+        }
+
+        return requirements.map(requirement => ({
+            current: DesignRemediator.getField(designData, requirement.field),
+            ...requirement
+        }));
+    }
+
+    /**
+     * Returns the exact change needed for each numeric requirement the design
+     * fails, keeping only rules the phase checks report as violated. Callers
+     * that already hold the workflow's violations pass them in.
+     */
+    calculateRemediations(siteData, designData, violations = null) {
+        const violatedRules = violations ?
+            new Set(violations.map(violation => violation.ruleId)) :
+            this.getViolatedRules(siteData, designData);
+        const remediations = this.getNumericRequirements(siteData, designData)
+            .filter(requirement => typeof requirement.current === "number")
+            .filter(requirement => requirement.kind === "max" ?
+                requirement.current > requirement.limit : requirement.current < requirement.limit)
+            .map(requirement => {
+                const rawDelta = Math.abs(requirement.current - requirement.limit);
+                const delta = requirement.integer ? Math.ceil(rawDelta) : DesignRemediator.round(rawDelta);
+                return {
+                    ruleId: requirement.ruleId,
+                    field: requirement.field,
+                    current: requirement.current,
+                    required: requirement.limit,
+                    delta: delta,
+                    direction: requirement.kind === "max" ? "decrease" : "increase",
+                    fromGeometry: requirement.fromGeometry || false,
+                    // A ceiling cut below a habitable height is no fix; the floors around it have to change
+                    belowMinimum: requirement.minimum !== undefined && requirement.limit < requirement.minimum,
+                    description: this.describeChange(requirement, delta)
+                };
+            });
+
+        return [
+            ...remediations,
+            ...this.calculateStoryRemediations(siteData, designData),
+            ...this.calculateFloorAreaRemediations(siteData, designData),
+            ...this.calculateCoverageRemediations(siteData, designData),
+            ...this.calculateDaylightRemediations(siteData, designData)
+        ].filter(remediation => violatedRules.has(remediation.ruleId));
+    }
+
+    /**
+     * Runs every phase, even after a critical site failure, and returns the
+     * rule IDs of the violations they report
+     */
+    getViolatedRules(siteData, designData) {
+        const phase1 = this.engine.executePhase1Validation(siteData, designData);
+        const phase2 = this.engine.executePhase2Validation(siteData, designData, phase1);
+        const phase3 = this.engine.executePhase3Validation(siteData, designData, { phase1, phase2 });
+        const phase4 = this.engine.executePhase4Validation(siteData, designData, { phase1, phase2, phase3 });
+        const phase5 = this.engine.executePhase5Validation(siteData, designData, { phase1, phase2, phase3, phase4 });
+
+        return new Set(this.engine.collectAllViolations({ phase1, phase2, phase3, phase4 }, phase5).map(violation => violation.ruleId));
+    }
+
+    /**
+     * Lowering tall plates brings each floor down to one story; floors still
+     * over the story limit after that have to be removed, which is a redesign
+     */
+    calculateStoryRemediations(siteData, designData) {
+        const isSubStandard = this.engine.validateSubStandardStatus(siteData).isSubStandard;
+        const storyCheck = this.engine.validateStoryEquivalency(designData, isSubStandard);
+        const floorCount = storyCheck.profile ? storyCheck.profile.floors.length : designData.floors;
+        if (storyCheck.equivalentStories <= storyCheck.maxStories || floorCount <= storyCheck.maxStories) return [];
+
+        const delta = floorCount - storyCheck.maxStories;
+        return [{
+            ruleId: "CP015",
+            field: "floors",
+            current: floorCount,
+            required: storyCheck.maxStories,
+            delta: delta,
+            direction: "decrease",
+            fromGeometry: false,
+            requiresRedesign: true,
+            description: `Remove ${delta} ${delta === 1 ? "floor" : "floors"} (${floorCount} → ${storyCheck.maxStories}); ` +
+                `${isSubStandard ? "substandard lots are" : "the zone is"} limited to ${storyCheck.maxStories} ` +
+                `${storyCheck.maxStories === 1 ? "story" : "stories"}`
+        }];
+    }
+
+    calculateFloorAreaRemediations(siteData, designData) {
+        const farCheck = this.engine.validateFAR(siteData, designData);
+        if (!farCheck.floorArea.fromSpaces || farCheck.result === "PASS") return [];
+
+        const delta = DesignRemediator.round(farCheck.actual - farCheck.maxAllowed);
+        return [{
+            ruleId: "CP003",
+            field: "spaces",
+            current: farCheck.actual,
+            required: farCheck.maxAllowed,
+            delta: delta,
+            direction: "decrease",
+            fromGeometry: false,
+            description: `Remove ${delta} sq ft of countable floor area (${farCheck.actual} → ${farCheck.maxAllowed} sq ft); ` +
+                `spaces taller than ${this.rulebook.getParameters("CP003").doubleCountHeight} ft count twice`
+        }];
+    }
+
+    /**
+     * Buildings over the base percentage are trimmed first; whatever the
+     * covered features still exceed of the total allowance comes off them
+     */
+    calculateCoverageRemediations(siteData, designData) {
+        const coverage = this.engine.calculateLotCoverage(siteData, designData);
+        if (!coverage.itemized) return [];
+
+        const remediations = [];
+        const buildingExcess = DesignRemediator.round(Math.max(coverage.buildingCoverage - coverage.buildingLimit, 0));
+        if (buildingExcess > 0) {
+            remediations.push({
+                ruleId: "CP013",
+                field: "coverageItems.building",
+                current: coverage.buildingCoverage,
+                required: coverage.buildingLimit,
+                delta: buildingExcess,
+                direction: "decrease",
+                fromGeometry: false,
+                description: `Reduce building coverage by ${buildingExcess} sq ft (${coverage.buildingCoverage} → ${coverage.buildingLimit} sq ft, the ${coverage.basePercent}% base)`
+            });
+        }
+
+        const featureExcess = DesignRemediator.round(Math.max(coverage.total - buildingExcess - coverage.totalAllowed, 0));
+        if (featureExcess > 0) {
+            remediations.push({
+                ruleId: "CP013",
+                field: "coverageItems.feature",
+                current: coverage.featureCoverage,
+                required: DesignRemediator.round(coverage.featureCoverage - featureExcess),
+                delta: featureExcess,
+                direction: "decrease",
+                fromGeometry: false,
+                description: `Reduce covered porches, patios or eaves by ${featureExcess} sq ft of counted coverage ` +
+                    `(total ${DesignRemediator.round(coverage.total - buildingExcess)} → ${coverage.totalAllowed} sq ft)`
+            });
+        }
+
+        return remediations;
+    }
+
+    calculateDaylightRemediations(siteData, designData) {
+        const isSubStandard = this.engine.validateSubStandardStatus(siteData).isSubStandard;
+        const storyCheck = this.engine.validateStoryEquivalency(designData, isSubStandard);
+        const daylightCheck = this.engine.validateDaylightPlane(siteData, designData, storyCheck);
+
+        // A tall story wall has no section points to lower; it has to step back or lose height
+        return (daylightCheck.intrusions || []).map(line => ({
+            ruleId: "CP005",
+            field: `daylightProfiles.${line.propertyLine}`,
+            current: line.location.height,
+            required: line.location.allowedHeight,
+            delta: line.maxIntrusion,
+            direction: "decrease",
+            fromGeometry: line.location.fromFloorProfile,
+            description: `Lower ${line.location.section} ${line.location.point} by ${line.maxIntrusion} ft ` +
+                `(or step it back) to clear the ${line.propertyLine.replace("_", " ")} daylight plane`
+        }));
+    }
+
+    describeChange(requirement, delta) {
+        if (requirement.describe) {
+            return requirement.describe(delta);
+        }
+
+        const unit = requirement.unit ? ` ${requirement.unit}` : "";
+        if (requirement.kind === "min" && requirement.integer) {
+            const label = delta === 1 ? requirement.label.replace(/s$/, "") : requirement.label;
+            return `Add ${delta} ${label} (${requirement.current} → ${requirement.limit})`;
+        }
+        if (requirement.unit === "sq ft") {
+            return requirement.kind === "max" ?
+                `Remove ${delta} sq ft of ${requirement.label} (${requirement.current} → ${requirement.limit} sq ft)` :
+                `Add ${delta} sq ft of ${requirement.label} (${requirement.current} → ${requirement.limit} sq ft)`;
+        }
+        return `${requirement.kind === "max" ? "Reduce" : "Increase"} ${requirement.label} by ${delta}${unit} ` +
+            `(${requirement.current} → ${requirement.limit}${unit})`;
+    }
+
+    /**
+     * Applies every available fix to a copy of the design and re-validates it.
+     * Fixes that need a redesign the engine cannot express (site conditions,
+     * historic review, geometry-derived setbacks) are reported as unresolved.
+     */
+    proposeMinimalChangeDesign(siteData, designData) {
+        const revised = JSON.parse(JSON.stringify(designData));
+        const changes = [];
+        const unresolved = [];
+        const record = (ruleId, field, from, to, description) => changes.push({ ruleId, field, from, to, description });
+
+        this.applyNonNumericFixes(siteData, revised, record, unresolved);
+
+        for (let pass = 0; pass < this.maxPasses; pass++) {
+            const remediations = this.calculateRemediations(siteData, revised)
+                .filter(remediation => !unresolved.some(entry => entry.field === remediation.field));
+            if (remediations.length === 0) break;
+
+            remediations.forEach(remediation => {
+                if (remediation.fromGeometry) {
+                    unresolved.push({
+                        ruleId: remediation.ruleId,
+                        field: remediation.field,
+                        description: `Revise the building footprint: ${remediation.description.charAt(0).toLowerCase()}${remediation.description.slice(1)}`
+                    });
+                } else if (remediation.requiresRedesign) {
+                    unresolved.push({
+                        ruleId: remediation.ruleId,
+                        field: remediation.field,
+                        description: `Redesign the floor plan: ${remediation.description.charAt(0).toLowerCase()}${remediation.description.slice(1)}`
+                    });
+                } else if (remediation.belowMinimum) {
+                    unresolved.push({
+                        ruleId: remediation.ruleId,
+                        field: remediation.field,
+                        description: `${remediation.description} would leave less than the ${DesignRemediator.MIN_CEILING_HEIGHT} ft ` +
+                            `habitable ceiling height; lower the floor plates instead`
+                    });
+                } else if (remediation.ruleId === "CP005") {
+                    this.lowerDaylightProfile(revised, remediation.field.split(".")[1]);
+                    record(remediation.ruleId, remediation.field, remediation.current, remediation.required, remediation.description);
+                } else if (remediation.field === "spaces") {
+                    this.reduceSpaces(revised, remediation.delta);
+                    record(remediation.ruleId, remediation.field, remediation.current, remediation.required, remediation.description);
+                } else if (remediation.field.startsWith("coverageItems.")) {
+                    this.reduceCoverageItems(revised, remediation.field.split(".")[1], remediation.delta);
+                    record(remediation.ruleId, remediation.field, remediation.current, remediation.required, remediation.description);
+                } else {
+                    DesignRemediator.setField(revised, remediation.field, remediation.required);
+                    record(remediation.ruleId, remediation.field, remediation.current, remediation.required, remediation.description);
+                }
+            });
+        }
+
+        const workflow = this.engine.executeValidationWorkflow(siteData, revised, { remediate: false });
+
+        return {
+            passes: workflow.overallStatus === "approved",
+            status: workflow.overallStatus,
+            designData: revised,
+            changes: changes,
+            unresolved: unresolved,
+            remainingViolations: Object.values(workflow.phases).flatMap(phase => phase.violations || [])
+        };
+    }
+
+    applyNonNumericFixes(siteData, revised, record, unresolved) {
+        const zoneReq = this.rulebook.getZoneRequirements(siteData.zone);
+
+        if (siteData.lotSize < zoneReq.minLotSize) {
+            unresolved.push({ ruleId: "CP001", field: "siteData.lotSize", description: "Lot is below the zone minimum; no design change can resolve this" });
+        }
+
+        if (revised.submittedZone !== siteData.zone) {
+            record("CP001", "submittedZone", revised.submittedZone, siteData.zone, `Resubmit the design under the property's zone (${siteData.zone})`);
+            revised.submittedZone = siteData.zone;
+        }
+
+        if (siteData.historicCategory && revised.historicCompliance !== "approved") {
+            unresolved.push({ ruleId: "CP009", field: "historicCompliance", description: "Obtain historic design review approval" });
+        }
+
+        const geometry = this.engine.analyzeSiteGeometry(siteData, revised);
+        if (geometry && geometry.encroachments.length > 0) {
+            unresolved.push({ ruleId: "CP012", field: "buildingFootprint", description: "Revise the building footprint to clear creek setbacks and easements" });
+        }
+
+        if (revised.hasSecondUnit) {
+            const minRequired = siteData.lotType === "flag" ? zoneReq.secondUnitMinFlag : zoneReq.secondUnitMinTypical;
+            if (siteData.lotSize < minRequired) {
+                record("CP008", "hasSecondUnit", true, false, `Eliminate the second unit (lot is below the ${minRequired} sq ft minimum)`);
+                revised.hasSecondUnit = false;
+            }
+        }
+
+        const approvedMaterials = this.rulebook.getParameters("CP007").approvedMaterials;
+        if (!approvedMaterials.includes(revised.drivewayMaterial)) {
+            record("CP007", "drivewayMaterial", revised.drivewayMaterial, approvedMaterials[0], `Specify an approved driveway material (${approvedMaterials.join(", ")})`);
+            revised.drivewayMaterial = approvedMaterials[0];
+        }
+
+        if (revised.hasPool && !revised.poolSafetyBarriers) {
+            record("CP020", "poolSafetyBarriers", false, true, "Specify compliant pool safety barriers");
+            revised.poolSafetyBarriers = true;
+        }
+
+        [
+            ["CP018", "professionalStamps", this.rulebook.getParameters("CP018").requiredStamps, "Add stamp"],
+            ["CP019", "submittedDocuments", this.rulebook.getParameters("CP019").requiredDocuments, "Submit"]
+        ].forEach(([ruleId, field, required, verb]) => {
+            const current = revised[field] || [];
+            const missing = required.filter(item => !current.includes(item));
+            if (missing.length > 0) {
+                record(ruleId, field, current, [...current, ...missing], `${verb}: ${missing.join(", ")}`);
+                revised[field] = [...current, ...missing];
+            }
+        });
+    }
+
+    lowerDaylightProfile(revised, propertyLine) {
+        const daylightRule = this.rulebook.getParameters("CP005");
+
+        (revised.daylightProfiles || [])
+            .filter(profile => profile.propertyLine === propertyLine)
+            .forEach(profile => {
+                profile.points.forEach(point => {
+                    const allowed = Math.floor(this.engine.calculateDaylightPlaneHeight(point.distance, daylightRule) * 100) / 100;
+                    if (point.height > allowed) {
+                        point.height = allowed;
+                    }
+                });
+            });
+    }
+
+    /**
+     * Trims the excess countable floor area from the largest counted spaces
+     * first, allowing for spaces that count twice
+     */
+    reduceSpaces(revised, excess) {
+        let remaining = excess;
+
+        this.engine.calculateFloorArea(revised).spaces
+            .map((space, index) => ({ index: index, multiplier: space.multiplier, counted: space.counted }))
+            .filter(space => space.multiplier > 0)
+            .sort((a, b) => b.counted - a.counted)
+            .forEach(space => {
+                if (remaining <= 0) return;
+                const target = revised.spaces[space.index];
+                const reduction = Math.min(target.area, Math.ceil(remaining / space.multiplier * 100) / 100);
+                target.area = DesignRemediator.round(target.area - reduction);
+                remaining -= reduction * space.multiplier;
+            });
+    }
+
+    /**
+     * Trims the excess counted coverage from the largest listed items in one
+     * bucket ("building" or "feature"), allowing for eaves that count only in
+     * part
+     */
+    reduceCoverageItems(revised, bucket, excess) {
+        let remaining = excess;
+        const coverageRule = this.rulebook.getParameters("CP013");
+
+        revised.coverageItems
+            .map((item, index) => ({ index: index, ...this.engine.getCoverageItemTreatment(item, coverageRule) }))
+            .filter(item => item.bucket === bucket && item.counted > 0)
+            .sort((a, b) => b.counted - a.counted)
+            .forEach(item => {
+                if (remaining <= 0) return;
+                const target = revised.coverageItems[item.index];
+                const share = item.counted / item.area;
+                const reduction = Math.min(target.area, Math.ceil(remaining / share * 100) / 100);
+                target.area = DesignRemediator.round(target.area - reduction);
+                remaining -= reduction * share;
+            });
+    }
+
+    static getField(data, field) {
+        return field.split(".").reduce((value, key) => value === undefined || value === null ? undefined : value[key], data);
+    }
+
+    static setField(data, field, value) {
+        const keys = field.split(".");
+        const parent = keys.slice(0, -1).reduce((target, key) => target[key], data);
+        parent[keys[keys.length - 1]] = value;
+    }
+
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Lowest ceiling height (ft) a remediation may propose for a habitable floor
+DesignRemediator.MIN_CEILING_HEIGHT = 7;
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DesignRemediator;
+} else if (typeof window !== 'undefined') {
+    window.DesignRemediator = DesignRemediator;
+}
\ No newline at end of file
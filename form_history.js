@@ -0,0 +1,89 @@
+/**
+ * Palo Alto Form History
+ * Multi-step undo/redo over snapshots of one form's field values. The caller
+ * records a snapshot after each settled edit; identical snapshots are ignored
+ * so focus changes and re-renders do not add empty steps.
+ */
+
+class FormHistory {
+    constructor(limit = FormHistory.DEFAULT_LIMIT) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = null;
+    }
+
+    /**
+     * Starts a fresh history from the given snapshot
+     */
+    reset(snapshot) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = FormHistory.copy(snapshot);
+    }
+
+    /**
+     * Records a new state. Returns false when nothing changed.
+     */
+    record(snapshot) {
+        if (this.current === null) {
+            this.reset(snapshot);
+            return false;
+        }
+        if (FormHistory.isEqual(this.current, snapshot)) {
+            return false;
+        }
+
+        this.undoStack.push(this.current);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.current = FormHistory.copy(snapshot);
+        return true;
+    }
+
+    /**
+     * The state before the current one, or null when there is none
+     */
+    undo() {
+        if (!this.canUndo()) return null;
+
+        this.redoStack.push(this.current);
+        this.current = this.undoStack.pop();
+        return FormHistory.copy(this.current);
+    }
+
+    redo() {
+        if (!this.canRedo()) return null;
+
+        this.undoStack.push(this.current);
+        this.current = this.redoStack.pop();
+        return FormHistory.copy(this.current);
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    static isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    static copy(snapshot) {
+        return JSON.parse(JSON.stringify(snapshot));
+    }
+}
+
+FormHistory.DEFAULT_LIMIT = 100;
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormHistory;
+} else if (typeof window !== 'undefined') {
+    window.FormHistory = FormHistory;
+}
\ No newline at end of file
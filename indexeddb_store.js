@@ -0,0 +1,87 @@
+/**
+ * Palo Alto IndexedDB Store
+ * Promise wrapper around an IndexedDB database with one object store per
+ * record type, each keyed by "id". Shares its API with MemoryStore.
+ */
+
+class IndexedDbStore {
+    constructor(storeNames = [], options = {}) {
+        this.storeNames = storeNames;
+        this.databaseName = options.databaseName || "paloAltoWorkspace";
+        this.version = options.version || 1;
+        this.factory = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this);
+        if (!this.factory) {
+            return Promise.reject(new Error("IndexedDB is not available in this environment"));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = this.factory.open(this.databaseName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                this.storeNames.forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath: "id" });
+                    }
+                });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    get(storeName, id) {
+        return this.request(storeName, "readonly", store => store.get(id))
+            .then(record => record === undefined ? null : record);
+    }
+
+    getAll(storeName) {
+        return this.request(storeName, "readonly", store => store.getAll());
+    }
+
+    put(storeName, record) {
+        return this.request(storeName, "readwrite", store => store.put(record)).then(() => record);
+    }
+
+    delete(storeName, id) {
+        return this.request(storeName, "readwrite", store => store.delete(id)).then(() => undefined);
+    }
+
+    clear(storeName) {
+        return this.request(storeName, "readwrite", store => store.clear()).then(() => undefined);
+    }
+
+    /**
+     * Runs one request in its own transaction and resolves once the
+     * transaction has committed
+     */
+    request(storeName, mode, operation) {
+        return this.open().then(() => new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            let result;
+
+            request.onsuccess = () => {
+                result = request.result;
+            };
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error(`Transaction on ${storeName} aborted`));
+        }));
+    }
+}
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndexedDbStore;
+} else if (typeof window !== 'undefined') {
+    window.IndexedDbStore = IndexedDbStore;
+}
\ No newline at end of file
@@ -0,0 +1,548 @@
+/**
+ * Palo Alto Input Schemas
+ * JSON Schemas (draft-07) for siteData and designData, plus a validator for the
+ * subset of keywords they use. Both engines check their inputs against these
+ * schemas before running, and the web forms reuse them for field validation.
+ */
+
+class InputSchema {
+    constructor(rulebook) {
+        this.rulebook = rulebook;
+        this.schemas = {
+            siteData: InputSchema.buildSiteDataSchema(rulebook.getZones()),
+            designData: InputSchema.buildDesignDataSchema(rulebook.getZones())
+        };
+    }
+
+    getSiteDataSchema() {
+        return this.schemas.siteData;
+    }
+
+    getDesignDataSchema() {
+        return this.schemas.designData;
+    }
+
+    /**
+     * Validates siteData on its own, including the cross-field rules that only
+     * involve the site
+     */
+    validateSiteData(siteData) {
+        const errors = InputSchema.validate(this.schemas.siteData, siteData, "siteData");
+
+        if (InputSchema.isPlainObject(siteData)) {
+            const siteRules = InputSchema.CROSS_FIELD_RULES.filter(rule => rule.object === "siteData");
+            errors.push(...InputSchema.checkCrossFieldRules(siteRules, siteData, {}));
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Validates a siteData/designData pair, including rules that span both
+     * objects and so cannot be expressed in either schema alone
+     */
+    validateProject(siteData, designData) {
+        const errors = [
+            ...InputSchema.validate(this.schemas.siteData, siteData, "siteData"),
+            ...InputSchema.validate(this.schemas.designData, designData, "designData")
+        ];
+
+        if (InputSchema.isPlainObject(siteData) && InputSchema.isPlainObject(designData)) {
+            errors.push(...InputSchema.checkCrossFieldRules(InputSchema.CROSS_FIELD_RULES, siteData, designData));
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    static checkCrossFieldRules(rules, siteData, designData) {
+        return rules
+            .filter(rule => rule.when(siteData, designData))
+            .filter(rule => rule.valid ?
+                !rule.valid(siteData, designData) :
+                typeof designData[rule.field] !== "number")
+            .map(rule => ({
+                field: `${rule.object || "designData"}.${rule.field}`,
+                keyword: rule.keyword || "required",
+                message: rule.message
+            }));
+    }
+
+    /**
+     * Validates a value against a schema. Supports type, required, properties,
+     * items, enum, const, minimum, maximum, exclusiveMinimum, minLength,
+     * minItems, allOf and if/then. Titles for required-property messages come
+     * from the schema's own properties or, inside if/then, from the parent's.
+     */
+    static validate(schema, value, path, parentProperties = {}) {
+        const errors = [];
+        const label = schema.title || path;
+        const addError = (keyword, message) => errors.push({ field: path, keyword, message });
+
+        if (schema.type && !InputSchema.matchesType(value, schema.type)) {
+            const expected = Array.isArray(schema.type) ? schema.type.join(" or ") : schema.type;
+            addError("type", `${label} must be ${/^[aeiou]/.test(expected) ? "an" : "a"} ${expected}`);
+            return errors;
+        }
+
+        if (schema.const !== undefined && value !== schema.const) {
+            addError("const", `${label} must be ${schema.const}`);
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            addError("enum", `${label} must be one of: ${schema.enum.filter(option => option !== null).join(", ")}`);
+        }
+
+        if (typeof value === "number") {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                addError("minimum", `${label} must be at least ${schema.minimum}`);
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                addError("exclusiveMinimum", `${label} must be greater than ${schema.exclusiveMinimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                addError("maximum", `${label} must be at most ${schema.maximum}`);
+            }
+        }
+
+        if (typeof value === "string" && schema.minLength !== undefined && value.length < schema.minLength) {
+            addError("minLength", `${label} is required`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                addError("minItems", `${label} must have at least ${schema.minItems} ${schema.minItems === 1 ? "entry" : "entries"}`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...InputSchema.validate(schema.items, item, `${path}[${index}]`));
+                });
+            }
+        }
+
+        if (InputSchema.isPlainObject(value)) {
+            (schema.required || []).forEach(property => {
+                if (value[property] === undefined) {
+                    const propertySchema = (schema.properties || parentProperties)[property] || {};
+                    errors.push({
+                        field: `${path}.${property}`,
+                        keyword: "required",
+                        message: `${propertySchema.title || property} is required`
+                    });
+                }
+            });
+
+            Object.entries(schema.properties || {}).forEach(([property, propertySchema]) => {
+                if (value[property] !== undefined) {
+                    errors.push(...InputSchema.validate(propertySchema, value[property], `${path}.${property}`));
+                }
+            });
+
+            (schema.allOf || []).forEach(subschema => {
+                if (subschema.if) {
+                    if (InputSchema.validate(subschema.if, value, path).length === 0 && subschema.then) {
+                        errors.push(...InputSchema.validate(subschema.then, value, path, schema.properties));
+                    }
+                } else {
+                    errors.push(...InputSchema.validate(subschema, value, path, schema.properties));
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    static matchesType(value, type) {
+        const types = Array.isArray(type) ? type : [type];
+        return types.some(candidate => {
+            switch (candidate) {
+                case "null": return value === null;
+                case "number": return typeof value === "number" && !isNaN(value);
+                case "integer": return Number.isInteger(value);
+                case "string": return typeof value === "string";
+                case "boolean": return typeof value === "boolean";
+                case "array": return Array.isArray(value);
+                case "object": return InputSchema.isPlainObject(value);
+                default: return false;
+            }
+        });
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === "object" && !Array.isArray(value);
+    }
+
+    /**
+     * Edge labels given for the lot, from lotEdgeTypes or the lot Feature's
+     * properties.edgeTypes
+     */
+    static getLotEdgeTypes(siteData) {
+        const boundaryProperties = InputSchema.isPlainObject(siteData.lotBoundary) && siteData.lotBoundary.properties;
+        return siteData.lotEdgeTypes || (boundaryProperties && boundaryProperties.edgeTypes) || null;
+    }
+
+    /**
+     * Number of edges in the lot boundary as the site geometry reads it, or
+     * null when the boundary is missing or cannot be read
+     */
+    static countLotEdges(lotBoundary) {
+        if (!lotBoundary) return null;
+        try {
+            return new (InputSchema.getSiteGeometryClass())().toLocalPolygon(lotBoundary).length;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Site polygon fields whose coordinate frame differs from the lot's, or
+     * none when the polygons cannot be read
+     */
+    static findMixedFrames(siteData, designData) {
+        try {
+            return InputSchema.getSiteGeometryClass().findMixedFrames(siteData, designData);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    static getSiteGeometryClass() {
+        return typeof SiteGeometry !== 'undefined' ? SiteGeometry : require('./site_geometry');
+    }
+
+    // Schema Definitions
+
+    static buildSiteDataSchema(zones) {
+        const areaList = {
+            type: "array",
+            items: { type: ["array", "object"] }
+        };
+
+        return {
+            $schema: "http://json-schema.org/draft-07/schema#",
+            $id: "site-data.schema.json",
+            title: "siteData",
+            type: "object",
+            required: ["address", "zone", "lotSize"],
+            properties: {
+                address: { title: "Property address", type: "string", minLength: 1 },
+                apn: { title: "APN", type: "string" },
+                zone: { title: "Zone district", type: "string", enum: zones },
+                lotSize: { title: "Lot size", type: "number", minimum: 1000 },
+                lotType: { title: "Lot type", type: "string", enum: ["typical", "flag"] },
+                isCornerLot: { title: "Corner lot", type: "boolean" },
+                creekAreas: { title: "Creek areas", type: "number", minimum: 0 },
+                easements: { title: "Easements", type: "number", minimum: 0 },
+                historicCategory: { title: "Historic category", type: ["string", "null"] },
+                hasSecondUnit: { title: "Second unit", type: "boolean" },
+                lotBoundary: { title: "Lot boundary", type: ["array", "object"] },
+                lotEdgeTypes: {
+                    title: "Lot edge types",
+                    type: "array",
+                    items: { type: "string", enum: ["front", "interiorSide", "streetSide", "rear"] }
+                },
+                creekSetbackAreas: { ...areaList, title: "Creek setback areas" },
+                easementAreas: { ...areaList, title: "Easement areas" }
+            }
+        };
+    }
+
+    static buildDesignDataSchema(zones) {
+        const length = title => ({ title, type: "number", minimum: 0 });
+        const count = title => ({ title, type: "integer", minimum: 0 });
+
+        return {
+            $schema: "http://json-schema.org/draft-07/schema#",
+            $id: "design-data.schema.json",
+            title: "designData",
+            type: "object",
+            required: [
+                "submittedZone", "floors",
+                "frontSetback", "interiorSideSetback", "rearSetback",
+                "parkingSpaces", "coveredParkingSpaces",
+                "drivewaySurfaceWidth", "drivewayClearanceWidth", "backingDistance", "drivewayMaterial",
+                "professionalStamps", "submittedDocuments"
+            ],
+            properties: {
+                submittedZone: { title: "Submitted zone", type: "string", enum: zones },
+                buildingHeight: { title: "Building height", type: "number", exclusiveMinimum: 0 },
+                roofType: { title: "Roof type", type: "string", enum: InputSchema.ROOF_TYPES },
+                topOfRoofElevation: { title: "Top of roof elevation", type: "number" },
+                parapetHeight: length("Parapet height above the roof"),
+                chimneyHeight: length("Chimney height above the roof"),
+                gradePoints: {
+                    title: "Grade points",
+                    type: "array",
+                    items: {
+                        title: "Grade point",
+                        type: "object",
+                        required: ["location", "existingGrade", "finishedGrade"],
+                        properties: {
+                            location: { title: "Grade point location", type: "string", enum: InputSchema.GRADE_POINT_LOCATIONS },
+                            existingGrade: { title: "Existing grade elevation", type: "number" },
+                            finishedGrade: { title: "Finished grade elevation", type: "number" }
+                        }
+                    }
+                },
+                totalFloorArea: { title: "Total floor area", type: "number", exclusiveMinimum: 0 },
+                floors: { title: "Number of floors", type: "integer", minimum: 1, maximum: 3 },
+                secondFloorCeiling: length("Second floor ceiling height"),
+                thirdFloorCeiling: length("Third floor ceiling height"),
+                floorProfile: {
+                    title: "Floor profile",
+                    type: "array",
+                    items: {
+                        title: "Floor",
+                        type: "object",
+                        required: ["level", "plateHeight", "ceilingHeight"],
+                        properties: {
+                            level: { title: "Floor level", type: "string", enum: InputSchema.FLOOR_PROFILE_LEVELS },
+                            plateHeight: { title: "Floor plate height", type: "number", exclusiveMinimum: 0 },
+                            ceilingHeight: { title: "Floor ceiling height", type: "number", exclusiveMinimum: 0 }
+                        }
+                    }
+                },
+                totalCoverage: length("Main building coverage, excluding accessory structures"),
+                totalCoverageWithFeatures: length("Main building coverage with features, excluding accessory structures"),
+                frontSetback: length("Front setback"),
+                interiorSideSetback: length("Interior side setback"),
+                streetSideSetback: { title: "Street side setback", type: ["number", "null"], minimum: 0 },
+                rearSetback: length("Rear setback"),
+                porchArea: length("Porch area"),
+                entryProjection: length("Entry projection"),
+                bayWindowProjection: length("Bay window projection"),
+                bayWindowWidth: length("Bay window width"),
+                parkingSpaces: count("Parking spaces"),
+                coveredParkingSpaces: count("Covered parking spaces"),
+                drivewaySurfaceWidth: length("Driveway surface width"),
+                drivewayClearanceWidth: length("Driveway clearance width"),
+                backingDistance: length("Backing distance"),
+                drivewayMaterial: { title: "Driveway material", type: "string", minLength: 1 },
+                hasGarage: { title: "Garage", type: "boolean" },
+                garageFrontSetback: length("Garage front setback"),
+                garageStreetSideSetback: length("Garage street side setback"),
+                hasSecondUnit: { title: "Second unit", type: "boolean" },
+                secondUnitArea: length("Second unit area"),
+                mainHouseArea: length("Main house area"),
+                hasPool: { title: "Pool", type: "boolean" },
+                poolSetback: length("Pool setback"),
+                poolSafetyBarriers: { title: "Pool safety barriers", type: "boolean" },
+                historicCompliance: { title: "Historic compliance", type: ["string", "null"] },
+                hasBasement: { title: "Basement", type: "boolean" },
+                basementArea: length("Basement area"),
+                basementDepth: length("Basement depth below grade"),
+                basementExposure: length("Basement exposure above grade"),
+                lightwells: {
+                    title: "Lightwells",
+                    type: "array",
+                    items: {
+                        title: "Lightwell",
+                        type: "object",
+                        required: ["propertyLine", "setback"],
+                        properties: {
+                            propertyLine: {
+                                title: "Lightwell property line",
+                                type: "string",
+                                enum: ["front", "interiorSide", "streetSide", "rear"]
+                            },
+                            setback: length("Lightwell setback")
+                        }
+                    }
+                },
+                spaces: {
+                    title: "Floor plan spaces",
+                    type: "array",
+                    items: {
+                        title: "Floor plan space",
+                        type: "object",
+                        required: ["level", "use", "area", "height"],
+                        properties: {
+                            level: { title: "Space level", type: "string", enum: InputSchema.SPACE_LEVELS },
+                            use: { title: "Space use", type: "string", enum: InputSchema.SPACE_USES },
+                            area: length("Space area"),
+                            height: length("Space ceiling height")
+                        }
+                    }
+                },
+                coverageItems: {
+                    title: "Coverage items",
+                    type: "array",
+                    items: {
+                        title: "Coverage item",
+                        type: "object",
+                        required: ["type", "area"],
+                        properties: {
+                            type: { title: "Coverage item type", type: "string", enum: InputSchema.COVERAGE_ITEM_TYPES },
+                            area: length("Coverage item area"),
+                            projection: length("Eave projection")
+                        },
+                        allOf: [
+                            {
+                                if: { properties: { type: { const: "eave" } } },
+                                then: { required: ["projection"] }
+                            }
+                        ]
+                    }
+                },
+                accessoryStructures: {
+                    title: "Accessory structures",
+                    type: "array",
+                    items: {
+                        title: "Accessory structure",
+                        type: "object",
+                        required: ["type", "height", "sideSetback", "rearSetback"],
+                        properties: {
+                            type: { title: "Accessory structure type", type: "string", enum: InputSchema.ACCESSORY_STRUCTURE_TYPES },
+                            footprint: length("Accessory structure footprint"),
+                            height: length("Accessory structure height"),
+                            sideSetback: length("Accessory structure side setback"),
+                            rearSetback: length("Accessory structure rear setback"),
+                            separation: length("Accessory structure separation from main house")
+                        }
+                    }
+                },
+                daylightProfiles: {
+                    title: "Daylight plane profiles",
+                    type: "array",
+                    items: {
+                        title: "Daylight plane profile",
+                        type: "object",
+                        required: ["propertyLine", "points"],
+                        properties: {
+                            propertyLine: {
+                                title: "Profile property line",
+                                type: "string",
+                                enum: ["front", "rear", "side_interior", "side_street"]
+                            },
+                            points: {
+                                title: "Profile points",
+                                type: "array",
+                                minItems: 1,
+                                items: {
+                                    title: "Profile point",
+                                    type: "object",
+                                    required: ["distance", "height"],
+                                    properties: {
+                                        distance: length("Profile point distance"),
+                                        height: length("Profile point height")
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                buildingFootprint: { title: "Building footprint", type: ["array", "object"] },
+                professionalStamps: { title: "Professional stamps", type: "array", items: { type: "string" } },
+                submittedDocuments: { title: "Submitted documents", type: "array", items: { type: "string" } }
+            },
+            allOf: [
+                {
+                    if: { required: ["hasGarage"], properties: { hasGarage: { const: true } } },
+                    then: { required: ["garageFrontSetback"] }
+                },
+                {
+                    if: { required: ["hasSecondUnit"], properties: { hasSecondUnit: { const: true } } },
+                    then: { required: ["secondUnitArea", "mainHouseArea"] }
+                },
+                {
+                    if: { required: ["hasPool"], properties: { hasPool: { const: true } } },
+                    then: { required: ["poolSetback"] }
+                },
+                {
+                    if: { required: ["hasBasement"], properties: { hasBasement: { const: true } } },
+                    then: { required: ["basementArea", "basementDepth", "basementExposure"] }
+                },
+                {
+                    if: { required: ["gradePoints"], properties: { gradePoints: { minItems: 1 } } },
+                    then: { required: ["roofType", "topOfRoofElevation"] }
+                }
+            ]
+        };
+    }
+}
+
+// Kinds of detached structure the accessory structure rules (CP011) cover
+InputSchema.ACCESSORY_STRUCTURE_TYPES = ["shed", "detached_garage", "carport", "cabana", "workshop", "accessory_dwelling", "other"];
+
+// Levels and uses a floor plan space can have; basements, low attic space and
+// tall volumes are counted differently toward floor area (CP003)
+InputSchema.SPACE_LEVELS = ["basement", "first", "second", "third", "attic"];
+InputSchema.SPACE_USES = ["living", "garage"];
+
+// Floors of the main building that a floor profile can describe (CP015)
+InputSchema.FLOOR_PROFILE_LEVELS = ["first", "second", "third"];
+
+// Roof forms and grade point locations used to measure building height (CP002)
+InputSchema.ROOF_TYPES = ["flat", "pitched"];
+InputSchema.GRADE_POINT_LOCATIONS = ["front_left", "front_right", "rear_left", "rear_right", "other"];
+
+// Parts of the design that cover the lot (CP013): buildings count against the
+// base percentage, covered features and deep eaves may use the allowance
+InputSchema.COVERAGE_ITEM_TYPES = ["main_house", "garage", "other_building", "covered_porch", "covered_patio", "eave"];
+
+// Requirements that depend on site conditions or other design fields: each
+// names the designData field that must be a number when the condition holds,
+// or gives its own object, valid() test and keyword
+InputSchema.CROSS_FIELD_RULES = [
+    {
+        field: "streetSideSetback",
+        when: (siteData) => siteData.isCornerLot === true,
+        message: "Street side setback is required for corner lots"
+    },
+    {
+        field: "garageStreetSideSetback",
+        when: (siteData, designData) => siteData.isCornerLot === true && designData.hasGarage === true,
+        message: "Garage street side setback is required for corner lots"
+    },
+    {
+        field: "secondFloorCeiling",
+        when: (siteData, designData) => designData.floors >= 2 && (!Array.isArray(designData.floorProfile) || designData.floorProfile.length === 0),
+        message: "Second floor ceiling height is required for designs with two or more floors unless the floor profile is given"
+    },
+    {
+        field: "thirdFloorCeiling",
+        when: (siteData, designData) => designData.floors >= 3 && (!Array.isArray(designData.floorProfile) || designData.floorProfile.length === 0),
+        message: "Third floor ceiling height is required for three-floor designs unless the floor profile is given"
+    },
+    {
+        field: "buildingHeight",
+        when: (siteData, designData) => !Array.isArray(designData.gradePoints) || designData.gradePoints.length === 0,
+        message: "Building height is required unless grade points are given to measure it"
+    },
+    {
+        field: "totalFloorArea",
+        when: (siteData, designData) => !Array.isArray(designData.spaces) || designData.spaces.length === 0,
+        message: "Total floor area is required unless the floor plan lists its spaces"
+    },
+    {
+        field: "totalCoverage",
+        when: (siteData, designData) => !Array.isArray(designData.coverageItems) || designData.coverageItems.length === 0,
+        message: "Main building coverage is required unless the design itemizes its coverage"
+    },
+    {
+        field: "lotEdgeTypes",
+        object: "siteData",
+        keyword: "itemCount",
+        when: (siteData) => Array.isArray(InputSchema.getLotEdgeTypes(siteData)) && InputSchema.countLotEdges(siteData.lotBoundary) !== null,
+        valid: (siteData) => InputSchema.getLotEdgeTypes(siteData).length === InputSchema.countLotEdges(siteData.lotBoundary),
+        message: "Lot edge types must give one label per lot boundary edge, in boundary order"
+    },
+    ...[
+        ["siteData", "creekSetbackAreas", "Creek setback areas"],
+        ["siteData", "easementAreas", "Easement areas"],
+        ["designData", "buildingFootprint", "Building footprint"]
+    ].map(([object, field, label]) => ({
+        field: field,
+        object: object,
+        keyword: "coordinateFrame",
+        when: (siteData, designData) => Boolean((object === "siteData" ? siteData : designData)[field]),
+        valid: (siteData, designData) => !InputSchema.findMixedFrames(siteData, designData).includes(`${object}.${field}`),
+        message: `${label} must use the same coordinates as the lot boundary and other site polygons: all longitude/latitude or all local feet`
+    }))
+];
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputSchema;
+} else if (typeof window !== 'undefined') {
+    window.InputSchema = InputSchema;
+}
\ No newline at end of file
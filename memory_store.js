@@ -0,0 +1,61 @@
+/**
+ * Palo Alto Memory Store
+ * In-memory record store with the same promise-based API as IndexedDbStore.
+ * Used by tests, by Node, and as the browser fallback when IndexedDB is not
+ * available. Records are copied on the way in and out, as IndexedDB does.
+ */
+
+class MemoryStore {
+    constructor(storeNames = []) {
+        this.stores = new Map(storeNames.map(name => [name, new Map()]));
+    }
+
+    open() {
+        return Promise.resolve(this);
+    }
+
+    get(storeName, id) {
+        const record = this.getStore(storeName).get(id);
+        return Promise.resolve(record === undefined ? null : MemoryStore.copy(record));
+    }
+
+    getAll(storeName) {
+        return Promise.resolve([...this.getStore(storeName).values()].map(MemoryStore.copy));
+    }
+
+    put(storeName, record) {
+        if (record.id === undefined || record.id === null) {
+            return Promise.reject(new Error(`Records in ${storeName} need an id`));
+        }
+        this.getStore(storeName).set(record.id, MemoryStore.copy(record));
+        return Promise.resolve(record);
+    }
+
+    delete(storeName, id) {
+        this.getStore(storeName).delete(id);
+        return Promise.resolve();
+    }
+
+    clear(storeName) {
+        this.getStore(storeName).clear();
+        return Promise.resolve();
+    }
+
+    getStore(storeName) {
+        if (!this.stores.has(storeName)) {
+            this.stores.set(storeName, new Map());
+        }
+        return this.stores.get(storeName);
+    }
+
+    static copy(record) {
+        return JSON.parse(JSON.stringify(record));
+    }
+}
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoryStore;
+} else if (typeof window !== 'undefined') {
+    window.MemoryStore = MemoryStore;
+}
\ No newline at end of file
@@ -0,0 +1,534 @@
+#!/usr/bin/env node
+/**
+ * Palo Alto Housing Project Command Line Interface
+ * Runs the planning and validation workflows headlessly on JSON project files.
+ * Invoke it as `node paloalto.js <command>`; README.md shows how to link it as
+ * a `paloalto` command.
+ *
+ * Usage:
+ *   paloalto validate project.json [--as-of YYYY-MM-DD] [--json report.json] [--html report.html]
+ *                     [--pdf report.pdf] [--doc report.doc] [--csv checks.csv] [--letter corrections.doc] [--quiet]
+ *   paloalto plan site.json [--as-of YYYY-MM-DD] [--json report.json] [--html report.html] [--quiet]
+ *   paloalto batch portfolio.csv [--as-of YYYY-MM-DD] [--json rollup.json] [--csv rollup.csv] [--quiet]
+ *   paloalto compare previous.json current.json [--as-of YYYY-MM-DD] [--json diff.json] [--html summary.html] [--quiet]
+ *   paloalto schema site|design [--as-of YYYY-MM-DD]
+ *
+ * A validation project file holds { "siteData": {...}, "designData": {...} } and may
+ * carry an "asOf" vesting date. A planning file holds { "siteData": {...} } or the
+ * site data object itself. Batch files are described in batch_validator.js. The
+ * compare command accepts project files or workflow JSON saved with --json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PlanningEngine = require('./planning_engine');
+const ValidationEngine = require('./validation_engine');
+const BatchValidator = require('./batch_validator');
+const ReportRenderer = require('./report_renderer');
+const ReportExporter = require('./report_exporter');
+const ProjectWorkspace = require('./project_workspace');
+const RunComparison = require('./run_comparison');
+
+class PaloAltoCli {
+    constructor(output = process.stdout, errorOutput = process.stderr) {
+        this.output = output;
+        this.errorOutput = errorOutput;
+        this.reportRenderer = new ReportRenderer();
+        this.reportExporter = new ReportExporter(this.reportRenderer);
+
+        this.exitCodes = {
+            SUCCESS: 0,
+            REJECTED: 1,
+            ERROR: 2
+        };
+    }
+
+    /**
+     * Runs a command and returns the process exit code
+     */
+    run(argv) {
+        let args;
+        try {
+            args = this.parseArguments(argv);
+        } catch (error) {
+            this.printError(error.message);
+            this.printUsage();
+            return this.exitCodes.ERROR;
+        }
+
+        if (args.help) {
+            this.printUsage();
+            return this.exitCodes.SUCCESS;
+        }
+
+        try {
+            switch (args.command) {
+                case "validate":
+                    return this.runValidation(args);
+                case "plan":
+                    return this.runPlanning(args);
+                case "batch":
+                    return this.runBatch(args);
+                case "compare":
+                    return this.runComparison(args);
+                case "schema":
+                    return this.printSchema(args);
+                default:
+                    throw new Error(`Unknown command: ${args.command}`);
+            }
+        } catch (error) {
+            this.printError(error.message);
+            return this.exitCodes.ERROR;
+        }
+    }
+
+    parseArguments(argv) {
+        const args = {
+            command: null,
+            inputFile: null,
+            compareFile: null,
+            asOf: null,
+            jsonFile: null,
+            htmlFile: null,
+            csvFile: null,
+            pdfFile: null,
+            docFile: null,
+            letterFile: null,
+            quiet: false,
+            help: false
+        };
+        const valueOptions = {
+            "--as-of": "asOf",
+            "--json": "jsonFile",
+            "--html": "htmlFile",
+            "--csv": "csvFile",
+            "--pdf": "pdfFile",
+            "--doc": "docFile",
+            "--letter": "letterFile"
+        };
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+
+            if (arg === "--help" || arg === "-h") {
+                args.help = true;
+            } else if (arg === "--quiet" || arg === "-q") {
+                args.quiet = true;
+            } else if (valueOptions[arg]) {
+                if (i + 1 >= argv.length) {
+                    throw new Error(`Missing value for ${arg}`);
+                }
+                args[valueOptions[arg]] = argv[++i];
+            } else if (arg.startsWith("-")) {
+                throw new Error(`Unknown option: ${arg}`);
+            } else if (!args.command) {
+                args.command = arg;
+            } else if (!args.inputFile) {
+                args.inputFile = arg;
+            } else if (args.command === "compare" && !args.compareFile) {
+                args.compareFile = arg;
+            } else {
+                throw new Error(`Unexpected argument: ${arg}`);
+            }
+        }
+
+        if (!args.help && (!args.command || !args.inputFile)) {
+            throw new Error("A command and an input file (or schema name) are required");
+        }
+        if (!args.help && args.command === "compare" && !args.compareFile) {
+            throw new Error("compare needs the previous and the current project file");
+        }
+
+        return args;
+    }
+
+    runValidation(args) {
+        const project = this.readJsonFile(args.inputFile);
+        if (!project.siteData || !project.designData) {
+            throw new Error(`${args.inputFile} must contain siteData and designData objects`);
+        }
+
+        const engine = new ValidationEngine();
+        const workflow = engine.executeValidationWorkflow(project.siteData, project.designData, {
+            asOf: args.asOf || project.asOf || null
+        });
+
+        if (!args.quiet) {
+            this.print(this.formatValidationSummary(workflow));
+        }
+        this.writeReports(args, workflow, "Validation");
+        this.writeValidationExports(args, workflow);
+
+        if (workflow.overallStatus === "error") {
+            this.printError(`Validation workflow failed: ${workflow.error}`);
+            return this.exitCodes.ERROR;
+        }
+        if (workflow.overallStatus === "invalid_input") {
+            workflow.inputErrors.forEach(error => this.printError(`${error.field}: ${error.message}`));
+            return this.exitCodes.ERROR;
+        }
+        return workflow.overallStatus === "rejected" ? this.exitCodes.REJECTED : this.exitCodes.SUCCESS;
+    }
+
+    runPlanning(args) {
+        const input = this.readJsonFile(args.inputFile);
+        const siteData = input.siteData || input;
+
+        if (args.pdfFile || args.docFile || args.csvFile || args.letterFile) {
+            throw new Error("--pdf, --doc, --csv and --letter exports are only available for validate");
+        }
+
+        const engine = new PlanningEngine();
+        const workflow = engine.executePlanningWorkflow(siteData, {
+            asOf: args.asOf || input.asOf || null
+        });
+
+        if (!args.quiet) {
+            this.print(this.formatPlanningSummary(workflow));
+        }
+        this.writeReports(args, workflow, "Planning");
+
+        if (workflow.overallStatus === "error") {
+            this.printError(`Planning workflow failed: ${workflow.error}`);
+            return this.exitCodes.ERROR;
+        }
+        if (workflow.overallStatus === "invalid_input") {
+            workflow.inputErrors.forEach(error => this.printError(`${error.field}: ${error.message}`));
+            return this.exitCodes.ERROR;
+        }
+        return workflow.overallStatus === "stopped" ? this.exitCodes.REJECTED : this.exitCodes.SUCCESS;
+    }
+
+    runBatch(args) {
+        if (args.pdfFile || args.docFile || args.htmlFile || args.letterFile) {
+            throw new Error("--pdf, --doc, --html and --letter exports are only available for validate and plan");
+        }
+
+        const batch = new BatchValidator(new ValidationEngine());
+        const records = batch.parseRecords(this.readTextFile(args.inputFile));
+        const rollup = batch.run(records, args.asOf);
+
+        if (!args.quiet) {
+            this.print(batch.formatTable(rollup));
+        }
+
+        if (args.jsonFile) {
+            fs.writeFileSync(path.resolve(args.jsonFile), batch.toJson(rollup));
+            if (!args.quiet) this.print(`JSON roll-up written to ${args.jsonFile}`);
+        }
+
+        if (args.csvFile) {
+            fs.writeFileSync(path.resolve(args.csvFile), batch.toCsv(rollup));
+            if (!args.quiet) this.print(`CSV roll-up written to ${args.csvFile}`);
+        }
+
+        if (rollup.statusCounts.ERROR || rollup.statusCounts.INVALID_INPUT) {
+            return this.exitCodes.ERROR;
+        }
+        return rollup.statusCounts.REJECTED ? this.exitCodes.REJECTED : this.exitCodes.SUCCESS;
+    }
+
+    /**
+     * Compares two revisions of a project and prints the revision-response
+     * summary. Project files are validated first; saved workflow JSON is used
+     * as is.
+     */
+    runComparison(args) {
+        if (args.pdfFile || args.docFile || args.csvFile || args.letterFile) {
+            throw new Error("compare writes --json and --html output only");
+        }
+
+        const previousRun = this.loadRun(args.inputFile, 1, args.asOf);
+        const currentRun = this.loadRun(args.compareFile, 2, args.asOf);
+        const runComparison = new RunComparison(this.reportRenderer);
+        const comparison = runComparison.compare(previousRun, currentRun);
+
+        if (!args.quiet) {
+            this.print(runComparison.toMarkdown(comparison));
+        }
+
+        if (args.jsonFile) {
+            fs.writeFileSync(path.resolve(args.jsonFile), JSON.stringify(comparison, null, 2));
+            if (!args.quiet) this.print(`JSON comparison written to ${args.jsonFile}`);
+        }
+
+        if (args.htmlFile) {
+            fs.writeFileSync(path.resolve(args.htmlFile), runComparison.toHtml(comparison));
+            if (!args.quiet) this.print(`HTML summary written to ${args.htmlFile}`);
+        }
+
+        return comparison.statusChange.to === "REJECTED" ? this.exitCodes.REJECTED : this.exitCodes.SUCCESS;
+    }
+
+    loadRun(file, runNumber, asOf) {
+        const input = this.readJsonFile(file);
+        let workflow = input;
+
+        if (!input.finalReport) {
+            if (!input.siteData || !input.designData) {
+                throw new Error(`${file} must contain siteData and designData objects or a saved validation workflow`);
+            }
+            workflow = new ValidationEngine().executeValidationWorkflow(input.siteData, input.designData, {
+                asOf: asOf || input.asOf || null
+            });
+            if (!workflow.finalReport) {
+                throw new Error(`${file} could not be validated: ${workflow.error || workflow.stopReason}`);
+            }
+        }
+
+        return ProjectWorkspace.toRun(workflow, runNumber, path.basename(file));
+    }
+
+    /**
+     * Prints the JSON Schema for siteData or designData; the zone list follows
+     * the ordinance edition in effect
+     */
+    printSchema(args) {
+        const engine = args.asOf ? new ValidationEngine().forDate(args.asOf) : new ValidationEngine();
+        const schema = engine.createInputSchema();
+        const schemas = {
+            site: schema.getSiteDataSchema(),
+            design: schema.getDesignDataSchema()
+        };
+
+        if (!schemas[args.inputFile]) {
+            throw new Error(`Unknown schema: ${args.inputFile} (expected "site" or "design")`);
+        }
+
+        this.print(JSON.stringify(schemas[args.inputFile], null, 2));
+        return this.exitCodes.SUCCESS;
+    }
+
+    readTextFile(file) {
+        try {
+            return fs.readFileSync(path.resolve(file), 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read ${file}: ${error.message}`);
+        }
+    }
+
+    readJsonFile(file) {
+        const contents = this.readTextFile(file);
+
+        try {
+            return JSON.parse(contents);
+        } catch (error) {
+            throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+        }
+    }
+
+    // Report Output
+
+    writeReports(args, workflow, title) {
+        if (args.jsonFile) {
+            fs.writeFileSync(path.resolve(args.jsonFile), JSON.stringify(workflow, null, 2));
+            if (!args.quiet) this.print(`JSON report written to ${args.jsonFile}`);
+        }
+
+        if (args.htmlFile) {
+            fs.writeFileSync(path.resolve(args.htmlFile), this.formatHtmlReport(workflow, title));
+            if (!args.quiet) this.print(`HTML report written to ${args.htmlFile}`);
+        }
+    }
+
+    /**
+     * Writes the PDF, Word, per-check CSV and correction letter exports of a
+     * validation report
+     */
+    writeValidationExports(args, workflow) {
+        const exports = [
+            { file: args.pdfFile, format: "pdf", label: "PDF report" },
+            { file: args.docFile, format: "doc", label: "Word report" },
+            { file: args.csvFile, format: "csv", label: "Check CSV" },
+            { file: args.letterFile, format: "letter", label: "Correction letter" }
+        ].filter(entry => entry.file);
+
+        exports.forEach(entry => {
+            let exported;
+            try {
+                exported = this.reportExporter.export(workflow, entry.format);
+            } catch (error) {
+                this.printError(`${entry.label} not written: ${error.message}`);
+                return;
+            }
+            fs.writeFileSync(path.resolve(entry.file), exported.content);
+            if (!args.quiet) this.print(`${entry.label} written to ${entry.file}`);
+        });
+    }
+
+    // Summary Formatting
+
+    formatValidationSummary(workflow) {
+        const lines = [];
+        const report = workflow.finalReport;
+
+        lines.push(`Validation: ${workflow.siteData.address || "(no address)"} - ${workflow.siteData.zone}`);
+        if (workflow.ordinance) {
+            lines.push(`Ordinance: ${workflow.ordinance.edition} (v${workflow.ordinance.version})`);
+        }
+        lines.push(`Status: ${report ? report.overallStatus : workflow.overallStatus.toUpperCase()}`);
+        if (workflow.stopReason) {
+            lines.push(`Stopped: ${workflow.stopReason}`);
+        }
+
+        if (report) {
+            lines.push("");
+            report.phases.forEach(phase => {
+                lines.push(`  Phase ${phase.phase}: ${phase.phaseName} - ${phase.passed} passed, ${phase.failed} failed`);
+            });
+
+            const violations = report.phases.flatMap(phase => phase.violations);
+            if (violations.length > 0) {
+                lines.push("");
+                lines.push(`Violations (${violations.length}):`);
+                violations.forEach(violation => {
+                    lines.push(`  [${violation.type}] ${violation.ruleId || ""} ${violation.description}`.replace(/\s+/g, " "));
+                });
+            }
+
+            if (report.warnings.length > 0) {
+                lines.push("");
+                lines.push(`Warnings (${report.warnings.length}):`);
+                report.warnings.forEach(warning => lines.push(`  ${warning.message}`));
+            }
+
+            if (report.remediations.length > 0) {
+                lines.push("");
+                lines.push("Minimum changes to comply:");
+                report.remediations.forEach(remediation => lines.push(`  ${remediation.ruleId} ${remediation.description}`));
+            }
+
+            if (report.minimalChangeDesign) {
+                const combined = report.minimalChangeDesign;
+                lines.push("");
+                lines.push(`Combined minimal-change design: ${combined.passes ? "passes all phases" : combined.status.toUpperCase()} ` +
+                    `(${combined.changes.length} changes)`);
+                combined.unresolved.forEach(entry => lines.push(`  Unresolved ${entry.ruleId}: ${entry.description}`));
+            }
+
+            if (report.checklistSummary) {
+                const checklist = report.checklistSummary;
+                lines.push("");
+                lines.push(`Checklist: ${checklist.passed} passed, ${checklist.failed} failed, ${checklist.notApplicable} not applicable`);
+            }
+        }
+
+        if (workflow.error) {
+            lines.push("");
+            lines.push(`Error: ${workflow.error}`);
+        }
+
+        return lines.join("\n");
+    }
+
+    formatPlanningSummary(workflow) {
+        const lines = [];
+
+        lines.push(`Planning: ${workflow.siteData.address || "(no address)"} - ${workflow.siteData.zone}`);
+        if (workflow.ordinance) {
+            lines.push(`Ordinance: ${workflow.ordinance.edition} (v${workflow.ordinance.version})`);
+        }
+        lines.push(`Status: ${workflow.overallStatus.toUpperCase()}`);
+        if (workflow.stopReason) {
+            lines.push(`Stopped: ${workflow.stopReason}`);
+        }
+
+        Object.values(workflow.phases).forEach(phase => {
+            lines.push("");
+            lines.push(`Phase ${phase.phase}: ${phase.phaseName}`);
+            phase.tasks.forEach(task => {
+                lines.push(`  ${task.name}: ${task.status}${task.message ? ` - ${task.message}` : ""}`);
+            });
+            (phase.constraints || []).forEach(constraint => {
+                lines.push(`  Constraint: ${constraint.description}`);
+            });
+        });
+
+        if (workflow.error) {
+            lines.push("");
+            lines.push(`Error: ${workflow.error}`);
+        }
+
+        return lines.join("\n");
+    }
+
+    /**
+     * Validation reports render from the engine's report model; planning runs
+     * and workflows that stopped on bad input use the summary layout below
+     */
+    formatHtmlReport(workflow, title) {
+        if (title === "Validation" && workflow.finalReport) {
+            return this.reportRenderer.toHtml(workflow.finalReport, `${title} Report - ${workflow.siteData.address}`);
+        }
+
+        const escape = ReportRenderer.escapeHtml;
+
+        const phaseRows = Object.values(workflow.phases).map(phase => {
+            const items = phase.validationChecks ?
+                phase.validationChecks.map(check => `<li><strong>${escape(check.result)}</strong> ${escape(check.checkName)} - ${escape(check.message)}</li>`) :
+                phase.tasks.map(task => `<li><strong>${escape(task.status)}</strong> ${escape(task.name)}${task.message ? ` - ${escape(task.message)}` : ""}</li>`);
+            return `<section><h2>Phase ${phase.phase}: ${escape(phase.phaseName)}</h2><ul>${items.join("")}</ul></section>`;
+        });
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(title)} Report - ${escape(workflow.siteData.address)}</title>
+<style>
+body { font-family: sans-serif; margin: 2rem; color: #222; }
+</style>
+</head>
+<body>
+<h1>${escape(title)} Report</h1>
+<p><strong>Address:</strong> ${escape(workflow.siteData.address)}<br>
+<strong>Zone:</strong> ${escape(workflow.siteData.zone)}<br>
+<strong>Status:</strong> ${escape(workflow.overallStatus.toUpperCase())}<br>
+${workflow.ordinance ? `<strong>Ordinance:</strong> ${escape(workflow.ordinance.edition)} (v${escape(workflow.ordinance.version)})<br>` : ""}
+<strong>Generated:</strong> ${escape(new Date().toISOString())}</p>
+${phaseRows.join("\n")}
+${workflow.inputErrors ? `<h2>Input Errors</h2><ul>${workflow.inputErrors.map(error => `<li>${escape(error.field)}: ${escape(error.message)}</li>`).join("")}</ul>` : ""}
+${workflow.error ? `<p><strong>Error:</strong> ${escape(workflow.error)}</p>` : ""}
+</body>
+</html>
+`;
+    }
+
+    printUsage() {
+        this.print([
+            "Usage:",
+            "  paloalto validate <project.json> [options]",
+            "  paloalto plan <site.json> [options]",
+            "  paloalto batch <portfolio.csv|portfolio.json> [options]",
+            "  paloalto compare <previous.json> <current.json> [options]",
+            "  paloalto schema <site|design> [--as-of <date>]",
+            "",
+            "Options:",
+            "  --as-of <date>    Apply the ordinance edition in effect on this vesting date",
+            "  --json <file>     Write the full workflow result (or batch roll-up) as JSON",
+            "  --html <file>     Write an HTML report",
+            "  --pdf <file>      Write a print-ready PDF validation report",
+            "  --doc <file>      Write a Word-compatible validation report",
+            "  --csv <file>      Write one row per validation check (or the batch roll-up) as CSV",
+            "  --letter <file>   Write a plan-check correction letter (conditional or rejected designs)",
+            "  --quiet, -q       Suppress the console summary",
+            "  --help, -h        Show this message",
+            "",
+            "Exit codes: 0 approved/conditional/completed, 1 rejected/stopped (any project in a batch), 2 error"
+        ].join("\n"));
+    }
+
+    print(message) {
+        this.output.write(message + "\n");
+    }
+
+    printError(message) {
+        this.errorOutput.write(`Error: ${message}\n`);
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = new PaloAltoCli().run(process.argv.slice(2));
+}
+
+module.exports = PaloAltoCli;
\ No newline at end of file
@@ -0,0 +1,300 @@
+/**
+ * Palo Alto PDF Document
+ * Minimal PDF 1.4 writer for printable reports. Lays out headings, paragraphs
+ * and ruled tables top to bottom with automatic page breaks, using the
+ * standard Helvetica fonts so no font data has to be embedded. Runs unchanged
+ * in the browser and in Node.
+ */
+
+class PdfDocument {
+    constructor(options = {}) {
+        this.pageWidth = options.pageWidth || 612;
+        this.pageHeight = options.pageHeight || 792;
+        this.margin = options.margin || 54;
+        this.footer = options.footer || "";
+        this.pages = [];
+        this.cursorY = 0;
+        this.addPage();
+    }
+
+    get contentWidth() {
+        return this.pageWidth - 2 * this.margin;
+    }
+
+    addPage() {
+        this.pages.push([]);
+        this.cursorY = this.margin;
+    }
+
+    /**
+     * Starts a new page unless the given height still fits on the current one
+     */
+    ensureSpace(height) {
+        if (this.cursorY + height > this.pageHeight - this.margin) {
+            this.addPage();
+        }
+    }
+
+    // Drawing Primitives (top-left origin, y grows downward)
+
+    text(x, y, value, options = {}) {
+        const text = PdfDocument.toWinAnsi(value);
+        if (!text) return;
+
+        const size = options.size || 10;
+        const font = options.bold ? "F2" : "F1";
+        const baseline = this.pageHeight - y - size;
+        this.currentPage().push(
+            `BT /${font} ${size} Tf ${PdfDocument.number(x)} ${PdfDocument.number(baseline)} Td ` +
+            `(${PdfDocument.escapeString(text)}) Tj ET`
+        );
+    }
+
+    line(x1, y1, x2, y2, width = 0.5) {
+        this.currentPage().push(
+            `${width} w ${PdfDocument.number(x1)} ${PdfDocument.number(this.pageHeight - y1)} m ` +
+            `${PdfDocument.number(x2)} ${PdfDocument.number(this.pageHeight - y2)} l S`
+        );
+    }
+
+    fillRect(x, y, width, height, gray = 0.9) {
+        this.currentPage().push(
+            `q ${gray} g ${PdfDocument.number(x)} ${PdfDocument.number(this.pageHeight - y - height)} ` +
+            `${PdfDocument.number(width)} ${PdfDocument.number(height)} re f Q`
+        );
+    }
+
+    currentPage() {
+        return this.pages[this.pages.length - 1];
+    }
+
+    // Flow Layout
+
+    heading(value, size = 14) {
+        this.ensureSpace(size * 2.5);
+        this.cursorY += size * 0.6;
+        this.text(this.margin, this.cursorY, value, { size, bold: true });
+        this.cursorY += size * 1.5;
+    }
+
+    paragraph(value, options = {}) {
+        const size = options.size || 10;
+        const indent = options.indent || 0;
+        const lineHeight = size * 1.35;
+
+        PdfDocument.wrapText(value, this.contentWidth - indent, size, options.bold).forEach(text => {
+            this.ensureSpace(lineHeight);
+            this.text(this.margin + indent, this.cursorY, text, { size, bold: options.bold });
+            this.cursorY += lineHeight;
+        });
+    }
+
+    bulletList(items, size = 10) {
+        items.forEach(item => {
+            const lines = PdfDocument.wrapText(item, this.contentWidth - 14, size);
+            lines.forEach((text, index) => {
+                this.ensureSpace(size * 1.35);
+                if (index === 0) this.text(this.margin + 2, this.cursorY, "•", { size });
+                this.text(this.margin + 14, this.cursorY, text, { size });
+                this.cursorY += size * 1.35;
+            });
+        });
+        this.cursorY += size * 0.5;
+    }
+
+    space(height) {
+        this.cursorY += height;
+    }
+
+    /**
+     * Draws a ruled table. Column widths are fractions of the content width;
+     * cells wrap, and the header row repeats after each page break.
+     */
+    table(columns, rows, options = {}) {
+        const size = options.size || 8;
+        const padding = 3;
+        const lineHeight = size * 1.3;
+        const widths = columns.map(column => column.width * this.contentWidth);
+
+        const layoutRow = (cells, bold) => {
+            const lines = cells.map((cell, index) =>
+                PdfDocument.wrapText(cell === undefined || cell === null ? "" : String(cell), widths[index] - 2 * padding, size, bold)
+            );
+            return { lines, height: Math.max(...lines.map(cellLines => cellLines.length)) * lineHeight + 2 * padding };
+        };
+
+        const drawRow = (row, bold, shaded) => {
+            let x = this.margin;
+            if (shaded) this.fillRect(this.margin, this.cursorY, this.contentWidth, row.height);
+            row.lines.forEach((cellLines, index) => {
+                cellLines.forEach((text, lineIndex) => {
+                    this.text(x + padding, this.cursorY + padding + lineIndex * lineHeight, text, { size, bold });
+                });
+                x += widths[index];
+            });
+            this.line(this.margin, this.cursorY + row.height, this.margin + this.contentWidth, this.cursorY + row.height);
+            this.cursorY += row.height;
+        };
+
+        const header = layoutRow(columns.map(column => column.title), true);
+        const drawHeader = () => {
+            this.line(this.margin, this.cursorY, this.margin + this.contentWidth, this.cursorY);
+            drawRow(header, true, true);
+        };
+
+        this.ensureSpace(header.height * 2);
+        drawHeader();
+        rows.forEach(cells => {
+            const row = layoutRow(cells, false);
+            if (this.cursorY + row.height > this.pageHeight - this.margin) {
+                this.addPage();
+                drawHeader();
+            }
+            drawRow(row, false, false);
+        });
+        this.cursorY += size;
+    }
+
+    // Serialization
+
+    /**
+     * Returns the finished document as a binary string (one byte per character)
+     */
+    output() {
+        const objects = [];
+        const pageCount = this.pages.length;
+        const firstPageObject = 5;
+
+        objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+        objects[2] = `<< /Type /Pages /Count ${pageCount} /Kids [${this.pages.map((page, index) => `${firstPageObject + index * 2} 0 R`).join(" ")}] >>`;
+        objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+        objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+
+        this.pages.forEach((page, index) => {
+            const footerText = `${this.footer ? this.footer + " - " : ""}Page ${index + 1} of ${pageCount}`;
+            const footer = `BT /F1 8 Tf ${this.margin} ${this.margin / 2} Td (${PdfDocument.escapeString(PdfDocument.toWinAnsi(footerText))}) Tj ET`;
+            const stream = [...page, footer].join("\n");
+            const pageObject = firstPageObject + index * 2;
+
+            objects[pageObject] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.pageWidth} ${this.pageHeight}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageObject + 1} 0 R >>`;
+            objects[pageObject + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+        });
+
+        let pdf = "%PDF-1.4\n%\xE2\xE3\xCF\xD3\n";
+        const offsets = [];
+        for (let number = 1; number < objects.length; number++) {
+            offsets[number] = pdf.length;
+            pdf += `${number} 0 obj\n${objects[number]}\nendobj\n`;
+        }
+
+        const xrefOffset = pdf.length;
+        pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let number = 1; number < objects.length; number++) {
+            pdf += `${String(offsets[number]).padStart(10, "0")} 00000 n \n`;
+        }
+        pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        return pdf;
+    }
+
+    toBytes() {
+        const pdf = this.output();
+        const bytes = new Uint8Array(pdf.length);
+        for (let i = 0; i < pdf.length; i++) {
+            bytes[i] = pdf.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
+    }
+
+    // Text Helpers
+
+    static measureText(value, size, bold = false) {
+        let width = 0;
+        for (const char of value) {
+            const code = char.charCodeAt(0);
+            width += code >= 32 && code <= 126 ? PdfDocument.HELVETICA_WIDTHS[code - 32] : 556;
+        }
+        return width * size / 1000 * (bold ? 1.06 : 1);
+    }
+
+    static wrapText(value, width, size, bold = false) {
+        const lines = [];
+
+        PdfDocument.toWinAnsi(value).split("\n").forEach(paragraph => {
+            let current = "";
+            paragraph.split(" ").forEach(word => {
+                const candidate = current ? `${current} ${word}` : word;
+                if (PdfDocument.measureText(candidate, size, bold) <= width || !current) {
+                    current = candidate;
+                } else {
+                    lines.push(current);
+                    current = word;
+                }
+
+                // Break words that are wider than the column on their own
+                while (PdfDocument.measureText(current, size, bold) > width && current.length > 1) {
+                    let fit = current.length - 1;
+                    while (fit > 1 && PdfDocument.measureText(current.slice(0, fit), size, bold) > width) fit--;
+                    lines.push(current.slice(0, fit));
+                    current = current.slice(fit);
+                }
+            });
+            lines.push(current);
+        });
+
+        return lines;
+    }
+
+    /**
+     * Maps text onto the WinAnsi character set of the standard fonts,
+     * spelling out common symbols and dropping anything else (e.g. emoji)
+     */
+    static toWinAnsi(value) {
+        return String(value)
+            .replace(/[≤≥→–—‘’“”•²]/g, char => PdfDocument.SYMBOLS[char])
+            .replace(/[^\x20-\x7E\n\x95-\x97\xA0-\xFF]/g, "")
+            .replace(/ {2,}/g, " ")
+            .trim();
+    }
+
+    static escapeString(value) {
+        return value.replace(/\\/g, "\\\\").replace(/\(/g, "\\(").replace(/\)/g, "\\)");
+    }
+
+    static number(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+}
+
+// Replacements for characters outside WinAnsi (or at different code points in it)
+PdfDocument.SYMBOLS = {
+    "≤": "<=",
+    "≥": ">=",
+    "→": "->",
+    "–": "\x96",
+    "—": "\x97",
+    "‘": "'",
+    "’": "'",
+    "“": "\"",
+    "”": "\"",
+    "•": "\x95",
+    "²": "\xB2"
+};
+
+// Helvetica advance widths for ASCII 32-126, in thousandths of the font size
+PdfDocument.HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfDocument;
+} else if (typeof window !== 'undefined') {
+    window.PdfDocument = PdfDocument;
+}
\ No newline at end of file
@@ -4,7 +4,9 @@
  */
 
 class PlanningEngine {
-    constructor() {
+    constructor(rulebook) {
+        this.rulebook = rulebook || this.getRulebookClass().forDate(new Date());
+
         this.phases = {
             1: "Project Initiation & Site Analysis",
             2: "Building Design & Compliance",
@@ -13,48 +15,7 @@ class PlanningEngine {
             5: "Final Compliance & Documentation"
         };
 
-        this.zoneRequirements = {
-            "R-1": {
-                minLotSize: 6000,
-                maxLotSize: 9999,
-                subStandardTypical: 4980,
-                subStandardFlag: 5976,
-                secondUnitMinTypical: 8100,
-                secondUnitMinFlag: 9720
-            },
-            "R-1(7000)": {
-                minLotSize: 7000,
-                maxLotSize: 13999,
-                subStandardTypical: 5810,
-                subStandardFlag: 6972,
-                secondUnitMinTypical: 9450,
-                secondUnitMinFlag: 11340
-            },
-            "R-1(8000)": {
-                minLotSize: 8000,
-                maxLotSize: 15999,
-                subStandardTypical: 6640,
-                subStandardFlag: 7968,
-                secondUnitMinTypical: 10800,
-                secondUnitMinFlag: 12960
-            },
-            "R-1(10000)": {
-                minLotSize: 10000,
-                maxLotSize: 19999,
-                subStandardTypical: 8300,
-                subStandardFlag: 9960,
-                secondUnitMinTypical: 13500,
-                secondUnitMinFlag: 16200
-            },
-            "R-1(20000)": {
-                minLotSize: 20000,
-                maxLotSize: 39999,
-                subStandardTypical: 16600,
-                subStandardFlag: 19920,
-                secondUnitMinTypical: 27000,
-                secondUnitMinFlag: 32400
-            }
-        };
+        this.zoneRequirements = this.rulebook.getZoneRequirements();
     }
 
     /**
@@ -92,7 +53,7 @@ class PlanningEngine {
         if (subStandardCheck.isSubStandard) {
             results.constraints.push({
                 type: "height_restriction",
-                description: "Substandard lot detected - height limited to 17 feet",
+                description: `Substandard lot detected - height limited to ${this.rulebook.getParameters("CP002").subStandardMaxHeight} feet`,
                 impact: "Significant design constraints on building height"
             });
         }
@@ -162,7 +123,14 @@ class PlanningEngine {
             name: "Building Height Limits",
             status: "completed",
             parameters: heightParameters,
-            recommendations: [`Maximum building height: ${heightParameters.maxHeight} feet`]
+            recommendations: [
+                `Maximum building height: ${heightParameters.maxHeight} feet`,
+                `Measure height from ${heightParameters.measuredFrom} at each corner to the top of the roof`,
+                `Parapets up to ${heightParameters.allowedProjections.parapet} ft and chimneys up to ` +
+                    `${heightParameters.allowedProjections.chimney} ft above the roof are not counted`,
+                `A story with a plate height over ${heightParameters.storyEquivalencies.tallStoryHeight} ft counts as two stories; ` +
+                    `maximum ${heightParameters.storyEquivalencies.maxStories} ${heightParameters.storyEquivalencies.maxStories === 1 ? "story" : "stories"}`
+            ]
         });
 
         // Task 2.2: Daylight Plane Parameters
@@ -171,7 +139,7 @@ class PlanningEngine {
             name: "Daylight Plane Analysis",
             status: "completed",
             parameters: daylightPlane,
-            recommendations: ["Building envelope must stay within 45-degree daylight plane"]
+            recommendations: [`Building envelope must stay within ${daylightPlane.angle}-degree daylight plane`]
         });
 
         // Task 2.3: Floor Area Ratio Calculations
@@ -180,7 +148,10 @@ class PlanningEngine {
             name: "Floor Area Ratio (FAR) Calculations",
             status: "completed",
             parameters: farCalculations,
-            recommendations: [`Maximum allowable floor area: ${farCalculations.maxFloorArea} sq ft`]
+            recommendations: [
+                `Maximum allowable floor area: ${farCalculations.maxFloorArea} sq ft`,
+                ...this.generateFloorAreaCountingNotes()
+            ]
         });
 
         // Task 2.4: Setback Requirements
@@ -198,7 +169,23 @@ class PlanningEngine {
             name: "Architectural Feature Compliance",
             status: "completed",
             parameters: architecturalFeatures,
-            recommendations: ["Porches limited to 200 sq ft", "Entry projections up to 6 feet allowed"]
+            recommendations: [
+                `Porches limited to ${architecturalFeatures.porches.maxSize} sq ft`,
+                `Entry projections up to ${architecturalFeatures.entryProjections.maxProjection} feet allowed`
+            ]
+        });
+
+        // Task 2.6: Basement Allowances
+        const basementParameters = this.calculateBasementParameters(siteData);
+        results.tasks.push({
+            name: "Basement Allowances",
+            status: "completed",
+            parameters: basementParameters,
+            recommendations: [
+                `Basements exposed no more than ${basementParameters.maxExposureAboveGrade} ft above grade and more than half below grade are excluded from floor area`,
+                `Lightwells may reach ${basementParameters.lightwellMaxEncroachment} ft into required setbacks but stay ` +
+                    `${basementParameters.lightwellMinSetback} ft from property lines`
+            ]
         });
 
         // Compile design parameters
@@ -207,6 +194,7 @@ class PlanningEngine {
             maxFloorArea: farCalculations.maxFloorArea,
             setbacks: setbackParameters,
             farBreakdown: farCalculations,
+            basement: basementParameters,
             buildingEnvelope: {
                 daylightPlane: daylightPlane,
                 architecturalFeatures: architecturalFeatures
@@ -259,7 +247,7 @@ class PlanningEngine {
             name: "Driveway Design Parameters",
             status: "completed",
             parameters: drivewayParameters,
-            recommendations: ["Minimum 8 feet surface width, 10 feet clearance width"]
+            recommendations: [`Minimum ${drivewayParameters.minSurfaceWidth} feet surface width, ${drivewayParameters.minClearanceWidth} feet clearance width`]
         });
 
         // Task 3.3: Garage Placement Requirements
@@ -277,7 +265,7 @@ class PlanningEngine {
             name: "Vehicle Access and Maneuverability",
             status: "completed",
             parameters: accessParameters,
-            recommendations: ["Minimum 18 feet backing distance from sidewalk required"]
+            recommendations: [`Minimum ${accessParameters.minBackingDistance} feet backing distance from sidewalk required`]
         });
 
         results.parkingParameters = {
@@ -327,7 +315,11 @@ class PlanningEngine {
             name: "Accessory Structure Parameters",
             status: "completed",
             parameters: accessoryParameters,
-            recommendations: ["5-foot setbacks required", "15-foot height limit for most structures"]
+            recommendations: [
+                `${accessoryParameters.minSetbacks}-foot setbacks required`,
+                `${accessoryParameters.maxHeight}-foot height limit for most structures`,
+                `${accessoryParameters.minSeparation}-foot separation from the main dwelling`
+            ]
         });
 
         // Task 4.3: Pool and Spa Parameters (if applicable)
@@ -336,7 +328,7 @@ class PlanningEngine {
             name: "Pool and Spa Parameters",
             status: "completed",
             parameters: poolParameters,
-            recommendations: ["5-foot setbacks required", "Safety barriers mandatory"]
+            recommendations: [`${poolParameters.minSetbacks}-foot setbacks required`, "Safety barriers mandatory"]
         });
 
         // Task 4.4: Landscape and Coverage Calculations
@@ -379,7 +371,7 @@ class PlanningEngine {
         };
 
         // Task 5.1: Comprehensive Compliance Review
-        const complianceReview = this.performFinalComplianceReview(allPreviousResults);
+        const complianceReview = this.performFinalComplianceReview(siteData, allPreviousResults);
         results.tasks.push(complianceReview);
 
         // Task 5.2: Documentation Requirements
@@ -478,48 +470,71 @@ class PlanningEngine {
     }
 
     assessEnvironmentalConstraints(siteData) {
-        const hasConstraints = siteData.creekAreas || siteData.easements;
+        const geometry = siteData.lotBoundary ? this.createSiteGeometry().analyzeSite(siteData, {}) : null;
+        const creekAreas = siteData.creekSetbackAreas && geometry ? geometry.creekArea : (siteData.creekAreas || 0);
+        const easements = siteData.easementAreas && geometry ? geometry.easementArea : (siteData.easements || 0);
+        const hasConstraints = creekAreas || easements;
         return {
             name: "Environmental Constraints Assessment",
             status: "completed",
             constraints: {
-                creekAreas: siteData.creekAreas || 0,
-                easements: siteData.easements || 0
+                creekAreas: creekAreas,
+                easements: easements
             },
+            geometry: geometry,
             message: hasConstraints ?
                 "Environmental constraints identified - buildable area reduced" :
                 "No significant environmental constraints"
         };
     }
 
+    createSiteGeometry() {
+        const Geometry = typeof SiteGeometry !== 'undefined' ? SiteGeometry : require('./site_geometry');
+        return new Geometry();
+    }
+
     calculateBuildableArea(siteData) {
-        return siteData.lotSize - (siteData.creekAreas || 0) - (siteData.easements || 0);
+        return this.createSiteGeometry().calculateBuildableArea(siteData);
     }
 
     calculateHeightParameters(isSubStandard) {
+        const heightRule = this.rulebook.getParameters("CP002");
+        const storyRule = this.rulebook.getParameters("CP015");
+        const daylightRule = this.rulebook.getParameters("CP005");
+
         return {
-            maxHeight: isSubStandard ? 17 : 30,
+            maxHeight: isSubStandard ? heightRule.subStandardMaxHeight : heightRule.maxHeight,
+            measuredFrom: heightRule.measureFromLowerGrade ? "the lower of existing and finished grade" : "finished grade",
+            allowedProjections: {
+                parapet: heightRule.maxParapetProjection,
+                chimney: heightRule.maxChimneyProjection
+            },
             storyEquivalencies: {
-                secondFloor: 17,
-                thirdFloor: 26
+                secondFloor: storyRule.secondFloor,
+                thirdFloor: storyRule.thirdFloor,
+                tallStoryHeight: storyRule.tallStoryHeight,
+                maxStories: isSubStandard ? storyRule.subStandardMaxStories : storyRule.maxStories
             },
-            daylightPlane: "45 degrees from property lines"
+            daylightPlane: `${daylightRule.angle} degrees from property lines`
         };
     }
 
     calculateDaylightPlaneParameters(siteData) {
+        const daylightRule = this.rulebook.getParameters("CP005");
+
         return {
-            angle: 45,
-            measurementHeight: 10,
-            applicableLines: ["front", "rear", "side_interior", "side_street"]
+            angle: daylightRule.angle,
+            measurementHeight: daylightRule.startHeight,
+            applicableLines: daylightRule.applicableLines
         };
     }
 
     calculateFARParameters(siteData) {
-        const first5000 = Math.min(siteData.lotSize, 5000) * 0.45;
-        const excess = Math.max(siteData.lotSize - 5000, 0) * 0.30;
+        const farRule = this.rulebook.getParameters("CP003");
+        const first5000 = Math.min(siteData.lotSize, farRule.baseLotArea) * farRule.baseRatio;
+        const excess = Math.max(siteData.lotSize - farRule.baseLotArea, 0) * farRule.excessRatio;
         const calculated = first5000 + excess;
-        const maxFloorArea = Math.min(calculated, 6000);
+        const maxFloorArea = Math.min(calculated, farRule.maxFloorArea);
 
         return {
             first5000Allowance: first5000,
@@ -527,20 +542,52 @@ class PlanningEngine {
             calculatedFAR: calculated,
             maxFloorArea: maxFloorArea,
             breakdown: {
-                "First 5000 sq ft @ 45%": first5000,
-                "Excess area @ 30%": excess,
-                "Maximum regardless": 6000,
+                [`First ${farRule.baseLotArea} sq ft @ ${farRule.baseRatio * 100}%`]: first5000,
+                [`Excess area @ ${farRule.excessRatio * 100}%`]: excess,
+                "Maximum regardless": farRule.maxFloorArea,
                 "Final allowance": maxFloorArea
             }
         };
     }
 
+    generateFloorAreaCountingNotes() {
+        const farRule = this.rulebook.getParameters("CP003");
+
+        return [
+            farRule.garageIncluded ? "Garage area counts toward floor area" : "Garage area is excluded from floor area",
+            farRule.basementExcluded ? "Qualifying basement area is excluded from floor area" : "Basement area counts toward floor area",
+            `Attic space counts where it is taller than ${farRule.atticHeightThreshold} ft`,
+            `Volumes taller than ${farRule.doubleCountHeight} ft count twice`
+        ];
+    }
+
+    calculateBasementParameters(siteData) {
+        const basementRule = this.rulebook.getParameters("CP021");
+        const setbacks = this.rulebook.getParameters("CP004");
+        const lightwellSetback = line => Math.max(setbacks[line] - basementRule.lightwellMaxEncroachment, basementRule.lightwellMinSetback);
+
+        return {
+            exemptFromFloorArea: this.rulebook.getParameters("CP003").basementExcluded,
+            maxExposureAboveGrade: basementRule.maxExposureAboveGrade,
+            lightwellMaxEncroachment: basementRule.lightwellMaxEncroachment,
+            lightwellMinSetback: basementRule.lightwellMinSetback,
+            lightwellSetbacks: {
+                front: lightwellSetback("front"),
+                interiorSide: lightwellSetback("interiorSide"),
+                streetSide: siteData.isCornerLot ? lightwellSetback("streetSide") : null,
+                rear: lightwellSetback("rear")
+            }
+        };
+    }
+
     calculateSetbackParameters(siteData) {
+        const setbacks = this.rulebook.getParameters("CP004");
+
         return {
-            front: 20,
-            interiorSide: 5,
-            streetSide: siteData.isCornerLot ? 16 : null,
-            rear: 20,
+            front: setbacks.front,
+            interiorSide: setbacks.interiorSide,
+            streetSide: siteData.isCornerLot ? setbacks.streetSide : null,
+            rear: setbacks.rear,
             specialConditions: siteData.isCornerLot ?
                 ["Corner lot - street side setback applies"] : []
         };
@@ -557,49 +604,56 @@ class PlanningEngine {
     }
 
     calculateArchitecturalFeatures() {
+        const featureRule = this.rulebook.getParameters("CP010");
+
         return {
-            porches: { maxSize: 200, unit: "sq ft" },
-            entryProjections: { maxProjection: 6, unit: "feet into setback" },
-            bayWindows: { maxProjection: 3, maxWidth: 12, unit: "feet" }
+            porches: { maxSize: featureRule.maxPorchArea, unit: "sq ft" },
+            entryProjections: { maxProjection: featureRule.maxEntryProjection, unit: "feet into setback" },
+            bayWindows: { maxProjection: featureRule.maxBayWindowProjection, maxWidth: featureRule.maxBayWindowWidth, unit: "feet" }
         };
     }
 
     calculateParkingRequirements(siteData) {
-        let totalRequired = 2; // Main dwelling
-        let coveredRequired = 1;
+        const parkingRule = this.rulebook.getParameters("CP006");
+        let totalRequired = parkingRule.mainDwelling.total;
+        let coveredRequired = parkingRule.mainDwelling.covered;
 
         if (siteData.hasSecondUnit) {
-            totalRequired += 2;
-            coveredRequired += 1;
+            totalRequired += parkingRule.secondUnit.total;
+            coveredRequired += parkingRule.secondUnit.covered;
         }
 
         return {
-            mainDwelling: { total: 2, covered: 1 },
-            secondUnit: siteData.hasSecondUnit ? { total: 2, covered: 1 } : null,
+            mainDwelling: { ...parkingRule.mainDwelling },
+            secondUnit: siteData.hasSecondUnit ? { ...parkingRule.secondUnit } : null,
             totalRequired: totalRequired,
             coveredRequired: coveredRequired
         };
     }
 
     calculateDrivewayParameters() {
+        const drivewayRule = this.rulebook.getParameters("CP007");
+
         return {
-            minSurfaceWidth: 8,
-            minClearanceWidth: 10,
-            approvedMaterials: ["concrete", "asphalt", "approved_pavers"],
-            minBackingDistance: 18
+            minSurfaceWidth: drivewayRule.minSurfaceWidth,
+            minClearanceWidth: drivewayRule.minClearanceWidth,
+            approvedMaterials: drivewayRule.approvedMaterials,
+            minBackingDistance: drivewayRule.minBackingDistance
         };
     }
 
     calculateGaragePlacement(siteData) {
+        const garageRule = this.rulebook.getParameters("CP014");
+
         if (siteData.isCornerLot) {
             return {
-                frontSetback: 75,
-                streetSideSetback: 20,
+                frontSetback: garageRule.cornerLotFrontSetback,
+                streetSideSetback: garageRule.cornerLotStreetSideSetback,
                 specialConditions: ["Corner lot requirements"]
             };
         } else {
             return {
-                frontSetback: 20,
+                frontSetback: garageRule.frontSetback,
                 specialConditions: []
             };
         }
@@ -618,7 +672,7 @@ class PlanningEngine {
 
     calculateAccessRequirements() {
         return {
-            minBackingDistance: 18,
+            minBackingDistance: this.rulebook.getParameters("CP007").minBackingDistance,
             turningRadius: "adequate for vehicle maneuverability",
             transportationApproval: "required for driveway design"
         };
@@ -630,15 +684,17 @@ class PlanningEngine {
             zoneReq.secondUnitMinFlag : zoneReq.secondUnitMinTypical;
 
         const isFeasible = siteData.lotSize >= minRequired;
+        const sizeRule = this.rulebook.getParameters("CP017");
+        const parkingRule = this.rulebook.getParameters("CP006");
 
         return {
             name: "Second Dwelling Unit Feasibility",
             status: isFeasible ? "feasible" : "not_feasible",
             parameters: isFeasible ? {
-                maxSize: 640,
-                maxSizePercent: 50,
-                parkingRequired: 2,
-                coveredRequired: 1
+                maxSize: sizeRule.maxSize,
+                maxSizePercent: sizeRule.maxPercentOfMainHouse,
+                parkingRequired: parkingRule.secondUnit.total,
+                coveredRequired: parkingRule.secondUnit.covered
             } : null,
             message: isFeasible ?
                 `Second unit feasible - lot meets ${minRequired} sq ft minimum` :
@@ -647,32 +703,37 @@ class PlanningEngine {
     }
 
     calculateAccessoryStructureParameters() {
+        const accessoryRule = this.rulebook.getParameters("CP011");
+
         return {
-            maxHeight: 15,
-            minSetbacks: 5,
-            minSeparation: 5,
-            includedInCoverage: true
+            maxHeight: accessoryRule.maxHeight,
+            minSetbacks: accessoryRule.minSetback,
+            minSeparation: accessoryRule.minSeparation,
+            includedInCoverage: accessoryRule.includedInCoverage
         };
     }
 
     calculatePoolParameters() {
         return {
-            minSetbacks: 5,
+            minSetbacks: this.rulebook.getParameters("CP020").minSetback,
             safetyBarriers: "required",
             equipmentScreening: "required"
         };
     }
 
     calculateCoverageParameters(siteData) {
-        const baseCoverage = siteData.lotSize * 0.35;
-        const additionalAllowance = siteData.lotSize * 0.05;
+        const coverageRule = this.rulebook.getParameters("CP013");
+        const baseCoverage = siteData.lotSize * coverageRule.baseCoveragePercent / 100;
+        const additionalAllowance = siteData.lotSize * coverageRule.additionalAllowancePercent / 100;
 
         return {
-            maxCoveragePercent: 35,
-            additionalAllowancePercent: 5,
+            maxCoveragePercent: coverageRule.baseCoveragePercent,
+            additionalAllowancePercent: coverageRule.additionalAllowancePercent,
             maxCoverageArea: baseCoverage,
             additionalAllowanceArea: additionalAllowance,
-            totalMaxCoverage: baseCoverage + additionalAllowance
+            totalMaxCoverage: baseCoverage + additionalAllowance,
+            allowanceFor: "covered porches, patios and eaves",
+            exemptEaveProjection: coverageRule.exemptEaveProjection
         };
     }
 
@@ -686,17 +747,38 @@ class PlanningEngine {
         };
     }
 
-    performFinalComplianceReview(allResults) {
+    /**
+     * Checks the site against the shared compliance checklist. Items that need
+     * a design are reported as pending; a second unit planned on a lot too
+     * small for one fails CP008 rather than dropping out of the review.
+     */
+    performFinalComplianceReview(siteData, allResults) {
+        const checklist = this.createComplianceChecklist().evaluateSite(siteData);
+        const failedItems = checklist.items.filter(item => item.result === "FAIL");
+        const constraints = [1, 2, 3, 4]
+            .map(phase => allResults[`phase${phase}`])
+            .reduce((sum, phaseResult) => sum + (phaseResult && phaseResult.constraints ? phaseResult.constraints.length : 0), 0);
+
+        const summary = {
+            totalChecks: checklist.totalChecks,
+            passed: checklist.passed,
+            failed: checklist.failed,
+            notApplicable: checklist.notApplicable,
+            pending: checklist.pending,
+            warnings: constraints
+        };
+
         return {
             name: "Comprehensive Compliance Review",
-            status: "completed",
-            summary: {
-                totalChecks: 127,
-                passed: 127,
-                failed: 0,
-                warnings: 0
-            },
-            message: "All planning requirements satisfied"
+            status: summary.failed === 0 ? "pass" : "fail",
+            summary: summary,
+            items: checklist.items,
+            byCategory: checklist.byCategory,
+            message: summary.failed === 0 ?
+                `All ${summary.passed} applicable site checks passed, ${summary.pending} checks pending design` +
+                (summary.warnings > 0 ? ` (${summary.warnings} site constraints to address)` : "") :
+                `${summary.failed} site checks failed: ` +
+                failedItems.map(item => item.id).join(", ")
         };
     }
 
@@ -752,6 +834,7 @@ class PlanningEngine {
                 lotSize: siteData.lotSize,
                 isSubStandard: allResults.phase1?.nextPhaseInputs?.isSubStandard || false
             },
+            ordinance: this.rulebook.describeEdition(),
             designParameters: allResults.phase2?.designParameters || {},
             parkingParameters: allResults.phase3?.parkingParameters || {},
             specialFeatures: allResults.phase4?.featureParameters || {},
@@ -766,21 +849,64 @@ class PlanningEngine {
         };
     }
 
+    getRulebookClass() {
+        return typeof ZoningRulebook !== 'undefined' ? ZoningRulebook : require('./zoning_rulebook');
+    }
+
+    createInputSchema() {
+        const Schema = typeof InputSchema !== 'undefined' ? InputSchema : require('./input_schema');
+        return new Schema(this.rulebook);
+    }
+
+    createComplianceChecklist() {
+        const Checklist = typeof ComplianceChecklist !== 'undefined' ? ComplianceChecklist : require('./compliance_checklist');
+        return new Checklist(this.rulebook);
+    }
+
+    /**
+     * Checks siteData against the input schema
+     */
+    validateInputs(siteData) {
+        return this.createInputSchema().validateSiteData(siteData);
+    }
+
+    /**
+     * Returns an engine bound to the ordinance edition in effect on the given date
+     */
+    forDate(asOf) {
+        return new this.constructor(this.getRulebookClass().forDate(asOf));
+    }
+
     /**
      * Main execution method - runs complete planning workflow
      */
-    executePlanningWorkflow(siteData) {
+    executePlanningWorkflow(siteData, options = {}) {
         const workflow = {
             startTime: new Date(),
             siteData: siteData,
+            asOf: options.asOf || null,
+            ordinance: null,
             phases: {},
             overallStatus: "in_progress",
             finalReport: null
         };
 
         try {
+            // Apply the ordinance edition the project is vested under
+            const engine = options.asOf ? this.forDate(options.asOf) : this;
+            workflow.ordinance = engine.rulebook.describeEdition();
+
+            // Reject malformed input before any rule is evaluated
+            const inputCheck = engine.validateInputs(siteData);
+            if (!inputCheck.valid) {
+                workflow.overallStatus = "invalid_input";
+                workflow.inputErrors = inputCheck.errors;
+                workflow.stopReason = "Input does not match the siteData schema";
+                return workflow;
+            }
+
             // Execute Phase 1
-            const phase1Results = this.executePhase1(siteData);
+            const phase1Results = engine.executePhase1(siteData);
             workflow.phases.phase1 = phase1Results;
 
             if (phase1Results.status === "stopped") {
@@ -790,18 +916,18 @@ class PlanningEngine {
             }
 
             // Execute Phase 2
-            const phase2Results = this.executePhase2(siteData, phase1Results);
+            const phase2Results = engine.executePhase2(siteData, phase1Results);
             workflow.phases.phase2 = phase2Results;
 
             // Execute Phase 3
-            const phase3Results = this.executePhase3(siteData, {
+            const phase3Results = engine.executePhase3(siteData, {
                 phase1: phase1Results,
                 phase2: phase2Results
             });
             workflow.phases.phase3 = phase3Results;
 
             // Execute Phase 4
-            const phase4Results = this.executePhase4(siteData, {
+            const phase4Results = engine.executePhase4(siteData, {
                 phase1: phase1Results,
                 phase2: phase2Results,
                 phase3: phase3Results
@@ -809,7 +935,7 @@ class PlanningEngine {
             workflow.phases.phase4 = phase4Results;
 
             // Execute Phase 5
-            const phase5Results = this.executePhase5(siteData, {
+            const phase5Results = engine.executePhase5(siteData, {
                 phase1: phase1Results,
                 phase2: phase2Results,
                 phase3: phase3Results,
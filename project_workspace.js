@@ -0,0 +1,429 @@
+/**
+ * Palo Alto Project Workspace
+ * Persistent record of every project: its site data, design revisions,
+ * planning and validation runs, and notes, plus the saved form templates
+ * and autosaved form drafts.
+ * Storage is pluggable: IndexedDbStore in the browser, MemoryStore in tests
+ * and Node. All methods return promises.
+ */
+
+class ProjectWorkspace {
+    constructor(store) {
+        this.store = store || ProjectWorkspace.createDefaultStore();
+    }
+
+    /**
+     * IndexedDB when the environment has it, otherwise an in-memory store
+     */
+    static createDefaultStore() {
+        const storeNames = Object.values(ProjectWorkspace.STORES);
+        if (typeof indexedDB !== 'undefined') {
+            const Store = typeof IndexedDbStore !== 'undefined' ? IndexedDbStore : require('./indexeddb_store');
+            return new Store(storeNames, { version: ProjectWorkspace.DATABASE_VERSION });
+        }
+        const Store = typeof MemoryStore !== 'undefined' ? MemoryStore : require('./memory_store');
+        return new Store(storeNames);
+    }
+
+    open() {
+        return this.store.open().then(() => this);
+    }
+
+    /**
+     * Moves templates and run history kept in localStorage by earlier versions
+     * into the workspace, then removes the old keys
+     */
+    async migrateLegacyStorage(storage) {
+        const Bundle = ProjectWorkspace.getBundleClass();
+        const bundle = new Bundle(this);
+        const migrated = {};
+
+        for (const [type, key] of Object.entries(ProjectWorkspace.LEGACY_KEYS)) {
+            const stored = storage ? storage.getItem(key) : null;
+            if (!stored) continue;
+
+            migrated[type] = await bundle.importBundle(stored, { onConflict: "rename" });
+            storage.removeItem(key);
+        }
+
+        return migrated;
+    }
+
+    // Projects
+
+    async createProject({ name, siteData = {}, designData = null }) {
+        const now = new Date().toISOString();
+        const project = {
+            id: ProjectWorkspace.generateId("project"),
+            name: name || siteData.address || "Untitled project",
+            siteData: siteData,
+            designRevisions: [],
+            planningRuns: [],
+            validationRuns: [],
+            notes: [],
+            archived: false,
+            createdAt: now,
+            updatedAt: now
+        };
+        if (designData) {
+            ProjectWorkspace.appendDesignRevision(project, designData);
+        }
+
+        await this.store.put(ProjectWorkspace.STORES.projects, project);
+        return project;
+    }
+
+    async getProject(id) {
+        const project = await this.store.get(ProjectWorkspace.STORES.projects, id);
+        return project ? ProjectWorkspace.getBundleClass().upgradeProject(project) : project;
+    }
+
+    async requireProject(id) {
+        const project = await this.getProject(id);
+        if (!project) {
+            throw new Error(`Project not found: ${id}`);
+        }
+        return project;
+    }
+
+    saveProject(project) {
+        project.updatedAt = new Date().toISOString();
+        return this.store.put(ProjectWorkspace.STORES.projects, project);
+    }
+
+    /**
+     * Projects newest first; archived projects only when asked for
+     */
+    async listProjects(options = {}) {
+        const projects = (await this.store.getAll(ProjectWorkspace.STORES.projects)).map(ProjectWorkspace.getBundleClass().upgradeProject);
+        return projects
+            .filter(project => options.includeArchived || !project.archived)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Case-insensitive match on name, address, APN, zone and notes
+     */
+    async searchProjects(query, options = {}) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const projects = await this.listProjects(options);
+        return projects.filter(project => {
+            const text = [
+                project.name,
+                project.siteData.address,
+                project.siteData.apn,
+                project.siteData.zone,
+                ...project.notes.map(note => note.text)
+            ].filter(Boolean).join(" ").toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+    }
+
+    /**
+     * The most recently updated open project for a site
+     */
+    async findProjectForSite(siteData) {
+        const projects = await this.listProjects();
+        return projects.find(project => ProjectWorkspace.isSameSite(project.siteData, siteData)) || null;
+    }
+
+    async renameProject(id, name) {
+        if (!name || !name.trim()) {
+            throw new Error("Project name cannot be empty");
+        }
+        const project = await this.requireProject(id);
+        project.name = name.trim();
+        return this.saveProject(project);
+    }
+
+    /**
+     * Copies a project's site data, design revisions and notes into a new
+     * project. Runs stay with the original.
+     */
+    async duplicateProject(id, name = null) {
+        const original = await this.requireProject(id);
+        const copy = await this.createProject({
+            name: name || `${original.name} (copy)`,
+            siteData: JSON.parse(JSON.stringify(original.siteData))
+        });
+        copy.designRevisions = JSON.parse(JSON.stringify(original.designRevisions));
+        copy.notes = JSON.parse(JSON.stringify(original.notes));
+        return this.saveProject(copy);
+    }
+
+    async deleteProject(id) {
+        await this.requireProject(id);
+        await this.deleteDraft(id);
+        return this.store.delete(ProjectWorkspace.STORES.projects, id);
+    }
+
+    async archiveProject(id, archived = true) {
+        const project = await this.requireProject(id);
+        project.archived = archived;
+        return this.saveProject(project);
+    }
+
+    async updateSiteData(id, siteData) {
+        const project = await this.requireProject(id);
+        project.siteData = siteData;
+        return this.saveProject(project);
+    }
+
+    async addDesignRevision(id, designData, note = "") {
+        const project = await this.requireProject(id);
+        const revision = ProjectWorkspace.appendDesignRevision(project, designData, note);
+        await this.saveProject(project);
+        return revision;
+    }
+
+    async addNote(id, text) {
+        if (!text || !text.trim()) {
+            throw new Error("Note text cannot be empty");
+        }
+        const project = await this.requireProject(id);
+        const note = { id: ProjectWorkspace.generateId("note"), text: text.trim(), createdAt: new Date().toISOString() };
+        project.notes.push(note);
+        await this.saveProject(project);
+        return note;
+    }
+
+    // Runs
+
+    async recordPlanningRun(id, workflow) {
+        const project = await this.requireProject(id);
+        const run = {
+            runNumber: project.planningRuns.length + 1,
+            recordedAt: new Date().toISOString(),
+            asOf: workflow.asOf || null,
+            overallStatus: workflow.overallStatus,
+            siteData: workflow.siteData,
+            finalReport: workflow.finalReport
+        };
+        project.siteData = { ...project.siteData, ...workflow.siteData };
+        project.planningRuns.push(run);
+        await this.saveProject(project);
+        return run;
+    }
+
+    /**
+     * Stores a validation workflow as the project's next run, filing its
+     * design as a new revision when it changed
+     */
+    async recordValidationRun(id, workflow, label = null) {
+        const project = await this.requireProject(id);
+        const revision = ProjectWorkspace.appendDesignRevision(project, workflow.designData);
+        const run = ProjectWorkspace.toRun(workflow, project.validationRuns.length + 1, label);
+        run.designRevision = revision.revision;
+
+        project.siteData = { ...project.siteData, ...workflow.siteData };
+        project.validationRuns.push(run);
+        await this.saveProject(project);
+        return run;
+    }
+
+    // Templates
+
+    async listTemplates() {
+        const templates = (await this.store.getAll(ProjectWorkspace.STORES.templates)).map(ProjectWorkspace.getBundleClass().upgradeTemplate);
+        return templates.sort((a, b) => a.created.localeCompare(b.created));
+    }
+
+    /**
+     * Case-insensitive match on name, description, tags and zone
+     */
+    async searchTemplates(query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const templates = await this.listTemplates();
+        return templates.filter(template => ProjectWorkspace.templateMatches(template, terms));
+    }
+
+    async getTemplate(id) {
+        const template = await this.store.get(ProjectWorkspace.STORES.templates, id);
+        return template ? ProjectWorkspace.getBundleClass().upgradeTemplate(template) : template;
+    }
+
+    async findTemplateByName(name) {
+        const templates = await this.listTemplates();
+        return templates.find(template => template.name === name) || null;
+    }
+
+    saveTemplate(template) {
+        const now = new Date().toISOString();
+        const record = {
+            ...template,
+            id: template.id || ProjectWorkspace.generateId("template"),
+            tags: ProjectWorkspace.normalizeTags(template.tags),
+            askOnLoad: template.askOnLoad || [],
+            created: template.created || now,
+            updated: now
+        };
+        return this.store.put(ProjectWorkspace.STORES.templates, record);
+    }
+
+    /**
+     * Applies changes (name, description, tags, askOnLoad, data) to a saved
+     * template. Names stay unique across templates.
+     */
+    async updateTemplate(id, changes) {
+        const template = await this.getTemplate(id);
+        if (!template) {
+            throw new Error(`Template not found: ${id}`);
+        }
+
+        if (changes.name !== undefined) {
+            if (!changes.name.trim()) {
+                throw new Error("Template name cannot be empty");
+            }
+            const namesake = await this.findTemplateByName(changes.name.trim());
+            if (namesake && namesake.id !== id) {
+                throw new Error(`A template named "${changes.name.trim()}" already exists`);
+            }
+            changes = { ...changes, name: changes.name.trim() };
+        }
+
+        return this.saveTemplate({ ...template, ...changes, id: template.id, created: template.created });
+    }
+
+    renameTemplate(id, name) {
+        return this.updateTemplate(id, { name: name || "" });
+    }
+
+    deleteTemplate(id) {
+        return this.store.delete(ProjectWorkspace.STORES.templates, id);
+    }
+
+    // Drafts
+
+    /**
+     * Autosaved form values for a project, or for work not yet tied to one
+     * when projectId is null. forms maps each mode to its field values.
+     */
+    saveDraft(projectId, forms) {
+        return this.store.put(ProjectWorkspace.STORES.drafts, {
+            id: projectId || ProjectWorkspace.SESSION_DRAFT_ID,
+            projectId: projectId || null,
+            forms: forms,
+            savedAt: new Date().toISOString()
+        });
+    }
+
+    getDraft(projectId) {
+        return this.store.get(ProjectWorkspace.STORES.drafts, projectId || ProjectWorkspace.SESSION_DRAFT_ID);
+    }
+
+    /**
+     * Drafts newest first
+     */
+    async listDrafts() {
+        const drafts = await this.store.getAll(ProjectWorkspace.STORES.drafts);
+        return drafts.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    deleteDraft(projectId) {
+        return this.store.delete(ProjectWorkspace.STORES.drafts, projectId || ProjectWorkspace.SESSION_DRAFT_ID);
+    }
+
+    // Record Helpers
+
+    /**
+     * Adds a design revision unless the design matches the latest one, and
+     * returns the revision the design is filed under
+     */
+    static appendDesignRevision(project, designData, note = "") {
+        const latest = project.designRevisions[project.designRevisions.length - 1];
+        if (latest && JSON.stringify(latest.designData) === JSON.stringify(designData)) {
+            return latest;
+        }
+
+        const revision = {
+            revision: project.designRevisions.length + 1,
+            createdAt: new Date().toISOString(),
+            note: note,
+            designData: designData
+        };
+        project.designRevisions.push(revision);
+        return revision;
+    }
+
+    static templateMatches(template, terms) {
+        const text = [
+            template.name,
+            template.description,
+            template.mode,
+            template.data && template.data.zone,
+            ...(template.tags || [])
+        ].filter(Boolean).join(" ").toLowerCase();
+        return terms.every(term => text.includes(term));
+    }
+
+    // Tags may arrive as a comma-separated string from the template form
+    static normalizeTags(tags) {
+        const list = typeof tags === "string" ? tags.split(",") : (tags || []);
+        return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+    }
+
+    static toRun(workflow, runNumber, label = null) {
+        return {
+            runNumber: runNumber,
+            label: label || `Run ${runNumber}`,
+            recordedAt: new Date().toISOString(),
+            asOf: workflow.asOf || null,
+            overallStatus: workflow.finalReport ? workflow.finalReport.overallStatus : workflow.overallStatus.toUpperCase(),
+            siteData: workflow.siteData,
+            designData: workflow.designData,
+            finalReport: workflow.finalReport
+        };
+    }
+
+    /**
+     * Sites match on APN when both carry one (the planning form asks for it,
+     * the validation form does not), otherwise on address
+     */
+    static isSameSite(siteData, otherSiteData) {
+        if (siteData.apn && otherSiteData.apn) {
+            return ProjectWorkspace.normalizeIdentifier(siteData.apn) === ProjectWorkspace.normalizeIdentifier(otherSiteData.apn);
+        }
+        const address = ProjectWorkspace.normalizeIdentifier(siteData.address);
+        return address !== "" && address === ProjectWorkspace.normalizeIdentifier(otherSiteData.address);
+    }
+
+    static normalizeIdentifier(value) {
+        return (value || "").trim().toLowerCase().replace(/\s+/g, " ");
+    }
+
+    /**
+     * Records stored by earlier releases are upgraded as they are read, with
+     * the same steps as an imported bundle
+     */
+    static getBundleClass() {
+        return typeof WorkspaceBundle !== 'undefined' ? WorkspaceBundle : require('./workspace_bundle');
+    }
+
+    static generateId(prefix) {
+        return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
+
+ProjectWorkspace.STORES = {
+    projects: "projects",
+    templates: "templates",
+    drafts: "drafts"
+};
+
+// Raise with every new object store so IndexedDB creates it on upgrade
+ProjectWorkspace.DATABASE_VERSION = 2;
+
+ProjectWorkspace.SESSION_DRAFT_ID = "session";
+
+// localStorage keys used before the workspace existed
+ProjectWorkspace.LEGACY_KEYS = {
+    templates: "paloAltoTemplates",
+    runHistory: "paloAltoRunHistory"
+};
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectWorkspace;
+} else if (typeof window !== 'undefined') {
+    window.ProjectWorkspace = ProjectWorkspace;
+}
\ No newline at end of file
@@ -0,0 +1,254 @@
+/**
+ * Palo Alto Report Exporter
+ * Exports a validation workflow in the formats clients and plan checkers ask
+ * for: HTML, Word-compatible HTML (.doc), a print-ready PDF, the full workflow
+ * as JSON, a CSV with one row per check, and the plan-check correction letter.
+ * Every format is produced offline from the engine's report model, in the
+ * browser or in Node.
+ */
+
+class ReportExporter {
+    constructor(renderer) {
+        this.renderer = renderer || this.createReportRenderer();
+    }
+
+    createReportRenderer() {
+        const Renderer = typeof ReportRenderer !== 'undefined' ? ReportRenderer : require('./report_renderer');
+        return new Renderer();
+    }
+
+    createCorrectionLetterGenerator() {
+        const Generator = typeof CorrectionLetterGenerator !== 'undefined' ? CorrectionLetterGenerator : require('./correction_letter');
+        return new Generator();
+    }
+
+    createPdfDocument(options) {
+        const Pdf = typeof PdfDocument !== 'undefined' ? PdfDocument : require('./pdf_document');
+        return new Pdf(options);
+    }
+
+    /**
+     * Exports a validation workflow (as returned by executeValidationWorkflow)
+     * and returns { content, mimeType, extension }. PDF content is a
+     * Uint8Array; every other format is a string.
+     */
+    export(workflow, format) {
+        const spec = ReportExporter.FORMATS[format];
+        if (!spec) {
+            throw new Error(`Unsupported export format: ${format} (expected ${Object.keys(ReportExporter.FORMATS).join(", ")})`);
+        }
+        if (format !== "json" && !workflow.finalReport) {
+            throw new Error("The workflow has no validation report to export");
+        }
+
+        const report = workflow.finalReport;
+        const content = {
+            html: () => this.renderer.toHtml(report),
+            doc: () => this.toWordHtml(report),
+            pdf: () => this.toPdf(report),
+            json: () => this.toJson(workflow),
+            csv: () => this.toCsv(report),
+            letter: () => this.toCorrectionLetter(report)
+        }[format]();
+
+        return { content, mimeType: spec.mimeType, extension: spec.extension };
+    }
+
+    toJson(workflow) {
+        return JSON.stringify(workflow, null, 2);
+    }
+
+    /**
+     * One row per check: the checks of every phase followed by the individual
+     * items of the compliance checklist
+     */
+    buildCheckRows(report) {
+        const rows = report.phases.flatMap(phase => phase.checks.map(check => ({
+            phase: phase.phase,
+            ruleId: check.ruleId || "",
+            checkName: check.checkName,
+            required: check.required,
+            actual: check.actual,
+            result: check.result,
+            severity: check.severity || "",
+            message: check.message
+        })));
+
+        (report.checklistSummary ? report.checklistSummary.items : []).forEach(item => {
+            rows.push({
+                phase: "checklist",
+                ruleId: item.ruleId,
+                checkName: `${item.id}: ${item.description}`,
+                required: item.required,
+                actual: item.actual,
+                result: item.result,
+                severity: "",
+                message: ""
+            });
+        });
+
+        return rows;
+    }
+
+    toCsv(report) {
+        const lines = [ReportExporter.CSV_COLUMNS.join(",")];
+
+        this.buildCheckRows(report).forEach(row => {
+            lines.push(ReportExporter.CSV_COLUMNS.map(column => {
+                const value = row[column];
+                const text = value !== null && typeof value === "object" ? JSON.stringify(value) : value;
+                return ReportExporter.escapeCsv(text);
+            }).join(","));
+        });
+
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * HTML with the Office namespaces and print view settings, which Word
+     * opens as a native document
+     */
+    toWordHtml(report) {
+        return this.renderer.toHtml(report)
+            .replace("<html>", '<html xmlns:o="urn:schemas-microsoft-com:office:office" ' +
+                'xmlns:w="urn:schemas-microsoft-com:office:word" xmlns="http://www.w3.org/TR/REC-html40">')
+            .replace("</head>", "    <!--[if gte mso 9]><xml><w:WordDocument><w:View>Print</w:View>" +
+                "<w:Zoom>100</w:Zoom></w:WordDocument></xml><![endif]-->\n</head>");
+    }
+
+    toCorrectionLetter(report) {
+        const generator = this.createCorrectionLetterGenerator();
+        return generator.toHtml(generator.generate(report));
+    }
+
+    /**
+     * Print-ready PDF: a cover page with the project, ordinance and outcome,
+     * then rule tables for each phase, the violations and the checklist
+     */
+    toPdf(report) {
+        const Renderer = this.renderer.constructor;
+        const summary = report.projectSummary;
+        const format = Renderer.formatValue;
+        const pdf = this.createPdfDocument({ footer: `Validation Report - ${summary.address}` });
+
+        // Cover page
+        pdf.space(120);
+        pdf.paragraph("Zoning Compliance Validation Report", { size: 24, bold: true });
+        pdf.space(12);
+        pdf.paragraph(summary.address, { size: 16 });
+        pdf.space(24);
+        pdf.table([{ title: "Project", width: 0.3 }, { title: "Details", width: 0.7 }], [
+            ["APN", summary.apn || "N/A"],
+            ["Zone", summary.zone],
+            ["Lot Size", `${format(summary.lotSize)} sq ft`],
+            ["Ordinance", report.ordinance ? `${report.ordinance.edition} - ${Renderer.formatOrdinanceEffectiveDates(report.ordinance)}` : "N/A"],
+            ["Validation Date", new Date(summary.validationDate).toLocaleDateString()]
+        ], { size: 10 });
+        pdf.space(12);
+        pdf.paragraph(`Overall Status: ${report.overallStatus}`, { size: 18, bold: true });
+        pdf.space(8);
+        pdf.table([{ title: "Severity", width: 0.7 }, { title: "Violations", width: 0.3 }], [
+            ["Critical (absolute stopper)", report.violationSummary.critical],
+            ["Major", report.violationSummary.major],
+            ["Design", report.violationSummary.design],
+            ["Process", report.violationSummary.process],
+            ["Total", report.violationSummary.total]
+        ], { size: 10 });
+        pdf.paragraph(`Estimated resolution: ${report.estimatedResolution}`);
+
+        // Rule tables
+        const checkColumns = [
+            { title: "Rule", width: 0.1 },
+            { title: "Check", width: 0.3 },
+            { title: "Required", width: 0.2 },
+            { title: "Actual", width: 0.2 },
+            { title: "Result", width: 0.2 }
+        ];
+        const checkCells = row => [
+            row.ruleId,
+            row.checkName,
+            row.required === undefined ? "" : format(row.required),
+            row.actual === undefined ? "" : format(row.actual),
+            row.severity ? `${row.result} (${Renderer.formatSeverity(row.severity)})` : row.result
+        ];
+        const rows = this.buildCheckRows(report);
+
+        pdf.addPage();
+        report.phases.forEach(phase => {
+            pdf.heading(`Phase ${phase.phase}: ${phase.phaseName}`);
+            pdf.paragraph(`${phase.passed} passed, ${phase.failed} failed`, { size: 9 });
+            pdf.space(4);
+            pdf.table(checkColumns, rows.filter(row => row.phase === phase.phase).map(checkCells));
+        });
+
+        const violations = report.phases.flatMap(phase => phase.violations);
+        if (violations.length > 0) {
+            pdf.heading("Violations");
+            pdf.table([
+                { title: "Severity", width: 0.16 },
+                { title: "Rule", width: 0.1 },
+                { title: "Category", width: 0.18 },
+                { title: "Description", width: 0.3 },
+                { title: "Remediation", width: 0.26 }
+            ], violations.map(violation => [
+                Renderer.formatSeverity(violation.type),
+                violation.ruleId,
+                violation.category,
+                violation.description,
+                violation.remediation || ""
+            ]));
+        }
+
+        const remediations = report.remediations || [];
+        if (remediations.length > 0 || report.minimalChangeDesign) {
+            pdf.heading("Minimum Changes to Comply");
+            pdf.bulletList(remediations.map(remediation => `${remediation.ruleId}: ${remediation.description}`));
+            if (report.minimalChangeDesign) {
+                const combined = report.minimalChangeDesign;
+                pdf.paragraph(`Combined minimal-change design: ${combined.passes ? "passes all phases" : combined.status.toUpperCase()}`, { bold: true });
+                pdf.bulletList([
+                    ...combined.changes.map(change => change.description),
+                    ...combined.unresolved.map(entry => `Unresolved ${entry.ruleId}: ${entry.description}`)
+                ]);
+            }
+        }
+
+        if (report.checklistSummary) {
+            const checklist = report.checklistSummary;
+            pdf.heading("Compliance Checklist");
+            pdf.paragraph(`${checklist.totalChecks} checks: ${checklist.passed} passed, ${checklist.failed} failed, ` +
+                `${checklist.notApplicable} not applicable`, { size: 9 });
+            pdf.space(4);
+            pdf.table(checkColumns, rows.filter(row => row.phase === "checklist").map(checkCells));
+        }
+
+        pdf.heading("Next Steps");
+        pdf.bulletList(report.nextSteps);
+
+        return pdf.toBytes();
+    }
+
+    static escapeCsv(value) {
+        const text = value === undefined || value === null ? "" : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Download formats: file extension and MIME type
+ReportExporter.FORMATS = {
+    html: { extension: "html", mimeType: "text/html" },
+    doc: { extension: "doc", mimeType: "application/msword" },
+    pdf: { extension: "pdf", mimeType: "application/pdf" },
+    json: { extension: "json", mimeType: "application/json" },
+    csv: { extension: "csv", mimeType: "text/csv" },
+    letter: { extension: "doc", mimeType: "application/msword" }
+};
+
+ReportExporter.CSV_COLUMNS = ["phase", "ruleId", "checkName", "required", "actual", "result", "severity", "message"];
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportExporter;
+} else if (typeof window !== 'undefined') {
+    window.ReportExporter = ReportExporter;
+}
\ No newline at end of file
@@ -0,0 +1,226 @@
+/**
+ * Palo Alto Report Renderer
+ * Renders the validation report model produced by
+ * ValidationEngine.generateValidationReport. The web app download and the CLI
+ * both go through this class, so every format shows the same checks,
+ * severities and status.
+ */
+
+class ReportRenderer {
+    /**
+     * Renders a validation report model as Markdown
+     */
+    toMarkdown(report) {
+        const summary = report.projectSummary;
+        const lines = [];
+
+        lines.push("# Validation Report", "");
+        lines.push(`**Property:** ${summary.address}`);
+        if (summary.apn) {
+            lines.push(`**APN:** ${summary.apn}`);
+        }
+        lines.push(`**Zone:** ${summary.zone}`);
+        lines.push(`**Lot Size:** ${ReportRenderer.formatValue(summary.lotSize)} sf`);
+        if (report.ordinance) {
+            lines.push(`**Ordinance:** ${report.ordinance.edition} - ${ReportRenderer.formatOrdinanceEffectiveDates(report.ordinance)}`);
+        }
+        lines.push(`**Generated:** ${new Date(summary.validationDate).toLocaleDateString()}`, "");
+
+        lines.push(`## Overall Status: ${ReportRenderer.getStatusIcon(report.overallStatus)} ${report.overallStatus}`, "");
+
+        report.phases.forEach(phase => {
+            lines.push(`## Phase ${phase.phase}: ${phase.phaseName}`, "");
+            lines.push(`${phase.passed} passed, ${phase.failed} failed`, "");
+
+            phase.checks.forEach(check => {
+                const ruleId = check.ruleId ? ` [${check.ruleId}]` : "";
+                const severity = check.severity ? ` (${ReportRenderer.formatSeverity(check.severity)})` : "";
+                lines.push(`${ReportRenderer.getResultIcon(check.result)} **${check.checkName}**${ruleId}${severity}`);
+                lines.push(`   Status: ${check.result}`);
+                lines.push(`   Message: ${check.message}`);
+                if (check.actual !== undefined) {
+                    lines.push(`   Actual: ${ReportRenderer.formatValue(check.actual)}`);
+                }
+                if (check.required !== undefined) {
+                    lines.push(`   Required: ${ReportRenderer.formatValue(check.required)}`);
+                }
+                (check.details || []).forEach(detail => lines.push(`   - ${detail}`));
+                lines.push("");
+            });
+
+            if (phase.violations.length > 0) {
+                lines.push("### Violations:");
+                phase.violations.forEach(violation => {
+                    lines.push(`• **${ReportRenderer.formatSeverity(violation.type)} ${violation.ruleId}:** ${violation.category} - ${violation.description}`);
+                    if (violation.remediation) {
+                        lines.push(`  Remediation: ${violation.remediation}`);
+                    }
+                });
+                lines.push("");
+            }
+
+            if (phase.warnings.length > 0) {
+                lines.push("### Warnings:");
+                phase.warnings.forEach(warning => lines.push(`• ${warning.message}`));
+                lines.push("");
+            }
+        });
+
+        if (report.checklistSummary) {
+            const checklist = report.checklistSummary;
+            lines.push("## Compliance Checklist", "");
+            lines.push(`• **Total Checks:** ${checklist.totalChecks}`);
+            lines.push(`• **Passed:** ${checklist.passed}`);
+            lines.push(`• **Failed:** ${checklist.failed}`);
+            lines.push(`• **Not Applicable:** ${checklist.notApplicable}`, "");
+        }
+
+        lines.push(...this.formatRemediations(report));
+
+        const violations = report.violationSummary;
+        lines.push("## Summary", "");
+        lines.push(`• **Total Violations:** ${violations.total}`);
+        lines.push(`• **Critical Violations:** ${violations.critical}`);
+        lines.push(`• **Major Violations:** ${violations.major}`);
+        lines.push(`• **Design Violations:** ${violations.design}`);
+        lines.push(`• **Process Violations:** ${violations.process}`);
+        lines.push(`• **Status:** ${report.overallStatus}`);
+        lines.push(`• **Estimated Resolution:** ${report.estimatedResolution}`, "");
+
+        if (violations.total > 0) {
+            lines.push("## Required Actions", "");
+            if (violations.critical > 0) {
+                lines.push(`🚨 **CRITICAL:** Address ${violations.critical} critical violation(s) before proceeding.`);
+            }
+        } else {
+            lines.push("## Approval Status", "");
+            lines.push("✅ All validations passed. Design meets zoning requirements.");
+        }
+        report.nextSteps.forEach(step => lines.push(`• ${step}`));
+        lines.push("");
+
+        lines.push("---");
+        lines.push("*Generated by Palo Alto Planning & Validation Web Application*");
+
+        return lines.join("\n");
+    }
+
+    formatRemediations(report) {
+        const remediations = report.remediations || [];
+        const combined = report.minimalChangeDesign;
+        if (remediations.length === 0 && !combined) return [];
+
+        const lines = ["## Minimum Changes to Comply", ""];
+        remediations.forEach(remediation => lines.push(`• **${remediation.ruleId}:** ${remediation.description}`));
+        if (remediations.length > 0) lines.push("");
+
+        if (combined) {
+            lines.push(`### Combined Minimal-Change Design: ${combined.passes ? "Passes all phases" : combined.status.toUpperCase()}`);
+            combined.changes.forEach(change => lines.push(`• ${change.description}`));
+            combined.unresolved.forEach(entry => lines.push(`• **Unresolved ${entry.ruleId}:** ${entry.description}`));
+            lines.push("");
+        }
+
+        return lines;
+    }
+
+    /**
+     * Renders a validation report model as a standalone HTML document
+     */
+    toHtml(report, title = "Validation Report") {
+        return this.markdownToHtml(this.toMarkdown(report), title);
+    }
+
+    /**
+     * Converts the Markdown subset used by the reports into a standalone HTML
+     * document. Text is escaped before any markup is added.
+     */
+    markdownToHtml(markdown, title) {
+        let html = ReportRenderer.escapeHtml(markdown)
+            .replace(/^# (.+)$/gm, "<h1>$1</h1>")
+            .replace(/^## (.+)$/gm, "<h2>$1</h2>")
+            .replace(/^### (.+)$/gm, "<h3>$1</h3>")
+            .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+            .replace(/^\*(.+)\*$/gm, "<em>$1</em>")
+            .replace(/^• (.+)$/gm, "<li>$1</li>")
+            .replace(/^---$/gm, "<hr>")
+            .replace(/\n\n/g, "</p><p>")
+            .replace(/\n/g, "<br>");
+
+        // Wrap list items
+        html = html.replace(/(<li>.*?<\/li>)/gs, "<ul>$1</ul>");
+        html = html.replace(/<\/ul><br><ul>/g, "");
+
+        // Wrap paragraphs
+        html = "<p>" + html + "</p>";
+        html = html.replace(/<p><h/g, "<h").replace(/<\/h([1-6])><\/p>/g, "</h$1>");
+        html = html.replace(/<p><ul>/g, "<ul>").replace(/<\/ul><\/p>/g, "</ul>");
+        html = html.replace(/<p><hr><\/p>/g, "<hr>");
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>${ReportRenderer.escapeHtml(title)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 800px; margin: 0 auto; padding: 40px 20px; line-height: 1.6; }
+        h1 { color: #007AFF; border-bottom: 2px solid #007AFF; padding-bottom: 10px; }
+        h2 { color: #333; margin-top: 30px; }
+        h3 { color: #666; }
+        ul { margin: 10px 0; }
+        li { margin: 5px 0; }
+        hr { margin: 30px 0; border: none; border-top: 1px solid #ddd; }
+        .status-approved { color: #34C759; font-weight: bold; }
+        .status-conditional { color: #FF9500; font-weight: bold; }
+        .status-rejected { color: #FF3B30; font-weight: bold; }
+    </style>
+</head>
+<body>
+    ${html}
+</body>
+</html>`;
+    }
+
+    // Formatting Helpers
+
+    static formatValue(value) {
+        if (value === null || value === undefined) return "N/A";
+        if (typeof value === "number") return value.toLocaleString();
+        if (typeof value === "boolean") return value ? "Yes" : "No";
+        if (typeof value === "object") return JSON.stringify(value);
+        return value.toString();
+    }
+
+    static formatSeverity(type) {
+        return type.replace(/_/g, " ").toUpperCase();
+    }
+
+    static formatOrdinanceEffectiveDates(ordinance) {
+        const from = ordinance.effectiveFrom || "original adoption";
+        const to = ordinance.effectiveTo || "present";
+        return `Version ${ordinance.version} (effective ${from} to ${to})`;
+    }
+
+    static getStatusIcon(status) {
+        return { APPROVED: "✅", CONDITIONAL: "⚠️", REJECTED: "❌" }[status] || "❓";
+    }
+
+    static getResultIcon(result) {
+        return { PASS: "✅", FAIL: "❌", WARNING: "⚠️", INFO: "ℹ️", "N/A": "➖" }[result] || "❓";
+    }
+
+    static escapeHtml(value) {
+        return String(value === undefined || value === null ? "" : value)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    }
+}
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportRenderer;
+} else if (typeof window !== 'undefined') {
+    window.ReportRenderer = ReportRenderer;
+}
\ No newline at end of file
@@ -0,0 +1,194 @@
+/**
+ * Palo Alto Run Comparison
+ * Compares two validation runs of the same project: which violations were
+ * resolved, which are new, which remain, and which measured values moved
+ * against their limits. The result renders as a revision-response summary.
+ */
+
+class RunComparison {
+    constructor(renderer) {
+        this.renderer = renderer || this.createReportRenderer();
+    }
+
+    createReportRenderer() {
+        const Renderer = typeof ReportRenderer !== 'undefined' ? ReportRenderer : require('./report_renderer');
+        return new Renderer();
+    }
+
+    /**
+     * Compares two runs (see ProjectWorkspace.toRun). Both must carry a report.
+     */
+    compare(previousRun, currentRun) {
+        if (!previousRun.finalReport || !currentRun.finalReport) {
+            throw new Error("Both runs need a validation report to be compared");
+        }
+
+        const previousViolations = RunComparison.collectViolations(previousRun.finalReport);
+        const currentViolations = RunComparison.collectViolations(currentRun.finalReport);
+        const previousKeys = new Set(previousViolations.map(RunComparison.violationKey));
+        const currentKeys = new Set(currentViolations.map(RunComparison.violationKey));
+
+        const resolved = previousViolations.filter(violation => !currentKeys.has(RunComparison.violationKey(violation)));
+        const introduced = currentViolations.filter(violation => !previousKeys.has(RunComparison.violationKey(violation)));
+        const persisting = currentViolations
+            .filter(violation => previousKeys.has(RunComparison.violationKey(violation)))
+            .map(violation => ({
+                previous: previousViolations.find(candidate => RunComparison.violationKey(candidate) === RunComparison.violationKey(violation)),
+                current: violation
+            }));
+
+        return {
+            projectSummary: currentRun.finalReport.projectSummary,
+            previous: RunComparison.describeRun(previousRun),
+            current: RunComparison.describeRun(currentRun),
+            statusChange: { from: previousRun.finalReport.overallStatus, to: currentRun.finalReport.overallStatus },
+            resolved: resolved,
+            introduced: introduced,
+            persisting: persisting,
+            valueChanges: this.compareValues(previousRun.finalReport, currentRun.finalReport),
+            summary: {
+                resolved: resolved.length,
+                introduced: introduced.length,
+                persisting: persisting.length
+            }
+        };
+    }
+
+    /**
+     * Numeric check values that changed between the runs, with the limit they
+     * are measured against
+     */
+    compareValues(previousReport, currentReport) {
+        const previousChecks = new Map();
+        previousReport.phases.forEach(phase => phase.checks.forEach(check => {
+            previousChecks.set(`${phase.phase}|${check.checkName}`, check);
+        }));
+
+        const changes = [];
+        const addChange = (check, previous, name, from, to, required) => {
+            if (typeof from !== "number" || typeof to !== "number" || from === to) return;
+            changes.push({
+                ruleId: check.ruleId,
+                checkName: name,
+                from: from,
+                to: to,
+                required: required,
+                previousResult: previous.result,
+                currentResult: check.result
+            });
+        };
+
+        currentReport.phases.forEach(phase => phase.checks.forEach(check => {
+            const previous = previousChecks.get(`${phase.phase}|${check.checkName}`);
+            if (!previous) return;
+
+            // Checks such as setbacks report one value per side
+            if (RunComparison.isPlainObject(check.actual) && RunComparison.isPlainObject(previous.actual)) {
+                const required = RunComparison.isPlainObject(check.required) ? check.required : {};
+                Object.keys(check.actual).forEach(key => {
+                    addChange(check, previous, `${check.checkName} (${key})`, previous.actual[key], check.actual[key], required[key]);
+                });
+            } else {
+                addChange(check, previous, check.checkName, previous.actual, check.actual, check.required);
+            }
+        }));
+
+        return changes;
+    }
+
+    /**
+     * Renders a comparison as the revision-response summary returned to the
+     * plan checker with a resubmittal
+     */
+    toMarkdown(comparison) {
+        const format = this.renderer.constructor.formatValue;
+        const severity = this.renderer.constructor.formatSeverity;
+        const violationLine = violation => `• **${violation.ruleId}** ${violation.category} (${severity(violation.type)}): ${violation.description}`;
+        const lines = [];
+
+        lines.push("# Revision Response Summary", "");
+        lines.push(`**Property:** ${comparison.projectSummary.address}`);
+        lines.push(`**Zone:** ${comparison.projectSummary.zone}`);
+        lines.push(`**Previous Review:** ${comparison.previous.label} (${new Date(comparison.previous.recordedAt).toLocaleDateString()}) - ${comparison.previous.status}`);
+        lines.push(`**This Review:** ${comparison.current.label} (${new Date(comparison.current.recordedAt).toLocaleDateString()}) - ${comparison.current.status}`, "");
+
+        lines.push(`## Status: ${comparison.statusChange.from} → ${comparison.statusChange.to}`, "");
+        lines.push(`• **Resolved:** ${comparison.summary.resolved}`);
+        lines.push(`• **New:** ${comparison.summary.introduced}`);
+        lines.push(`• **Outstanding:** ${comparison.summary.persisting}`, "");
+
+        if (comparison.resolved.length > 0) {
+            lines.push("## Resolved Corrections", "");
+            comparison.resolved.forEach(violation => lines.push(violationLine(violation)));
+            lines.push("");
+        }
+
+        if (comparison.introduced.length > 0) {
+            lines.push("## New Corrections", "");
+            comparison.introduced.forEach(violation => lines.push(violationLine(violation)));
+            lines.push("");
+        }
+
+        if (comparison.persisting.length > 0) {
+            lines.push("## Outstanding Corrections", "");
+            comparison.persisting.forEach(entry => {
+                lines.push(violationLine(entry.current));
+                if (entry.previous.description !== entry.current.description) {
+                    lines.push(`  Previously: ${entry.previous.description}`);
+                }
+            });
+            lines.push("");
+        }
+
+        if (comparison.valueChanges.length > 0) {
+            lines.push("## Changed Values", "");
+            comparison.valueChanges.forEach(change => {
+                const limit = change.required !== undefined && typeof change.required !== "object" ?
+                    ` against a limit of ${format(change.required)}` : "";
+                const result = change.previousResult !== change.currentResult ?
+                    ` (${change.previousResult} → ${change.currentResult})` : ` (${change.currentResult})`;
+                lines.push(`• **${change.checkName}${change.ruleId ? ` [${change.ruleId}]` : ""}:** ` +
+                    `${format(change.from)} → ${format(change.to)}${limit}${result}`);
+            });
+            lines.push("");
+        }
+
+        lines.push("---");
+        lines.push("*Generated by Palo Alto Planning & Validation Web Application*");
+
+        return lines.join("\n");
+    }
+
+    toHtml(comparison) {
+        return this.renderer.markdownToHtml(this.toMarkdown(comparison), "Revision Response Summary");
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === "object" && !Array.isArray(value);
+    }
+
+    static collectViolations(report) {
+        return report.phases.flatMap(phase => phase.violations);
+    }
+
+    // Violations are the same finding when they cite the same rule and category
+    static violationKey(violation) {
+        return `${violation.ruleId}|${violation.category}`;
+    }
+
+    static describeRun(run) {
+        return {
+            runNumber: run.runNumber,
+            label: run.label,
+            recordedAt: run.recordedAt,
+            status: run.finalReport.overallStatus
+        };
+    }
+}
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunComparison;
+} else if (typeof window !== 'undefined') {
+    window.RunComparison = RunComparison;
+}
\ No newline at end of file
@@ -0,0 +1,438 @@
+/**
+ * Palo Alto Site Geometry
+ * Polygon model for lots, building footprints, creek setback areas and easements.
+ * Accepts local feet coordinates or GeoJSON (WGS84) and works in feet internally.
+ */
+
+class SiteGeometry {
+    constructor() {
+        // Shared projection origin so every polygon of a site lands in the same local frame
+        this.origin = null;
+    }
+
+    /**
+     * Converts any supported polygon input into an array of {x, y} points in feet.
+     * Supported: [[x, y], ...], [{x, y}, ...], GeoJSON Polygon or Feature.
+     * GeoJSON coordinates are treated as longitude/latitude unless the object or
+     * its properties declare `units: "feet"`.
+     */
+    toLocalPolygon(input) {
+        if (!input) return null;
+
+        if (Array.isArray(input)) {
+            return SiteGeometry.cleanRing(input.map(point => Array.isArray(point) ?
+                { x: point[0], y: point[1] } :
+                { x: point.x, y: point.y }
+            ));
+        }
+
+        const geometry = input.type === "Feature" ? input.geometry : input;
+        const units = input.units || (input.properties && input.properties.units) || geometry.units;
+
+        if (!geometry || geometry.type !== "Polygon") {
+            throw new Error(`Unsupported geometry type: ${geometry ? geometry.type : "none"} (expected Polygon)`);
+        }
+
+        const ring = geometry.coordinates[0];
+        if (units === "feet") {
+            return SiteGeometry.cleanRing(ring.map(([x, y]) => ({ x, y })));
+        }
+
+        return SiteGeometry.cleanRing(ring.map(([lon, lat]) => this.projectLonLat(lon, lat)));
+    }
+
+    toLocalPolygons(inputs) {
+        if (!inputs) return [];
+        const list = Array.isArray(inputs) && !SiteGeometry.isPointList(inputs) ? inputs : [inputs];
+        return list.map(input => this.toLocalPolygon(input)).filter(Boolean);
+    }
+
+    projectLonLat(lon, lat) {
+        if (!this.origin) {
+            this.origin = { lon, lat };
+        }
+        const feetPerDegree = SiteGeometry.FEET_PER_DEGREE_LATITUDE;
+        return {
+            x: (lon - this.origin.lon) * feetPerDegree * Math.cos(this.origin.lat * Math.PI / 180),
+            y: (lat - this.origin.lat) * feetPerDegree
+        };
+    }
+
+    /**
+     * Measures a site: lot area, footprint area, overlaps with each protected
+     * area, buildable area and the footprint's closest approach to the lot line.
+     */
+    analyzeSite(siteData, designData) {
+        SiteGeometry.assertSingleFrame(siteData, designData);
+
+        const lot = this.toLocalPolygon(siteData.lotBoundary);
+        const footprint = this.toLocalPolygon(designData && designData.buildingFootprint);
+        const creekAreas = this.toLocalPolygons(siteData.creekSetbackAreas);
+        const easements = this.toLocalPolygons(siteData.easementAreas);
+
+        // Overlapping creek and easement areas are each deducted in full
+        const clipToLot = polygon => lot ? SiteGeometry.intersectionArea(polygon, lot) : SiteGeometry.area(polygon);
+        const creekArea = creekAreas.reduce((sum, polygon) => sum + clipToLot(polygon), 0);
+        const easementArea = easements.reduce((sum, polygon) => sum + clipToLot(polygon), 0);
+        const lotArea = lot ? SiteGeometry.area(lot) : null;
+
+        const analysis = {
+            lotArea: SiteGeometry.round(lotArea),
+            footprintArea: footprint ? SiteGeometry.round(SiteGeometry.area(footprint)) : null,
+            creekArea: SiteGeometry.round(creekArea),
+            easementArea: SiteGeometry.round(easementArea),
+            buildableArea: lot ? SiteGeometry.round(lotArea - creekArea - easementArea) : null,
+            footprintWithinLot: null,
+            minimumSetback: null,
+            encroachments: []
+        };
+
+        if (!footprint) {
+            return analysis;
+        }
+
+        if (lot) {
+            const outside = SiteGeometry.area(footprint) - SiteGeometry.intersectionArea(footprint, lot);
+            analysis.footprintWithinLot = outside <= SiteGeometry.AREA_TOLERANCE;
+            analysis.minimumSetback = SiteGeometry.round(SiteGeometry.distanceToBoundary(footprint, lot));
+        }
+
+        creekAreas.forEach((polygon, index) => {
+            const overlap = SiteGeometry.intersectionArea(footprint, polygon);
+            if (overlap > SiteGeometry.AREA_TOLERANCE) {
+                analysis.encroachments.push({ type: "creek", index, area: SiteGeometry.round(overlap), label: "creek channel" });
+            }
+        });
+
+        easements.forEach((polygon, index) => {
+            const overlap = SiteGeometry.intersectionArea(footprint, polygon);
+            if (overlap > SiteGeometry.AREA_TOLERANCE) {
+                analysis.encroachments.push({ type: "easement", index, area: SiteGeometry.round(overlap), label: "utility easement" });
+            }
+        });
+
+        return analysis;
+    }
+
+    /**
+     * Minimum distance from the footprint to each labeled lot edge. Edge i runs
+     * from vertex i to vertex i + 1 and is labeled by `lotEdgeTypes[i]` (or the
+     * lot Feature's `properties.edgeTypes`) as front, interiorSide, streetSide or rear.
+     * Returns null when the lot, footprint or edge labels are missing.
+     */
+    measureSetbacks(siteData, designData) {
+        SiteGeometry.assertSingleFrame(siteData, designData);
+
+        const lot = this.toLocalPolygon(siteData.lotBoundary);
+        const footprint = this.toLocalPolygon(designData && designData.buildingFootprint);
+        const boundaryProperties = siteData.lotBoundary && siteData.lotBoundary.properties;
+        const edgeTypes = siteData.lotEdgeTypes || (boundaryProperties && boundaryProperties.edgeTypes);
+
+        if (!lot || !footprint || !edgeTypes) {
+            return null;
+        }
+
+        if (edgeTypes.length !== lot.length) {
+            throw new Error(`Lot edge labels do not match lot boundary (${lot.length} edges, ${edgeTypes.length} labels)`);
+        }
+
+        const setbacks = {};
+        edgeTypes.forEach((edgeType, index) => {
+            if (!edgeType) return;
+            const distance = SiteGeometry.distanceToSegment(footprint, lot[index], lot[(index + 1) % lot.length]);
+            setbacks[edgeType] = setbacks[edgeType] === undefined ? distance : Math.min(setbacks[edgeType], distance);
+        });
+
+        Object.keys(setbacks).forEach(edgeType => {
+            setbacks[edgeType] = SiteGeometry.round(setbacks[edgeType]);
+        });
+        return setbacks;
+    }
+
+    /**
+     * Lot area less creek and easement exclusions. Polygons take precedence over
+     * the typed-in creekAreas/easements totals when both are supplied. A site
+     * analysis already made for the same site can be passed in to reuse it.
+     */
+    calculateBuildableArea(siteData, analysis = null) {
+        if (!SiteGeometry.hasSiteGeometry(siteData)) {
+            return siteData.lotSize - (siteData.creekAreas || 0) - (siteData.easements || 0);
+        }
+
+        analysis = analysis || this.analyzeSite(siteData, {});
+        const lotArea = analysis.lotArea !== null ? analysis.lotArea : siteData.lotSize;
+        const creekArea = siteData.creekSetbackAreas ? analysis.creekArea : (siteData.creekAreas || 0);
+        const easementArea = siteData.easementAreas ? analysis.easementArea : (siteData.easements || 0);
+
+        return SiteGeometry.round(lotArea - creekArea - easementArea);
+    }
+
+    static hasSiteGeometry(siteData) {
+        return Boolean(siteData.lotBoundary || siteData.creekSetbackAreas || siteData.easementAreas);
+    }
+
+    /**
+     * Coordinate frame of each polygon in an input: "lonlat" for GeoJSON in
+     * WGS84, "feet" for point lists and GeoJSON that declares feet
+     */
+    static getCoordinateFrames(input) {
+        if (!input) return [];
+        const list = Array.isArray(input) && !SiteGeometry.isPointList(input) ? input : [input];
+        return list.map(polygon => {
+            if (Array.isArray(polygon)) return "feet";
+            const geometry = polygon.type === "Feature" ? polygon.geometry : polygon;
+            const units = polygon.units || (polygon.properties && polygon.properties.units) || (geometry && geometry.units);
+            return units === "feet" ? "feet" : "lonlat";
+        });
+    }
+
+    /**
+     * Fields whose polygons are in a different coordinate frame from the lot
+     * boundary (or, without a lot, from the first polygon given). Local feet
+     * carry no georeference, so they cannot be placed against longitude and
+     * latitude; every polygon of a site must use one frame.
+     */
+    static findMixedFrames(siteData, designData) {
+        const inputs = [
+            ["siteData.lotBoundary", siteData.lotBoundary],
+            ["siteData.creekSetbackAreas", siteData.creekSetbackAreas],
+            ["siteData.easementAreas", siteData.easementAreas],
+            ["designData.buildingFootprint", designData && designData.buildingFootprint]
+        ];
+        let reference = null;
+
+        return inputs.filter(([field, input]) => {
+            const frames = SiteGeometry.getCoordinateFrames(input);
+            if (frames.length === 0) return false;
+            reference = reference || frames[0];
+            return frames.some(frame => frame !== reference);
+        }).map(([field]) => field);
+    }
+
+    static assertSingleFrame(siteData, designData) {
+        const mixed = SiteGeometry.findMixedFrames(siteData, designData);
+        if (mixed.length > 0) {
+            throw new Error(`Site polygons mix longitude/latitude and local feet coordinates (${mixed.join(", ")})`);
+        }
+    }
+
+    // Polygon math (points are {x, y} in feet)
+
+    static isPointList(list) {
+        return list.length > 0 && (
+            (Array.isArray(list[0]) && typeof list[0][0] === "number") ||
+            (list[0] && typeof list[0].x === "number")
+        );
+    }
+
+    static cleanRing(points) {
+        const ring = points.slice();
+        if (ring.length > 1) {
+            const first = ring[0];
+            const last = ring[ring.length - 1];
+            if (first.x === last.x && first.y === last.y) {
+                ring.pop();
+            }
+        }
+        if (ring.length < 3) {
+            throw new Error("Polygon needs at least 3 distinct vertices");
+        }
+        return ring;
+    }
+
+    static signedArea(polygon) {
+        let sum = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            sum += a.x * b.y - b.x * a.y;
+        }
+        return sum / 2;
+    }
+
+    static area(polygon) {
+        return Math.abs(SiteGeometry.signedArea(polygon));
+    }
+
+    static ensureCounterClockwise(polygon) {
+        return SiteGeometry.signedArea(polygon) < 0 ? polygon.slice().reverse() : polygon.slice();
+    }
+
+    static cross(a, b, c) {
+        return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    }
+
+    static pointInTriangle(p, a, b, c) {
+        return SiteGeometry.cross(a, b, p) >= 0 &&
+            SiteGeometry.cross(b, c, p) >= 0 &&
+            SiteGeometry.cross(c, a, p) >= 0;
+    }
+
+    static pointInPolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Ear-clipping triangulation of a simple polygon
+     */
+    static triangulate(polygon) {
+        const points = SiteGeometry.ensureCounterClockwise(polygon);
+        const triangles = [];
+
+        while (points.length > 3) {
+            let earIndex = -1;
+
+            for (let i = 0; i < points.length && earIndex === -1; i++) {
+                const prev = points[(i + points.length - 1) % points.length];
+                const curr = points[i];
+                const next = points[(i + 1) % points.length];
+
+                if (SiteGeometry.cross(prev, curr, next) <= 0) continue;
+
+                const blocked = points.some(p =>
+                    p !== prev && p !== curr && p !== next && SiteGeometry.pointInTriangle(p, prev, curr, next)
+                );
+                if (!blocked) earIndex = i;
+            }
+
+            if (earIndex === -1) {
+                // Only collinear or degenerate vertices remain; drop one and retry
+                const collinear = points.findIndex((curr, i) => SiteGeometry.cross(
+                    points[(i + points.length - 1) % points.length], curr, points[(i + 1) % points.length]
+                ) === 0);
+                if (collinear === -1) break;
+                points.splice(collinear, 1);
+                continue;
+            }
+
+            triangles.push([
+                points[(earIndex + points.length - 1) % points.length],
+                points[earIndex],
+                points[(earIndex + 1) % points.length]
+            ]);
+            points.splice(earIndex, 1);
+        }
+
+        if (points.length === 3) {
+            triangles.push(points);
+        }
+        return triangles;
+    }
+
+    /**
+     * Sutherland-Hodgman clipping of any polygon by a convex counter-clockwise polygon
+     */
+    static clipToConvex(subject, clip) {
+        let output = subject;
+
+        for (let i = 0; i < clip.length && output.length > 0; i++) {
+            const a = clip[i];
+            const b = clip[(i + 1) % clip.length];
+            const input = output;
+            output = [];
+
+            for (let j = 0; j < input.length; j++) {
+                const p = input[j];
+                const q = input[(j + 1) % input.length];
+                const pInside = SiteGeometry.cross(a, b, p) >= 0;
+                const qInside = SiteGeometry.cross(a, b, q) >= 0;
+
+                if (pInside) output.push(p);
+                if (pInside !== qInside) output.push(SiteGeometry.lineIntersection(p, q, a, b));
+            }
+        }
+
+        return output;
+    }
+
+    static lineIntersection(p, q, a, b) {
+        const d1 = SiteGeometry.cross(a, b, p);
+        const d2 = SiteGeometry.cross(a, b, q);
+        const t = d1 / (d1 - d2);
+        return { x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t };
+    }
+
+    /**
+     * Overlap area of two simple polygons. The second polygon is split into
+     * triangles so either polygon may be concave.
+     */
+    static intersectionArea(a, b) {
+        const subject = SiteGeometry.ensureCounterClockwise(a);
+        return SiteGeometry.triangulate(b).reduce((sum, triangle) => {
+            const clipped = SiteGeometry.clipToConvex(subject, triangle);
+            return sum + (clipped.length >= 3 ? SiteGeometry.signedArea(clipped) : 0);
+        }, 0);
+    }
+
+    static pointToSegmentDistance(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 :
+            Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+        return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+    }
+
+    static segmentsIntersect(p1, p2, q1, q2) {
+        const d1 = SiteGeometry.cross(q1, q2, p1);
+        const d2 = SiteGeometry.cross(q1, q2, p2);
+        const d3 = SiteGeometry.cross(p1, p2, q1);
+        const d4 = SiteGeometry.cross(p1, p2, q2);
+        return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+            ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+    }
+
+    static segmentToSegmentDistance(p1, p2, q1, q2) {
+        if (SiteGeometry.segmentsIntersect(p1, p2, q1, q2)) return 0;
+        return Math.min(
+            SiteGeometry.pointToSegmentDistance(p1, q1, q2),
+            SiteGeometry.pointToSegmentDistance(p2, q1, q2),
+            SiteGeometry.pointToSegmentDistance(q1, p1, p2),
+            SiteGeometry.pointToSegmentDistance(q2, p1, p2)
+        );
+    }
+
+    /**
+     * Closest distance from a polygon to a single boundary segment
+     */
+    static distanceToSegment(polygon, a, b) {
+        let min = Infinity;
+        for (let i = 0; i < polygon.length; i++) {
+            const p = polygon[i];
+            const q = polygon[(i + 1) % polygon.length];
+            min = Math.min(min, SiteGeometry.segmentToSegmentDistance(p, q, a, b));
+        }
+        return min;
+    }
+
+    static distanceToBoundary(polygon, boundary) {
+        let min = Infinity;
+        for (let i = 0; i < boundary.length; i++) {
+            min = Math.min(min, SiteGeometry.distanceToSegment(polygon, boundary[i], boundary[(i + 1) % boundary.length]));
+        }
+        return min;
+    }
+
+    static round(value) {
+        return value === null || value === undefined ? value : Math.round(value * 100) / 100;
+    }
+}
+
+SiteGeometry.FEET_PER_DEGREE_LATITUDE = 365223;
+SiteGeometry.AREA_TOLERANCE = 0.01;
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SiteGeometry;
+} else if (typeof window !== 'undefined') {
+    window.SiteGeometry = SiteGeometry;
+}
\ No newline at end of file
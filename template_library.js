@@ -0,0 +1,61 @@
+/**
+ * Palo Alto Template Library
+ * Built-in starter templates: one planning setup per zone in the rulebook,
+ * for typical and flag lots, sized at the zone's minimum lot area. Starter
+ * templates are read-only and ask for the site's address and APN on load.
+ */
+
+class TemplateLibrary {
+    constructor(zoneRequirements) {
+        this.zoneRequirements = zoneRequirements;
+    }
+
+    getStarterTemplates() {
+        return Object.entries(this.zoneRequirements).flatMap(([zone, requirements]) =>
+            TemplateLibrary.LOT_TYPES.map(lotType => this.createStarterTemplate(zone, requirements, lotType))
+        );
+    }
+
+    getStarterTemplate(id) {
+        return this.getStarterTemplates().find(template => template.id === id) || null;
+    }
+
+    createStarterTemplate(zone, requirements, lotType) {
+        const isFlag = lotType === "flag";
+        const secondUnitMinimum = isFlag ? requirements.secondUnitMinFlag : requirements.secondUnitMinTypical;
+        const subStandard = isFlag ? requirements.subStandardFlag : requirements.subStandardTypical;
+
+        return {
+            id: `builtin-${zone.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/-$/, "")}-${lotType}`,
+            name: `${zone} ${isFlag ? "Flag" : "Typical"} Lot`,
+            description: `${isFlag ? "Flag" : "Typical"} ${zone} lot at the ${requirements.minLotSize.toLocaleString()} sq ft zone minimum. ` +
+                `Substandard below ${subStandard.toLocaleString()} sq ft; a second unit needs ${secondUnitMinimum.toLocaleString()} sq ft.`,
+            mode: "planning",
+            tags: ["starter", zone, lotType],
+            askOnLoad: [...TemplateLibrary.ASK_ON_LOAD],
+            builtIn: true,
+            data: {
+                zone: zone,
+                lotSize: requirements.minLotSize,
+                lotType: lotType,
+                isCornerLot: false,
+                creekAreas: 0,
+                easements: 0,
+                hasSecondUnit: false
+            },
+            created: null
+        };
+    }
+}
+
+TemplateLibrary.LOT_TYPES = ["typical", "flag"];
+
+// Site-specific fields every starter template asks for
+TemplateLibrary.ASK_ON_LOAD = ["address", "apn"];
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateLibrary;
+} else if (typeof window !== 'undefined') {
+    window.TemplateLibrary = TemplateLibrary;
+}
\ No newline at end of file
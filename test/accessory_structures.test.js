@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ValidationEngine = require("../validation_engine.js");
+const ProjectWorkspace = require("../project_workspace.js");
+const WorkspaceBundle = require("../workspace_bundle.js");
+const MemoryStore = require("../memory_store.js");
+
+const siteData = { address: "12 Oak", zone: "R-1(8000)", lotSize: 9000, lotType: "typical", isCornerLot: false, hasSecondUnit: false };
+const legacyShed = { height: 10, setback: 6 };
+
+function createWorkspace() {
+    return new ProjectWorkspace(new MemoryStore(Object.values(ProjectWorkspace.STORES)));
+}
+
+test("a version 2 bundle maps the legacy accessory setback onto side and rear setbacks", async () => {
+    const workspace = createWorkspace();
+    const summary = await new WorkspaceBundle(workspace).importBundle({
+        format: WorkspaceBundle.FORMAT,
+        version: 2,
+        templates: [{ name: "Shed lot", data: { accessoryStructures: [legacyShed] } }],
+        projects: [{ name: "12 Oak", siteData, designRevisions: [{ revision: 1, designData: { accessoryStructures: [legacyShed] } }] }]
+    });
+
+    const [project] = await workspace.listProjects();
+    const [template] = await workspace.listTemplates();
+    const expected = [{ type: "other", sideSetback: 6, rearSetback: 6, height: 10 }];
+    assert.strictEqual(summary.fromVersion, 2);
+    assert.deepStrictEqual(project.designRevisions[0].designData.accessoryStructures, expected);
+    assert.deepStrictEqual(template.data.accessoryStructures, expected);
+});
+
+test("a project stored with the legacy accessory setback is upgraded when read", async () => {
+    const workspace = createWorkspace();
+    const project = await workspace.createProject({ name: "12 Oak", siteData, designData: { accessoryStructures: [legacyShed] } });
+
+    const stored = await workspace.getProject(project.id);
+    assert.deepStrictEqual(stored.designRevisions[0].designData.accessoryStructures,
+        [{ type: "other", sideSetback: 6, rearSetback: 6, height: 10 }]);
+});
+
+test("an upgraded structure without separation or footprint validates with a warning", () => {
+    const engine = new ValidationEngine();
+    const { accessoryStructures } = WorkspaceBundle.upgradeAccessoryStructures({ accessoryStructures: [{ height: 10, setback: 3 }] });
+    const designData = { accessoryStructures };
+
+    assert.deepStrictEqual(engine.validateInputs(siteData, designData).errors
+        .filter(error => error.field.startsWith("designData.accessoryStructures")), []);
+
+    const check = engine.validateAccessoryStructures(designData);
+    assert.strictEqual(check.result, "FAIL");
+    assert.deepStrictEqual(check.violations, [
+        "Structure 1 (other): Side setback less than 5 ft (3 ft)",
+        "Structure 1 (other): Rear setback less than 5 ft (3 ft)"
+    ]);
+    assert.deepStrictEqual(check.missing, ["Structure 1 (other): separation from main house and footprint not given"]);
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ZoningRulebook = require("../zoning_rulebook.js");
+const ComplianceChecklist = require("../compliance_checklist.js");
+const ValidationEngine = require("../validation_engine.js");
+const PlanningEngine = require("../planning_engine.js");
+
+const siteData = { address: "8 Birch", zone: "R-1", lotSize: 6000, lotType: "typical", isCornerLot: true, hasSecondUnit: false };
+
+test("planning gives each lightwell setback as the setback less the allowed encroachment", () => {
+    const engine = new PlanningEngine();
+    const corner = engine.calculateBasementParameters(siteData);
+    const interior = engine.calculateBasementParameters({ ...siteData, isCornerLot: false });
+
+    assert.strictEqual(corner.exemptFromFloorArea, true);
+    assert.strictEqual(corner.maxExposureAboveGrade, 3);
+    // Interior side: 5 ft less 4 ft would leave 1 ft, under the 3 ft minimum
+    assert.deepStrictEqual(corner.lightwellSetbacks, { front: 16, interiorSide: 3, streetSide: 12, rear: 16 });
+    assert.strictEqual(interior.lightwellSetbacks.streetSide, null);
+    assert.deepStrictEqual(corner.lightwellSetbacks, new ValidationEngine().getLightwellSetbacks());
+});
+
+test("a lightwell at the planned limit passes and one foot closer fails in both checks", () => {
+    const engine = new ValidationEngine();
+    const checklist = new ComplianceChecklist(new ZoningRulebook());
+    const design = lightwells => ({ hasBasement: true, basementArea: 800, basementDepth: 8, basementExposure: 2, lightwells });
+    const limits = new PlanningEngine().calculateBasementParameters(siteData).lightwellSetbacks;
+    const atLimit = Object.entries(limits).map(([propertyLine, setback]) => ({ propertyLine, setback }));
+    const tooClose = atLimit.map(lightwell => ({ ...lightwell, setback: lightwell.setback - 1 }));
+    const lightwellItems = designData => checklist.evaluate(siteData, designData).items
+        .filter(item => item.id.startsWith("CP021-LIGHTWELL"))
+        .map(item => item.result);
+
+    assert.strictEqual(engine.validateBasement(siteData, design(atLimit)).result, "PASS");
+    assert.deepStrictEqual(lightwellItems(design(atLimit)), ["PASS", "PASS", "PASS", "PASS"]);
+
+    const failing = engine.validateBasement(siteData, design(tooClose));
+    assert.strictEqual(failing.result, "FAIL");
+    assert.strictEqual(failing.violations.length, 4);
+    assert.match(failing.violations[1], /Lightwell 2 is 2 ft from the interior side property line \(3 ft required\)/);
+    assert.deepStrictEqual(lightwellItems(design(tooClose)), ["FAIL", "FAIL", "FAIL", "FAIL"]);
+});
+
+test("a basement is exempt from floor area only when mostly below grade and within the exposure limit", () => {
+    const engine = new ValidationEngine();
+    const basement = (depth, exposure) => engine.evaluateBasement({ hasBasement: true, basementArea: 800, basementDepth: depth, basementExposure: exposure });
+
+    assert.strictEqual(basement(8, 3).exemptFromFAR, true);
+    assert.strictEqual(basement(8, 3.5).exemptFromFAR, false);
+    assert.strictEqual(basement(8, 3.5).reason, "3.5 ft exposed above grade, more than 3 ft");
+    assert.strictEqual(basement(2, 2.5).qualifiesAsBasement, false);
+    assert.strictEqual(basement(2, 2.5).exemptFromFAR, false);
+});
+
+test("only a basement that does not qualify pushes the design over the floor area limit", () => {
+    const engine = new ValidationEngine();
+    const design = exposure => ({ totalFloorArea: 2400, hasBasement: true, basementArea: 800, basementDepth: 8, basementExposure: exposure });
+
+    // 5000 sq ft at 0.45 plus 1000 sq ft at 0.30
+    assert.strictEqual(engine.validateFAR(siteData, design(2)).maxAllowed, 2550);
+    assert.strictEqual(engine.validateFAR(siteData, design(2)).result, "PASS");
+    assert.strictEqual(engine.validateFAR(siteData, design(4)).result, "FAIL");
+    assert.strictEqual(engine.validateFAR(siteData, design(4)).actual, 3200);
+});
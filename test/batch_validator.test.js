@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const BatchValidator = require("../batch_validator.js");
+const { createSite, createDesign } = require("./fixtures.js");
+
+function toCsv(rows) {
+    const columns = {
+        ...Object.fromEntries(Object.entries(createSite()).map(([key, value]) => [`site.${key}`, value])),
+        ...Object.fromEntries(Object.entries(createDesign()).map(([key, value]) => [`design.${key}`, value]))
+    };
+    const headers = ["id", "site.apn", "design.gradePoints", ...Object.keys(columns)];
+    const cell = value => BatchValidator.escapeCsv(Array.isArray(value) ? value.join(";") : value);
+
+    return [
+        headers.join(","),
+        ...rows.map(row => headers.map(header => cell(header in row ? row[header] : columns[header])).join(","))
+    ].join("\n");
+}
+
+test("an all-digit APN stays a string while numeric columns become numbers", () => {
+    const batch = new BatchValidator();
+    const [record] = batch.parseRecords(toCsv([{ id: "A", "site.apn": "12345678" }]), "csv");
+
+    assert.strictEqual(record.siteData.apn, "12345678");
+    assert.strictEqual(record.siteData.lotSize, 9000);
+    assert.strictEqual(record.siteData.isCornerLot, true);
+    assert.strictEqual(record.designData.floors, 2);
+
+    const [row] = batch.run([record]).rows;
+    assert.strictEqual(row.status, "APPROVED");
+});
+
+test("a malformed JSON cell reports an ERROR row without aborting the batch", () => {
+    const batch = new BatchValidator();
+    const records = batch.parseRecords(toCsv([
+        { id: "A" },
+        { id: "B", "design.gradePoints": "[{\"location\": \"front_left\"" },
+        { id: "C" }
+    ]), "csv");
+    const rollup = batch.run(records);
+
+    assert.deepStrictEqual(rollup.rows.map(row => row.status), ["APPROVED", "ERROR", "APPROVED"]);
+    assert.match(rollup.rows[1].error, /Column design\.gradePoints: Invalid JSON for gradePoints/);
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ZoningRulebook = require("../zoning_rulebook.js");
+const ValidationEngine = require("../validation_engine.js");
+
+// A lot falling 4 ft from front to rear, regraded 1 ft higher at the rear left corner
+const slopingGrade = [
+    { location: "front_left", existingGrade: 104, finishedGrade: 104 },
+    { location: "front_right", existingGrade: 104, finishedGrade: 103.5 },
+    { location: "rear_left", existingGrade: 100, finishedGrade: 101 },
+    { location: "rear_right", existingGrade: 100.5, finishedGrade: 100.5 }
+];
+
+test("on a sloping lot the height is measured from the lowest grade point", () => {
+    const measurement = new ValidationEngine().calculateBuildingHeight({ gradePoints: slopingGrade, topOfRoofElevation: 128, roofType: "pitched" });
+
+    // The rear left corner is measured from its existing grade, below the regraded surface
+    assert.deepStrictEqual(measurement.points.map(point => point.grade), [104, 103.5, 100, 100.5]);
+    assert.deepStrictEqual(measurement.points.map(point => point.height), [24, 24.5, 28, 27.5]);
+    assert.strictEqual(measurement.governing.label, "Rear left corner");
+    assert.strictEqual(measurement.height, 28);
+    assert.strictEqual(measurement.measuredTo, "top of the ridge");
+});
+
+test("on a level lot every grade point gives the same height", () => {
+    const levelGrade = slopingGrade.map(point => ({ ...point, existingGrade: 100, finishedGrade: 100 }));
+    const measurement = new ValidationEngine().calculateBuildingHeight({ gradePoints: levelGrade, topOfRoofElevation: 125, roofType: "flat" });
+
+    assert.deepStrictEqual(measurement.points.map(point => point.height), [25, 25, 25, 25]);
+    assert.strictEqual(measurement.height, 25);
+    assert.strictEqual(measurement.measuredTo, "top of the roof");
+});
+
+test("finished grade is used when the rule does not measure from the lower grade", () => {
+    const data = JSON.parse(JSON.stringify(ZoningRulebook.DEFAULT_DATA));
+    data.rules.CP002.parameters.measureFromLowerGrade = false;
+    const measurement = new ValidationEngine(new ZoningRulebook(data))
+        .calculateBuildingHeight({ gradePoints: slopingGrade, topOfRoofElevation: 128, roofType: "pitched" });
+
+    assert.deepStrictEqual(measurement.points.map(point => point.grade), [104, 103.5, 101, 100.5]);
+    assert.strictEqual(measurement.governing.label, "Rear right corner");
+    assert.strictEqual(measurement.height, 27.5);
+});
+
+test("a parapet within its allowed projection is left out and a taller chimney is measured", () => {
+    const measurement = new ValidationEngine().calculateBuildingHeight({
+        gradePoints: slopingGrade, topOfRoofElevation: 125, roofType: "flat", parapetHeight: 2, chimneyHeight: 4
+    });
+
+    assert.deepStrictEqual(measurement.projections.map(projection => projection.counted), [false, true]);
+    assert.strictEqual(measurement.topElevation, 129);
+    assert.strictEqual(measurement.height, 29);
+    assert.strictEqual(measurement.measuredTo, "top of the chimney");
+});
+
+test("without grade points or a roof elevation the declared building height is checked", () => {
+    const engine = new ValidationEngine();
+
+    assert.strictEqual(engine.calculateBuildingHeight({ buildingHeight: 26 }), null);
+    assert.strictEqual(engine.calculateBuildingHeight({ buildingHeight: 26, gradePoints: slopingGrade }), null);
+
+    const check = engine.validateBuildingHeight({ buildingHeight: 26, gradePoints: slopingGrade }, false);
+    assert.strictEqual(check.result, "PASS");
+    assert.strictEqual(check.actual, 26);
+    assert.strictEqual(check.measurement, null);
+    assert.strictEqual(engine.validateBuildingHeight({ buildingHeight: 26 }, true).result, "FAIL");
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ZoningRulebook = require("../zoning_rulebook.js");
+const ComplianceChecklist = require("../compliance_checklist.js");
+const ValidationEngine = require("../validation_engine.js");
+const PlanningEngine = require("../planning_engine.js");
+const { createSite, createDesign } = require("./fixtures.js");
+
+test("the checklist has unique items covering every rule in the rulebook", () => {
+    const rulebook = new ZoningRulebook();
+    const items = new ComplianceChecklist(rulebook).items;
+    const ids = items.map(item => item.id);
+
+    assert.strictEqual(new Set(ids).size, ids.length);
+    assert.ok(!ids.includes("CP002-SUBSTANDARD"));
+    Object.keys(rulebook.data.rules).forEach(ruleId => {
+        assert.ok(items.some(item => item.ruleId === ruleId), `no checklist item for ${ruleId}`);
+    });
+});
+
+test("a substandard height failure is reported once", () => {
+    const checklist = new ComplianceChecklist(new ZoningRulebook());
+    const results = checklist.evaluate({ zone: "R-1", lotSize: 4500 }, { buildingHeight: 20 }, { isSubStandard: true });
+    const heightFailures = results.items.filter(item => item.ruleId === "CP002" && item.result === "FAIL");
+
+    assert.deepStrictEqual(heightFailures.map(item => item.id), ["CP002-HEIGHT"]);
+});
+
+test("comprehensive validation sums every checklist item", () => {
+    const check = new ValidationEngine().performComprehensiveValidation(createSite(), createDesign({
+        hasBasement: true,
+        basementArea: 1200,
+        basementDepth: 9,
+        basementExposure: 2,
+        lightwells: [{ propertyLine: "rear", setback: 17 }, { propertyLine: "interiorSide", setback: 2 }]
+    }));
+
+    assert.strictEqual(check.totalChecks, check.passed + check.failed + check.notApplicable);
+    assert.strictEqual(check.result, "FAIL");
+    assert.deepStrictEqual(check.items.filter(item => item.result === "FAIL").map(item => item.id), ["CP021-LIGHTWELL-INTERIOR-SIDE"]);
+});
+
+test("the planning review fails a second unit the lot cannot support", () => {
+    const engine = new PlanningEngine();
+    const siteData = { zone: "R-1(8000)", lotSize: 9000, lotType: "typical" };
+    const planned = engine.performFinalComplianceReview({ ...siteData, hasSecondUnit: true }, {});
+    const notPlanned = engine.performFinalComplianceReview({ ...siteData, hasSecondUnit: false }, {});
+
+    assert.strictEqual(planned.status, "fail");
+    assert.strictEqual(planned.items.find(item => item.id === "CP008-LOT-SIZE").result, "FAIL");
+    assert.strictEqual(notPlanned.status, "pass");
+    assert.strictEqual(notPlanned.items.find(item => item.id === "CP008-LOT-SIZE").result, "N/A");
+    assert.strictEqual(notPlanned.summary.totalChecks, new ComplianceChecklist(new ZoningRulebook()).items.length);
+    assert.ok(notPlanned.summary.pending > 0);
+});
+
+test("an oversized bay window is a phase 2 violation", () => {
+    const workflow = new ValidationEngine().executeValidationWorkflow(createSite(), createDesign({ bayWindowWidth: 20 }), { remediate: false });
+    const featureViolations = workflow.phases.phase2.violations.filter(violation => violation.ruleId === "CP010");
+
+    assert.notStrictEqual(workflow.overallStatus, "approved");
+    assert.strictEqual(featureViolations.length, 1);
+    assert.match(featureViolations[0].description, /Bay window width exceeds 12 ft \(20 ft\)/);
+    assert.ok(!workflow.phases.phase5.violations.some(violation => violation.ruleId === "CP010"));
+});
+
+test("an unapproved driveway material is a phase 3 violation", () => {
+    const workflow = new ValidationEngine().executeValidationWorkflow(createSite(), createDesign({ drivewayMaterial: "gravel" }), { remediate: false });
+    const materialViolation = workflow.phases.phase3.violations.find(violation => violation.category === "Driveway Materials");
+
+    assert.notStrictEqual(workflow.overallStatus, "approved");
+    assert.strictEqual(materialViolation.ruleId, "CP007");
+    assert.match(materialViolation.remediation, /concrete, asphalt, approved pavers/);
+});
+
+test("phase 5 reports failing checklist items that no phase check reported", () => {
+    const engine = new ValidationEngine();
+    engine.performComprehensiveValidation = () => ({
+        checkName: "Comprehensive Rule Validation",
+        result: "FAIL",
+        items: [
+            { id: "CP016-TEST", ruleId: "CP016", category: "Test", description: "Stubbed item", result: "FAIL", required: 1, actual: 2 },
+            { id: "CP019-TEST", ruleId: "CP019", category: "Documentation", description: "Stubbed item", result: "FAIL", required: ["site_plan"], actual: null }
+        ]
+    });
+    const workflow = engine.executeValidationWorkflow(createSite(), createDesign({ submittedDocuments: [] }), { remediate: false });
+    const phase5 = workflow.phases.phase5;
+
+    assert.strictEqual(workflow.overallStatus, "conditional");
+    assert.deepStrictEqual(phase5.violations.map(violation => violation.ruleId).sort(), ["CP016", "CP019"]);
+    assert.strictEqual(phase5.violations.find(violation => violation.ruleId === "CP016").description,
+        "Checklist item CP016-TEST failed: Stubbed item (required 1, actual 2)");
+    assert.strictEqual(phase5.violations.find(violation => violation.ruleId === "CP019").type, "process_stopper");
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const CorrectionLetterGenerator = require("../correction_letter.js");
+const ValidationEngine = require("../validation_engine.js");
+const { createSite, createDesign } = require("./fixtures.js");
+
+function createReport(overrides) {
+    return new ValidationEngine().executeValidationWorkflow(createSite(), createDesign(overrides), { remediate: false }).finalReport;
+}
+
+test("the letter lists every violation once, numbered, with its rule citation", () => {
+    const report = createReport({ parkingSpaces: 1, bayWindowWidth: 20 });
+    const violations = report.phases.flatMap(phase => phase.violations);
+    const letter = new CorrectionLetterGenerator().generate(report);
+    const items = letter.groups.flatMap(group => group.items);
+
+    assert.strictEqual(letter.reviewStatus, "CONDITIONAL");
+    assert.strictEqual(letter.totalItems, violations.length);
+    assert.deepStrictEqual(items.map(item => item.number), violations.map((violation, index) => index + 1));
+    assert.deepStrictEqual(items.map(item => [item.ruleId, item.correction]).sort(),
+        violations.map(violation => [violation.ruleId, violation.description]).sort());
+    assert.deepStrictEqual(items.map(item => item.ruleId).sort(), ["CP006", "CP010"]);
+});
+
+test("each correction carries its required and provided values and remediation", () => {
+    const letter = new CorrectionLetterGenerator().generate(createReport({ parkingSpaces: 1 }));
+    const [parking] = letter.groups.flatMap(group => group.items);
+
+    assert.strictEqual(parking.ruleId, "CP006");
+    assert.strictEqual(parking.required, "2");
+    assert.strictEqual(parking.provided, "1");
+    assert.match(parking.remediation, /Add 1 parking space \(1 → 2\)/);
+});
+
+test("the text and Word versions cite the rule on every correction", () => {
+    const generator = new CorrectionLetterGenerator();
+    const letter = generator.generate(createReport({ parkingSpaces: 1, bayWindowWidth: 20 }));
+    const text = generator.toText(letter);
+    const html = generator.toHtml(letter);
+
+    letter.groups.flatMap(group => group.items).forEach(item => {
+        assert.ok(text.includes(`${item.number}. [${item.ruleId}, `), `text is missing item ${item.number}`);
+        assert.ok(html.includes(`<td>${item.number}</td>\n            <td>${item.ruleId}<br>`), `HTML is missing item ${item.number}`);
+    });
+});
+
+test("an approved design has no correction letter", () => {
+    assert.throws(() => new CorrectionLetterGenerator().generate(createReport({})), /no corrections to send/);
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ValidationEngine = require("../validation_engine.js");
+
+const interiorLot = { zone: "R-1", lotSize: 6000, isCornerLot: false };
+
+// 45 degree plane starting 10 ft up at the property line: allowed height is 10 ft plus the distance
+function section(propertyLine, points) {
+    return { propertyLine, label: `${propertyLine} section`, points };
+}
+
+test("a ridge that rises through the plane fails with its intrusion", () => {
+    const check = new ValidationEngine().validateDaylightPlane(interiorLot, {
+        daylightProfiles: [
+            section("side_interior", [
+                { label: "eave", distance: 6, height: 15 },
+                { label: "ridge", distance: 12, height: 26.5 }
+            ]),
+            section("rear", [{ label: "eave", distance: 20, height: 18 }])
+        ]
+    });
+
+    assert.strictEqual(check.result, "FAIL");
+    const side = check.propertyLines.find(line => line.propertyLine === "side_interior");
+    assert.strictEqual(side.maxIntrusion, 4.5);
+    assert.deepStrictEqual([side.location.point, side.location.allowedHeight], ["ridge", 22]);
+    assert.strictEqual(check.propertyLines.find(line => line.propertyLine === "rear").maxIntrusion, 0);
+    assert.strictEqual(check.intrusions.length, 1);
+});
+
+test("a section that touches the plane passes", () => {
+    const check = new ValidationEngine().validateDaylightPlane(interiorLot, {
+        daylightProfiles: [section("front", [{ label: "ridge", distance: 15, height: 25 }])]
+    });
+
+    assert.strictEqual(check.result, "PASS");
+    assert.strictEqual(check.propertyLines[0].pointsChecked, 1);
+});
+
+test("street side sections are only checked on corner lots", () => {
+    const engine = new ValidationEngine();
+    const design = { daylightProfiles: [section("side_street", [{ label: "ridge", distance: 5, height: 30 }])] };
+
+    assert.deepStrictEqual(engine.validateDaylightPlane(interiorLot, design).propertyLines, []);
+    assert.strictEqual(engine.validateDaylightPlane({ ...interiorLot, isCornerLot: true }, design).result, "FAIL");
+});
+
+test("without sections the plane is not verified", () => {
+    const check = new ValidationEngine().validateDaylightPlane(interiorLot, {});
+
+    assert.strictEqual(check.result, "N/A");
+    assert.match(check.message, /No building section profiles provided/);
+});
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ValidationEngine = require("../validation_engine.js");
+const DesignRemediator = require("../design_remediation.js");
+const { createSite, createDesign } = require("./fixtures.js");
+
+test("remediations come only from rules the phase checks report as violated", () => {
+    const remediator = new DesignRemediator(new ValidationEngine());
+    const designData = createDesign({ bayWindowWidth: 20, parkingSpaces: 1 });
+
+    assert.deepStrictEqual(remediator.calculateRemediations(createSite(), designData).map(remediation => remediation.description), [
+        "Reduce bay window width by 8 ft (20 → 12 ft)",
+        "Add 1 parking space (1 → 2)"
+    ]);
+    assert.deepStrictEqual(remediator.calculateRemediations(createSite(), designData, [{ ruleId: "CP006" }])
+        .map(remediation => remediation.ruleId), ["CP006"]);
+    assert.deepStrictEqual(remediator.calculateRemediations(createSite(), designData, []), []);
+});
+
+test("the combined design fixes every failed check and passes", () => {
+    const proposal = new DesignRemediator(new ValidationEngine())
+        .proposeMinimalChangeDesign(createSite(), createDesign({ bayWindowWidth: 20, parkingSpaces: 1 }));
+
+    assert.strictEqual(proposal.passes, true);
+    assert.strictEqual(proposal.designData.bayWindowWidth, 12);
+    assert.strictEqual(proposal.designData.parkingSpaces, 2);
+    assert.deepStrictEqual(proposal.remainingViolations, []);
+});
+
+test("a substandard lot over the story limit without tall floors needs a floor removed", () => {
+    const remediator = new DesignRemediator(new ValidationEngine());
+    const siteData = { address: "2 Elm", zone: "R-1", lotSize: 4500, lotType: "typical", isCornerLot: false, hasSecondUnit: false };
+    const designData = { submittedZone: "R-1", buildingHeight: 17, floors: 2, secondFloorCeiling: 8, totalFloorArea: 1800 };
+
+    const [story] = remediator.calculateRemediations(siteData, designData).filter(remediation => remediation.ruleId === "CP015");
+    assert.strictEqual(story.field, "floors");
+    assert.strictEqual(story.delta, 1);
+    assert.strictEqual(story.description, "Remove 1 floor (2 → 1); substandard lots are limited to 1 story");
+
+    const proposal = remediator.proposeMinimalChangeDesign(siteData, designData);
+    assert.strictEqual(proposal.designData.floors, 2);
+    assert.ok(proposal.unresolved.some(entry => entry.ruleId === "CP015" && entry.description.startsWith("Redesign the floor plan: remove 1 floor")));
+});
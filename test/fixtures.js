@@ -0,0 +1,47 @@
+/**
+ * Complete inputs for tests that run whole workflows: a standard corner lot
+ * and a two-story design that passes every phase. Tests of a single check
+ * pass only the fields that check reads.
+ */
+
+function createSite(overrides = {}) {
+    return {
+        address: "1 Main",
+        zone: "R-1(8000)",
+        lotSize: 9000,
+        lotType: "typical",
+        isCornerLot: true,
+        hasSecondUnit: false,
+        ...overrides
+    };
+}
+
+function createDesign(overrides = {}) {
+    return {
+        submittedZone: "R-1(8000)",
+        buildingHeight: 25,
+        totalFloorArea: 3400,
+        floors: 2,
+        secondFloorCeiling: 9,
+        totalCoverage: 2800,
+        totalCoverageWithFeatures: 3000,
+        frontSetback: 22,
+        interiorSideSetback: 6,
+        streetSideSetback: 17,
+        rearSetback: 21,
+        parkingSpaces: 2,
+        coveredParkingSpaces: 1,
+        drivewaySurfaceWidth: 9,
+        drivewayClearanceWidth: 10,
+        backingDistance: 20,
+        hasGarage: true,
+        garageFrontSetback: 80,
+        garageStreetSideSetback: 25,
+        drivewayMaterial: "concrete",
+        professionalStamps: ["Architect", "Structural Engineer"],
+        submittedDocuments: ["site_plan", "floor_plans", "elevations", "structural_calcs"],
+        ...overrides
+    };
+}
+
+module.exports = { createSite, createDesign };
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ZoningRulebook = require("../zoning_rulebook.js");
+const ValidationEngine = require("../validation_engine.js");
+
+const spaces = [
+    { level: "first", use: "living", area: 1500, height: 9 },
+    { level: "first", use: "garage", area: 400, height: 9 },
+    { level: "second", use: "living", area: 1200, height: 9 },
+    { level: "second", use: "living", area: 200, height: 18 },
+    { level: "attic", use: "storage", area: 300, height: 4 }
+];
+
+test("itemized spaces count once, twice when tall, and not at all as low attic space", () => {
+    const floorArea = new ValidationEngine().calculateFloorArea({ spaces });
+
+    assert.strictEqual(floorArea.fromSpaces, true);
+    assert.deepStrictEqual(floorArea.spaces.map(space => space.multiplier), [1, 1, 1, 2, 0]);
+    assert.strictEqual(floorArea.countable, 1500 + 400 + 1200 + 400);
+    assert.strictEqual(floorArea.doubleCounted, 200);
+    assert.strictEqual(floorArea.excluded, 300);
+    assert.deepStrictEqual(floorArea.byLevel, { first: 1900, second: 1600, attic: 0 });
+    assert.strictEqual(floorArea.spaces[4].reason, "attic space 5 ft or lower excluded");
+});
+
+test("a garage is excluded when the rule leaves garages out", () => {
+    const data = JSON.parse(JSON.stringify(ZoningRulebook.DEFAULT_DATA));
+    data.rules.CP003.parameters.garageIncluded = false;
+    const floorArea = new ValidationEngine(new ZoningRulebook(data)).calculateFloorArea({ spaces });
+
+    assert.strictEqual(floorArea.spaces[1].reason, "garage excluded");
+    assert.strictEqual(floorArea.countable, 1500 + 1200 + 400);
+    assert.strictEqual(floorArea.excluded, 400 + 300);
+});
+
+test("a basement without its own space is counted as one, excluded when it qualifies", () => {
+    const engine = new ValidationEngine();
+    const basement = { hasBasement: true, basementArea: 1000, basementDepth: 8, basementExposure: 2 };
+
+    const exempt = engine.calculateFloorArea({ spaces, ...basement });
+    assert.strictEqual(exempt.spaces.length, spaces.length + 1);
+    assert.strictEqual(exempt.spaces[5].multiplier, 0);
+    assert.strictEqual(exempt.countable, 3500);
+
+    const counted = engine.calculateFloorArea({ spaces, ...basement, basementExposure: 4 });
+    assert.strictEqual(counted.countable, 4500);
+    assert.match(counted.spaces[5].reason, /^basement counted: 4 ft exposed above grade, more than 3 ft/);
+});
+
+test("designs without spaces fall back to the declared total floor area", () => {
+    const engine = new ValidationEngine();
+
+    const declared = engine.calculateFloorArea({ totalFloorArea: 2800 });
+    assert.strictEqual(declared.fromSpaces, false);
+    assert.strictEqual(declared.countable, 2800);
+    assert.deepStrictEqual(declared.spaces, []);
+
+    const withBasement = { totalFloorArea: 2800, hasBasement: true, basementArea: 900, basementDepth: 8, basementExposure: 2 };
+    assert.strictEqual(engine.calculateFloorArea(withBasement).countable, 2800);
+    assert.strictEqual(engine.calculateFloorArea(withBasement).excluded, 900);
+    assert.strictEqual(engine.calculateFloorArea({ ...withBasement, basementExposure: 5 }).countable, 3700);
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ValidationEngine = require("../validation_engine.js");
+const { createSite, createDesign } = require("./fixtures.js");
+
+const lotBoundary = [[0, 0], [90, 0], [90, 100], [0, 100], [0, 0]];
+const buildingFootprint = [[22, 21], [68, 21], [68, 78], [22, 78]];
+
+test("lot edge labels that do not match the boundary give a field-level input error", () => {
+    const workflow = new ValidationEngine().executeValidationWorkflow(
+        createSite({ lotBoundary, lotEdgeTypes: ["front", "interiorSide", "rear"] }),
+        createDesign({ buildingFootprint })
+    );
+
+    assert.strictEqual(workflow.overallStatus, "invalid_input");
+    assert.deepStrictEqual(workflow.inputErrors.map(error => error.field), ["siteData.lotEdgeTypes"]);
+    assert.match(workflow.inputErrors[0].message, /one label per lot boundary edge/);
+});
+
+test("edge labels on the lot Feature are checked the same way", () => {
+    const engine = new ValidationEngine();
+    const feature = edgeTypes => ({
+        type: "Feature",
+        properties: { units: "feet", edgeTypes },
+        geometry: { type: "Polygon", coordinates: [lotBoundary] }
+    });
+
+    const mismatched = engine.validateInputs(createSite({ lotBoundary: feature(["front", "rear"]) }), createDesign({ buildingFootprint }));
+    const matched = engine.validateInputs(
+        createSite({ lotBoundary: feature(["front", "interiorSide", "rear", "streetSide"]) }),
+        createDesign({ buildingFootprint })
+    );
+
+    assert.strictEqual(mismatched.valid, false);
+    assert.strictEqual(mismatched.errors[0].field, "siteData.lotEdgeTypes");
+    assert.strictEqual(matched.valid, true);
+});
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ValidationEngine = require("../validation_engine.js");
+const { createSite, createDesign } = require("./fixtures.js");
+
+test("a design at the coverage limit without accessory structures passes as before", () => {
+    const engine = new ValidationEngine();
+    const coverage = { totalCoverage: 3500, totalCoverageWithFeatures: 3600 };
+    const workflow = engine.executeValidationWorkflow(createSite({ lotSize: 9000 }), createDesign(coverage));
+    const check = engine.validateLotCoverage({ lotSize: 9000 }, coverage);
+
+    assert.strictEqual(workflow.overallStatus, "approved");
+    assert.strictEqual(check.actual, 3500);
+    assert.strictEqual(check.maxAllowed, 3600);
+    assert.strictEqual(engine.validateTotalCoverageWithFeatures({ lotSize: 9000 }, coverage).actual, 3600);
+});
+
+test("accessory footprints are added to the main building coverage", () => {
+    const engine = new ValidationEngine();
+    const check = engine.validateLotCoverage({ lotSize: 9000 }, {
+        totalCoverage: 3500,
+        accessoryStructures: [{ type: "shed", height: 10, sideSetback: 6, rearSetback: 6, separation: 8, footprint: 120 }]
+    });
+
+    assert.strictEqual(check.result, "FAIL");
+    assert.strictEqual(check.actual, 3620);
+    assert.match(check.message, /including 120 sq ft of accessory structures/);
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ReportExporter = require("../report_exporter.js");
+const PdfDocument = require("../pdf_document.js");
+const ValidationEngine = require("../validation_engine.js");
+const { createSite, createDesign } = require("./fixtures.js");
+
+// Splits CSV text into rows of fields, honoring quoted commas, quotes and newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n") {
+            rows.push([...row, field]);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    return rows;
+}
+
+// Checks that every xref entry points at its object and startxref at the table
+function assertValidXref(pdf) {
+    const startxref = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    assert.strictEqual(pdf.slice(startxref, startxref + 5), "xref\n");
+
+    const [, first, count] = pdf.slice(startxref).match(/^xref\n(\d+) (\d+)\n/);
+    const entries = pdf.slice(startxref).split("\n").slice(2, 2 + Number(count));
+    assert.strictEqual(Number(first), 0);
+    assert.strictEqual(entries[0], "0000000000 65535 f ");
+    entries.slice(1).forEach((entry, index) => {
+        assert.match(entry, /^\d{10} 00000 n $/);
+        const offset = Number(entry.slice(0, 10));
+        assert.ok(pdf.startsWith(`${index + 1} 0 obj\n`, offset), `object ${index + 1} is not at offset ${offset}`);
+    });
+    assert.match(pdf, new RegExp(`trailer\\n<< /Size ${count} /Root 1 0 R >>`));
+}
+
+test("the CSV has a header and one row per phase check and checklist item", () => {
+    const workflow = new ValidationEngine().executeValidationWorkflow(createSite(), createDesign({ parkingSpaces: 1 }), { remediate: false });
+    const report = workflow.finalReport;
+    const exported = new ReportExporter().export(workflow, "csv");
+    const rows = parseCsv(exported.content);
+
+    const checkCount = report.phases.reduce((sum, phase) => sum + phase.checks.length, 0);
+    assert.strictEqual(exported.mimeType, "text/csv");
+    assert.deepStrictEqual(rows[0], ReportExporter.CSV_COLUMNS);
+    assert.strictEqual(rows.length, 1 + checkCount + report.checklistSummary.items.length);
+    rows.forEach(row => assert.strictEqual(row.length, ReportExporter.CSV_COLUMNS.length));
+
+    const parking = rows.find(row => row[0] === "3" && row[1] === "CP006");
+    assert.strictEqual(parking[5], "FAIL");
+    assert.strictEqual(rows.filter(row => row[0] === "checklist").length, report.checklistSummary.items.length);
+});
+
+test("CSV fields with commas, quotes or line breaks are quoted", () => {
+    assert.strictEqual(ReportExporter.escapeCsv('Setbacks, "rear"'), '"Setbacks, ""rear"""');
+    assert.strictEqual(ReportExporter.escapeCsv("line\nbreak"), '"line\nbreak"');
+    assert.strictEqual(ReportExporter.escapeCsv(null), "");
+    assert.strictEqual(ReportExporter.escapeCsv(20), "20");
+});
+
+test("a multi-page PDF has an xref entry at the offset of every object", () => {
+    const pdf = new PdfDocument({ footer: "Test" });
+    pdf.heading("Report");
+    for (let i = 0; i < 80; i++) {
+        pdf.paragraph(`Paragraph ${i + 1} with (parentheses) and a backslash \\ to escape`);
+    }
+    const output = pdf.output();
+
+    assert.ok(pdf.pages.length > 1);
+    assert.ok(output.startsWith("%PDF-1.4\n"));
+    assertValidXref(output);
+    assert.match(output, new RegExp(`/Type /Pages /Count ${pdf.pages.length} `));
+});
+
+test("the exported report PDF is well formed", () => {
+    const workflow = new ValidationEngine().executeValidationWorkflow(createSite(), createDesign({ parkingSpaces: 1 }), { remediate: false });
+    const exported = new ReportExporter().export(workflow, "pdf");
+
+    assert.ok(exported.content instanceof Uint8Array);
+    assertValidXref(Buffer.from(exported.content).toString("latin1"));
+});
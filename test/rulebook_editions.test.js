@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ZoningRulebook = require("../zoning_rulebook.js");
+const ValidationEngine = require("../validation_engine.js");
+
+// A hypothetical amendment for exercising edition selection; not ordinance data
+function registerTestAmendment(t) {
+    const edition = ZoningRulebook.registerEdition({
+        version: "test-amendment",
+        edition: "Test amendment raising the second unit size limit",
+        basedOn: "1.0.0",
+        effectiveFrom: "2030-01-01",
+        rules: {
+            CP017: { parameters: { maxSize: 800 } }
+        }
+    });
+    t.after(() => {
+        ZoningRulebook.EDITIONS.splice(ZoningRulebook.EDITIONS.indexOf(edition), 1);
+    });
+    return edition;
+}
+
+test("the current edition applies to every date until an amendment is registered", () => {
+    assert.strictEqual(ZoningRulebook.forDate("1990-01-01").version, "1.0.0");
+    assert.strictEqual(ZoningRulebook.forDate(new Date()).version, "1.0.0");
+    assert.deepStrictEqual(ZoningRulebook.getEditions().map(edition => edition.version), ["1.0.0"]);
+});
+
+test("an amendment takes over from its effective date and inherits what it does not change", t => {
+    registerTestAmendment(t);
+
+    const before = ZoningRulebook.forDate("2029-12-31");
+    const after = ZoningRulebook.forDate("2030-01-01");
+
+    assert.strictEqual(before.version, "1.0.0");
+    assert.strictEqual(after.version, "test-amendment");
+    assert.strictEqual(before.getParameters("CP017").maxSize, 640);
+    assert.strictEqual(after.getParameters("CP017").maxSize, 800);
+    assert.strictEqual(after.getParameters("CP017").maxPercentOfMainHouse, 50);
+    assert.deepStrictEqual(after.getParameters("CP004"), before.getParameters("CP004"));
+});
+
+test("the same second unit passes or fails depending on the vesting date", t => {
+    registerTestAmendment(t);
+    const engine = new ValidationEngine();
+    const design = { mainHouseArea: 2000, secondUnitArea: 700 };
+
+    assert.strictEqual(engine.forDate("2029-06-01").validateSecondUnitSize(design).result, "FAIL");
+    assert.strictEqual(engine.forDate("2030-06-01").validateSecondUnitSize(design).result, "PASS");
+    assert.strictEqual(engine.forDate("2030-06-01").rulebook.describeEdition().effectiveFrom, "2030-01-01");
+});
+
+test("registering an edition twice is rejected", t => {
+    registerTestAmendment(t);
+    assert.throws(() => ZoningRulebook.registerEdition({ version: "test-amendment" }), /already registered/);
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const RunComparison = require("../run_comparison.js");
+const ValidationEngine = require("../validation_engine.js");
+const ProjectWorkspace = require("../project_workspace.js");
+const { createSite, createDesign } = require("./fixtures.js");
+
+function createRun(runNumber, overallStatus, checks, violations) {
+    return {
+        runNumber: runNumber,
+        label: `Run ${runNumber}`,
+        recordedAt: `2024-03-0${runNumber}T12:00:00.000Z`,
+        finalReport: {
+            projectSummary: { address: "4 Cedar", zone: "R-1" },
+            overallStatus: overallStatus,
+            phases: [{ phase: 2, checks: checks, violations: violations }]
+        }
+    };
+}
+
+const heightCheck = actual => ({ checkName: "Building Height Compliance", ruleId: "CP002", result: actual > 30 ? "FAIL" : "PASS", actual, required: 30 });
+const setbackCheck = rear => ({ checkName: "Setback Compliance", ruleId: "CP004", result: rear < 20 ? "FAIL" : "PASS", actual: { front: 22, rear }, required: { front: 20, rear: 20 } });
+const violation = (ruleId, category, description) => ({ type: "design_stopper", ruleId, category, description });
+
+test("violations are matched on rule and category into resolved, new and outstanding", () => {
+    const previous = createRun(1, "CONDITIONAL", [heightCheck(32), setbackCheck(18)], [
+        violation("CP002", "Building Height", "Building height exceeds 30 ft limit (Actual: 32 ft)"),
+        violation("CP004", "Setbacks", "Rear setback insufficient")
+    ]);
+    const current = createRun(2, "CONDITIONAL", [heightCheck(31), setbackCheck(21)], [
+        violation("CP002", "Building Height", "Building height exceeds 30 ft limit (Actual: 31 ft)"),
+        violation("CP010", "Architectural Features", "Bay window width exceeds 12 ft (20 ft)")
+    ]);
+
+    const comparison = new RunComparison().compare(previous, current);
+
+    assert.deepStrictEqual(comparison.statusChange, { from: "CONDITIONAL", to: "CONDITIONAL" });
+    assert.deepStrictEqual(comparison.summary, { resolved: 1, introduced: 1, persisting: 1 });
+    assert.strictEqual(comparison.resolved[0].ruleId, "CP004");
+    assert.strictEqual(comparison.introduced[0].ruleId, "CP010");
+    assert.match(comparison.persisting[0].previous.description, /32 ft/);
+    assert.match(comparison.persisting[0].current.description, /31 ft/);
+    assert.deepStrictEqual(comparison.valueChanges.map(change => [change.checkName, change.from, change.to, change.currentResult]), [
+        ["Building Height Compliance", 32, 31, "FAIL"],
+        ["Setback Compliance (rear)", 18, 21, "PASS"]
+    ]);
+});
+
+test("runs without a report cannot be compared", () => {
+    const run = createRun(1, "APPROVED", [], []);
+    assert.throws(() => new RunComparison().compare(run, { ...run, finalReport: null }), /Both runs need a validation report/);
+});
+
+test("a resubmittal that fixes every correction reports the status change and resolved items", () => {
+    const engine = new ValidationEngine();
+    const toRun = (designData, runNumber) => ProjectWorkspace.toRun(
+        engine.executeValidationWorkflow(createSite(), designData, { remediate: false }), runNumber);
+    const previous = toRun(createDesign({ parkingSpaces: 1, bayWindowWidth: 20 }), 1);
+    const current = toRun(createDesign(), 2);
+
+    const comparison = new RunComparison().compare(previous, current);
+    const markdown = new RunComparison().toMarkdown(comparison);
+
+    assert.deepStrictEqual(comparison.statusChange, { from: "CONDITIONAL", to: "APPROVED" });
+    assert.deepStrictEqual(comparison.resolved.map(resolved => resolved.ruleId).sort(), ["CP006", "CP010"]);
+    assert.deepStrictEqual(comparison.introduced, []);
+    assert.match(markdown, /## Status: CONDITIONAL → APPROVED/);
+    assert.match(markdown, /• \*\*Resolved:\*\* 2/);
+    assert.match(markdown, /## Resolved Corrections/);
+    assert.doesNotMatch(markdown, /## New Corrections/);
+});
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const SiteGeometry = require("../site_geometry.js");
+const ValidationEngine = require("../validation_engine.js");
+const PlanningEngine = require("../planning_engine.js");
+const { createSite, createDesign } = require("./fixtures.js");
+
+const lonLatLot = {
+    type: "Polygon",
+    coordinates: [[[-122.1430, 37.4419], [-122.1427, 37.4419], [-122.1427, 37.4422], [-122.1430, 37.4422], [-122.1430, 37.4419]]]
+};
+const feetFootprint = [[20, 20], [60, 20], [60, 80], [20, 80]];
+
+test("site polygons in longitude/latitude and local feet are reported, not compared", () => {
+    const site = createSite({ lotBoundary: lonLatLot });
+    const design = createDesign({ buildingFootprint: feetFootprint });
+
+    assert.deepStrictEqual(SiteGeometry.findMixedFrames(site, design), ["designData.buildingFootprint"]);
+    assert.throws(() => new SiteGeometry().analyzeSite(site, design), /mix longitude\/latitude and local feet/);
+
+    const workflow = new ValidationEngine().executeValidationWorkflow(site, design);
+    assert.strictEqual(workflow.overallStatus, "invalid_input");
+    assert.deepStrictEqual(workflow.inputErrors.map(error => error.field), ["designData.buildingFootprint"]);
+});
+
+test("polygons in one frame share the lot's projection origin", () => {
+    const geometry = new SiteGeometry();
+    const footprint = {
+        type: "Polygon",
+        coordinates: [[[-122.14292, 37.44197], [-122.14278, 37.44197], [-122.14278, 37.44213], [-122.14292, 37.44213], [-122.14292, 37.44197]]]
+    };
+    const analysis = geometry.analyzeSite(createSite({ lotBoundary: lonLatLot }), { buildingFootprint: footprint });
+
+    assert.deepStrictEqual(geometry.origin, { lon: -122.1430, lat: 37.4419 });
+    assert.strictEqual(analysis.footprintWithinLot, true);
+    assert.ok(analysis.minimumSetback > 20 && analysis.minimumSetback < 30);
+});
+
+test("environmental exclusions analyze the site once", () => {
+    const engine = new ValidationEngine();
+    const geometry = engine.createSiteGeometry();
+    let calls = 0;
+    const analyzeSite = geometry.analyzeSite.bind(geometry);
+    geometry.analyzeSite = (...args) => {
+        calls++;
+        return analyzeSite(...args);
+    };
+    engine.createSiteGeometry = () => geometry;
+
+    const check = engine.validateEnvironmentalExclusions(
+        createSite({ lotBoundary: [[0, 0], [90, 0], [90, 100], [0, 100]], easementAreas: [[[0, 90], [90, 90], [90, 100], [0, 100]]] }),
+        createDesign({ buildingFootprint: feetFootprint })
+    );
+
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(check.buildableArea, 8100);
+    assert.strictEqual(check.result, "PASS");
+});
+
+test("the planning workflow reports mixed site polygons as input errors", () => {
+    const workflow = new PlanningEngine().executePlanningWorkflow(createSite({
+        lotBoundary: lonLatLot,
+        creekSetbackAreas: [[[0, 0], [10, 0], [10, 10], [0, 10]]]
+    }));
+
+    assert.strictEqual(workflow.overallStatus, "invalid_input");
+    assert.deepStrictEqual(workflow.inputErrors.map(error => error.field), ["siteData.creekSetbackAreas"]);
+});
+
+const toPoints = ring => ring.map(([x, y]) => ({ x, y }));
+// 100 x 100 ft square with the 50 x 50 ft upper right quarter cut out
+const lShape = toPoints([[0, 0], [100, 0], [100, 50], [50, 50], [50, 100], [0, 100]]);
+
+test("ear clipping splits a concave polygon into triangles covering its area", () => {
+    const triangles = SiteGeometry.triangulate(lShape);
+    const total = triangles.reduce((sum, triangle) => sum + SiteGeometry.area(triangle), 0);
+
+    assert.strictEqual(triangles.length, lShape.length - 2);
+    assert.strictEqual(SiteGeometry.area(lShape), 7500);
+    assert.strictEqual(SiteGeometry.round(total), 7500);
+});
+
+test("intersection area with a concave polygon excludes the notch in either order", () => {
+    // 50 x 50 ft square centred on the inside corner: one quarter lies in the notch
+    const square = toPoints([[25, 25], [75, 25], [75, 75], [25, 75]]);
+
+    assert.strictEqual(SiteGeometry.round(SiteGeometry.intersectionArea(square, lShape)), 1875);
+    assert.strictEqual(SiteGeometry.round(SiteGeometry.intersectionArea(lShape, square)), 1875);
+    assert.strictEqual(SiteGeometry.round(SiteGeometry.intersectionArea(lShape, [...square].reverse())), 1875);
+    assert.strictEqual(SiteGeometry.intersectionArea(toPoints([[60, 60], [90, 60], [90, 90], [60, 90]]), lShape), 0);
+});
+
+test("lon/lat polygons are measured in feet from the lot's origin", () => {
+    const lon = -122.1430;
+    const lat = 37.4419;
+    const step = 0.001;
+    const ring = (west, south, east, north) => ({
+        type: "Polygon",
+        coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+    });
+    const width = step * SiteGeometry.FEET_PER_DEGREE_LATITUDE * Math.cos(lat * Math.PI / 180);
+    const depth = step * SiteGeometry.FEET_PER_DEGREE_LATITUDE;
+
+    // The easement covers the lot's south half and runs past it to the south
+    const analysis = new SiteGeometry().analyzeSite({
+        lotBoundary: ring(lon, lat, lon + step, lat + step),
+        easementAreas: [ring(lon, lat - step, lon + step, lat + step / 2)]
+    }, {});
+
+    assert.ok(Math.abs(analysis.lotArea - width * depth) < 0.01);
+    assert.ok(Math.abs(analysis.easementArea - width * depth / 2) < 0.01);
+    assert.ok(Math.abs(analysis.buildableArea - width * depth / 2) < 0.01);
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ValidationEngine = require("../validation_engine.js");
+const DesignRemediator = require("../design_remediation.js");
+const { createSite, createDesign } = require("./fixtures.js");
+
+const twoStoryProfile = [
+    { level: "first", plateHeight: 10, ceilingHeight: 9 },
+    { level: "second", plateHeight: 9, ceilingHeight: 8 }
+];
+
+test("a normal two-story floor profile passes like the declared ceiling", () => {
+    const engine = new ValidationEngine();
+    const declared = engine.validateStoryEquivalency({ floors: 2, secondFloorCeiling: 8 });
+    const profiled = engine.validateStoryEquivalency({ floors: 2, floorProfile: twoStoryProfile });
+
+    assert.strictEqual(declared.result, "PASS");
+    assert.strictEqual(profiled.result, "PASS");
+    assert.deepStrictEqual(profiled.ceilings, declared.ceilings);
+    assert.strictEqual(profiled.equivalentStories, 2);
+});
+
+test("a tall story counts as two stories toward the story limit", () => {
+    const engine = new ValidationEngine();
+    const check = engine.validateStoryEquivalency({
+        floors: 3,
+        floorProfile: [
+            { level: "first", plateHeight: 18, ceilingHeight: 17 },
+            { level: "second", plateHeight: 9, ceilingHeight: 8 },
+            { level: "third", plateHeight: 9, ceilingHeight: 8 }
+        ]
+    });
+
+    assert.strictEqual(check.result, "FAIL");
+    assert.strictEqual(check.equivalentStories, 4);
+    assert.match(check.message, /first floor plate height over 17 ft counts as two/);
+});
+
+test("a tall story wall that breaks the daylight plane fails CP005 without sections", () => {
+    const engine = new ValidationEngine();
+    const siteData = createSite();
+    const designData = createDesign({
+        floors: 1,
+        secondFloorCeiling: undefined,
+        floorProfile: [{ level: "first", plateHeight: 18, ceilingHeight: 17 }]
+    });
+
+    const workflow = engine.executeValidationWorkflow(siteData, designData, { remediate: false });
+    const violations = Object.values(workflow.phases).flatMap(phase => phase.violations || []);
+    const daylight = violations.find(violation => violation.ruleId === "CP005");
+
+    assert.ok(daylight, "expected a daylight plane violation");
+    assert.match(daylight.description, /First floor tall story wall/);
+    assert.strictEqual(engine.validateDaylightPlane(siteData, { floorProfile: twoStoryProfile },
+        engine.validateStoryEquivalency({ floorProfile: twoStoryProfile })).result, "N/A");
+});
+
+test("remediation never proposes a ceiling below the habitable minimum", () => {
+    const engine = new ValidationEngine();
+    const remediator = new DesignRemediator(engine);
+    const designData = createDesign({
+        secondFloorCeiling: undefined,
+        floorProfile: [
+            { level: "first", plateHeight: 16, ceilingHeight: 15 },
+            { level: "second", plateHeight: 9, ceilingHeight: 8 }
+        ]
+    });
+
+    assert.strictEqual(engine.validateStoryEquivalency(designData).result, "PASS");
+    const proposal = remediator.proposeMinimalChangeDesign(createSite(), designData);
+    proposal.designData.floorProfile.forEach(floor => {
+        assert.ok(floor.ceilingHeight >= DesignRemediator.MIN_CEILING_HEIGHT);
+    });
+});
@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ProjectWorkspace = require("../project_workspace.js");
+const WorkspaceBundle = require("../workspace_bundle.js");
+const MemoryStore = require("../memory_store.js");
+
+async function createWorkspace() {
+    const workspace = new ProjectWorkspace(new MemoryStore(Object.values(ProjectWorkspace.STORES)));
+    await workspace.saveTemplate({ name: "Corner lot", mode: "planning", data: { zone: "R-1" } });
+    await workspace.createProject({ name: "4 Cedar", siteData: { address: "4 Cedar", zone: "R-1" } });
+    return workspace;
+}
+
+function createIncomingBundle() {
+    return WorkspaceBundle.createBundle({
+        templates: [{ name: "Corner lot", mode: "validation", data: { zone: "R-1(8000)" } }],
+        projects: [{ name: "4 Cedar", siteData: { address: "4 Cedar", zone: "R-1(8000)" } }]
+    });
+}
+
+test("templates saved by earlier releases import from a version 0 file", async () => {
+    const workspace = new ProjectWorkspace(new MemoryStore(Object.values(ProjectWorkspace.STORES)));
+    const legacy = JSON.stringify([{ name: "Flag lot", data: { zone: "R-1", lotType: "flag" } }]);
+
+    const summary = await new WorkspaceBundle(workspace).importBundle(legacy);
+    const [template] = await workspace.listTemplates();
+
+    assert.strictEqual(summary.fromVersion, 0);
+    assert.deepStrictEqual(summary.templates, { imported: 1, renamed: 0, overwritten: 0, skipped: 0 });
+    assert.strictEqual(template.name, "Flag lot");
+    assert.strictEqual(template.mode, "planning");
+    assert.deepStrictEqual(template.tags, []);
+    assert.deepStrictEqual(template.askOnLoad, []);
+});
+
+test("run history saved by earlier releases imports as one project per site", async () => {
+    const workspace = new ProjectWorkspace(new MemoryStore(Object.values(ProjectWorkspace.STORES)));
+    const runs = [
+        { runNumber: 1, siteData: { address: "9 Elm", zone: "R-1", lotSize: 6000 } },
+        { runNumber: 2, siteData: { address: "9 Elm", zone: "R-1", lotSize: 6100 } }
+    ];
+
+    await new WorkspaceBundle(workspace).importBundle({ "9 elm": { key: "9 elm", address: "9 Elm", runs } });
+    const [project] = await workspace.listProjects();
+
+    assert.strictEqual(project.name, "9 Elm");
+    assert.strictEqual(project.siteData.lotSize, 6100);
+    assert.strictEqual(project.validationRuns.length, 2);
+});
+
+test("a version 1 bundle gains template tags and ask-on-load fields", () => {
+    const bundle = WorkspaceBundle.migrate({
+        format: WorkspaceBundle.FORMAT,
+        version: 1,
+        templates: [{ name: "Standard lot", data: {} }]
+    });
+
+    assert.strictEqual(bundle.version, WorkspaceBundle.VERSION);
+    assert.deepStrictEqual(bundle.templates[0].tags, []);
+    assert.deepStrictEqual(bundle.templates[0].askOnLoad, []);
+});
+
+test("a bundle from a newer version is refused", () => {
+    assert.throws(() => WorkspaceBundle.migrate({ format: WorkspaceBundle.FORMAT, version: WorkspaceBundle.VERSION + 1 }),
+        /written by a newer version/);
+});
+
+test("names that already exist are reported before importing", async () => {
+    const workspace = await createWorkspace();
+
+    assert.deepStrictEqual(await new WorkspaceBundle(workspace).findConflicts(createIncomingBundle()),
+        { templates: ["Corner lot"], projects: ["4 Cedar"] });
+});
+
+test("renaming keeps both records under unique names", async () => {
+    const workspace = await createWorkspace();
+    const summary = await new WorkspaceBundle(workspace).importBundle(createIncomingBundle(), { onConflict: "rename" });
+
+    assert.strictEqual(summary.templates.renamed, 1);
+    assert.strictEqual(summary.projects.renamed, 1);
+    assert.deepStrictEqual((await workspace.listTemplates()).map(template => template.name), ["Corner lot", "Corner lot (2)"]);
+    assert.deepStrictEqual((await workspace.listProjects()).map(project => project.name).sort(), ["4 Cedar", "4 Cedar (2)"]);
+});
+
+test("overwriting replaces the existing record under its id and skipping leaves it alone", async () => {
+    const workspace = await createWorkspace();
+    const [existing] = await workspace.listTemplates();
+
+    const skipped = await new WorkspaceBundle(workspace).importBundle(createIncomingBundle(), { onConflict: "skip" });
+    assert.strictEqual(skipped.templates.skipped, 1);
+    assert.strictEqual((await workspace.getTemplate(existing.id)).data.zone, "R-1");
+
+    const overwritten = await new WorkspaceBundle(workspace).importBundle(createIncomingBundle(), { onConflict: "overwrite" });
+    const templates = await workspace.listTemplates();
+    assert.strictEqual(overwritten.templates.overwritten, 1);
+    assert.strictEqual(templates.length, 1);
+    assert.strictEqual(templates[0].id, existing.id);
+    assert.strictEqual(templates[0].mode, "validation");
+    assert.strictEqual(templates[0].data.zone, "R-1(8000)");
+});
+
+test("an unknown conflict strategy is refused", async () => {
+    const workspace = await createWorkspace();
+    await assert.rejects(new WorkspaceBundle(workspace).importBundle(createIncomingBundle(), { onConflict: "merge" }),
+        /Unknown conflict strategy: merge/);
+});
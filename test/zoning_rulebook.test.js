@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ZoningRulebook = require("../zoning_rulebook.js");
+const ComplianceChecklist = require("../compliance_checklist.js");
+const ValidationEngine = require("../validation_engine.js");
+const PlanningEngine = require("../planning_engine.js");
+
+test("a zone mismatch is reported under CP001 by the phase check and the checklist", () => {
+    const site = { zone: "R-1(8000)", lotSize: 9000, lotType: "typical" };
+    const design = { submittedZone: "R-1(7000)" };
+    const phase1 = new ValidationEngine().executePhase1Validation(site, design);
+    const violation = phase1.violations.find(candidate => candidate.description.startsWith("Zone mismatch"));
+    const item = new ComplianceChecklist(new ZoningRulebook()).evaluate(site, design).items
+        .find(candidate => candidate.id === "CP001-ZONE-MATCH");
+
+    assert.strictEqual(violation.ruleId, "CP001");
+    assert.strictEqual(item.ruleId, "CP001");
+    assert.strictEqual(item.result, "FAIL");
+});
+
+test("both engines read their limits from the same rulebook", () => {
+    const rulebook = new ZoningRulebook();
+    const planning = new PlanningEngine(rulebook);
+    const validation = new ValidationEngine(rulebook);
+
+    assert.strictEqual(planning.zoneRequirements, validation.zoneRequirements);
+    assert.strictEqual(validation.validateLotSize({ zone: "R-1", lotSize: 5999 }).required, rulebook.getZoneRequirements("R-1").minLotSize);
+    assert.strictEqual(validation.validateLotSize({ zone: "R-1", lotSize: 5999 }).ruleId, "CP001");
+});
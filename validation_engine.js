@@ -4,7 +4,9 @@
  */
 
 class ValidationEngine {
-    constructor() {
+    constructor(rulebook) {
+        this.rulebook = rulebook || this.getRulebookClass().forDate(new Date());
+
         this.phases = {
             1: "Site Analysis & Pre-Validation",
             2: "Building Envelope Validation",
@@ -13,48 +15,7 @@ class ValidationEngine {
             5: "Final Compliance Validation & Report Generation"
         };
 
-        this.zoneRequirements = {
-            "R-1": {
-                minLotSize: 6000,
-                maxLotSize: 9999,
-                subStandardTypical: 4980,
-                subStandardFlag: 5976,
-                secondUnitMinTypical: 8100,
-                secondUnitMinFlag: 9720
-            },
-            "R-1(7000)": {
-                minLotSize: 7000,
-                maxLotSize: 13999,
-                subStandardTypical: 5810,
-                subStandardFlag: 6972,
-                secondUnitMinTypical: 9450,
-                secondUnitMinFlag: 11340
-            },
-            "R-1(8000)": {
-                minLotSize: 8000,
-                maxLotSize: 15999,
-                subStandardTypical: 6640,
-                subStandardFlag: 7968,
-                secondUnitMinTypical: 10800,
-                secondUnitMinFlag: 12960
-            },
-            "R-1(10000)": {
-                minLotSize: 10000,
-                maxLotSize: 19999,
-                subStandardTypical: 8300,
-                subStandardFlag: 9960,
-                secondUnitMinTypical: 13500,
-                secondUnitMinFlag: 16200
-            },
-            "R-1(20000)": {
-                minLotSize: 20000,
-                maxLotSize: 39999,
-                subStandardTypical: 16600,
-                subStandardFlag: 19920,
-                secondUnitMinTypical: 27000,
-                secondUnitMinFlag: 32400
-            }
-        };
+        this.zoneRequirements = this.rulebook.getZoneRequirements();
 
         this.criticalViolationTypes = {
             ABSOLUTE_STOPPER: "absolute_stopper",
@@ -104,7 +65,7 @@ class ValidationEngine {
         if (subStandardCheck.isSubStandard) {
             results.warnings.push({
                 type: "height_restriction",
-                message: "Substandard lot detected - height limited to 17 feet",
+                message: `Substandard lot detected - height limited to ${this.rulebook.getParameters("CP002").subStandardMaxHeight} feet`,
                 impact: "Building height restrictions apply"
             });
         }
@@ -118,8 +79,8 @@ class ValidationEngine {
             results.failed++;
             results.violations.push({
                 type: this.criticalViolationTypes.ABSOLUTE_STOPPER,
-                ruleId: "V001",
-                category: "Zone Verification",
+                ruleId: "CP001",
+                category: "Lot Requirements",
                 description: zoneCheck.message
             });
         }
@@ -184,8 +145,11 @@ class ValidationEngine {
 
         const isSubStandard = phase1Results.nextPhaseInputs.isSubStandard;
 
+        // Story equivalency runs first so the height check can report the floor profile
+        const storyCheck = this.validateStoryEquivalency(designData, isSubStandard);
+
         // Check 2.1: Height Limit Validation
-        const heightCheck = this.validateBuildingHeight(designData, isSubStandard);
+        const heightCheck = this.validateBuildingHeight(designData, isSubStandard, storyCheck);
         results.validationChecks.push(heightCheck);
         if (heightCheck.result === "FAIL") {
             results.violations.push({
@@ -200,8 +164,21 @@ class ValidationEngine {
             results.passed++;
         }
 
+        if (heightCheck.measurement && designData.buildingHeight !== undefined &&
+            designData.buildingHeight !== heightCheck.actual) {
+            results.warnings.push({
+                type: "height_discrepancy",
+                message: `Building height declared as ${designData.buildingHeight} ft but measures ${heightCheck.actual} ft from the grade points`
+            });
+        }
+        if (storyCheck.profile && storyCheck.profile.topPlate > heightCheck.actual) {
+            results.warnings.push({
+                type: "height_discrepancy",
+                message: `Floor profile puts the top plate ${storyCheck.profile.topPlate} ft above grade, above the ${heightCheck.actual} ft building height`
+            });
+        }
+
         // Check 2.2: Story Equivalency Validation
-        const storyCheck = this.validateStoryEquivalency(designData);
         results.validationChecks.push(storyCheck);
         if (storyCheck.result === "FAIL") {
             results.violations.push({
@@ -214,6 +191,20 @@ class ValidationEngine {
         } else {
             results.passed++;
         }
+        if (storyCheck.profile) {
+            storyCheck.profile.floors.filter(floor => floor.countsAs > 1).forEach(floor => {
+                results.warnings.push({
+                    type: "tall_story",
+                    message: `${floor.label} plate height of ${floor.plateHeight} ft exceeds ${storyCheck.profile.tallStoryHeight} ft; it counts as two stories`
+                });
+            });
+            if (storyCheck.profile.floors.length !== designData.floors) {
+                results.warnings.push({
+                    type: "story_profile",
+                    message: `Floor profile lists ${storyCheck.profile.floors.length} floors but the design declares ${designData.floors}`
+                });
+            }
+        }
 
         // Check 2.3: Setback Compliance Validation
         const setbackCheck = this.validateSetbacks(siteData, designData);
@@ -230,6 +221,12 @@ class ValidationEngine {
         } else {
             results.passed++;
         }
+        setbackCheck.discrepancies.forEach(discrepancy => {
+            results.warnings.push({
+                type: "setback_discrepancy",
+                message: discrepancy.message
+            });
+        });
 
         // Check 2.4: Floor Area Ratio (FAR) Validation
         const farCheck = this.validateFAR(siteData, designData);
@@ -246,9 +243,16 @@ class ValidationEngine {
         } else {
             results.passed++;
         }
+        if (farCheck.floorArea.fromSpaces && designData.totalFloorArea !== undefined &&
+            designData.totalFloorArea !== farCheck.floorArea.countable) {
+            results.warnings.push({
+                type: "floor_area_discrepancy",
+                message: `Total floor area declared as ${designData.totalFloorArea} sq ft but the floor plan spaces count ${farCheck.floorArea.countable} sq ft`
+            });
+        }
 
         // Check 2.5: Daylight Plane Validation
-        const daylightCheck = this.validateDaylightPlane(siteData, designData);
+        const daylightCheck = this.validateDaylightPlane(siteData, designData, storyCheck);
         results.validationChecks.push(daylightCheck);
         if (daylightCheck.result === "FAIL") {
             results.violations.push({
@@ -256,9 +260,15 @@ class ValidationEngine {
                 ruleId: "CP005",
                 category: "Building Envelope",
                 description: daylightCheck.message,
+                intrusions: daylightCheck.intrusions,
                 remediation: "Redesign building envelope to comply with daylight plane"
             });
             results.failed++;
+        } else if (daylightCheck.result === "N/A") {
+            results.warnings.push({
+                type: "daylight_plane",
+                message: daylightCheck.message
+            });
         } else {
             results.passed++;
         }
@@ -269,6 +279,7 @@ class ValidationEngine {
         if (featuresCheck.result === "FAIL") {
             results.violations.push({
                 type: this.criticalViolationTypes.DESIGN_STOPPER,
+                ruleId: "CP010",
                 category: "Architectural Features",
                 description: featuresCheck.message
             });
@@ -292,6 +303,46 @@ class ValidationEngine {
         } else {
             results.passed++;
         }
+        // Declared totals exclude accessory structures, which are counted separately
+        const lotCoverage = coverageCheck.coverage;
+        if (lotCoverage.itemized && designData.totalCoverage !== undefined &&
+            designData.totalCoverage !== lotCoverage.buildingCoverage - lotCoverage.accessoryCoverage) {
+            results.warnings.push({
+                type: "coverage_discrepancy",
+                message: `Main building coverage declared as ${designData.totalCoverage} sq ft but the coverage items list ${lotCoverage.buildingCoverage - lotCoverage.accessoryCoverage} sq ft of buildings`
+            });
+        }
+        if (lotCoverage.itemized && designData.totalCoverageWithFeatures !== undefined &&
+            designData.totalCoverageWithFeatures !== lotCoverage.total - lotCoverage.accessoryCoverage) {
+            results.warnings.push({
+                type: "coverage_discrepancy",
+                message: `Total coverage with features declared as ${designData.totalCoverageWithFeatures} sq ft but the coverage items count ${lotCoverage.total - lotCoverage.accessoryCoverage} sq ft`
+            });
+        }
+
+        // Check 2.8: Basement and Lightwell Validation
+        if (designData.hasBasement) {
+            const basementCheck = this.validateBasement(siteData, designData);
+            results.validationChecks.push(basementCheck);
+            if (basementCheck.result === "FAIL") {
+                results.violations.push({
+                    type: this.criticalViolationTypes.DESIGN_STOPPER,
+                    ruleId: "CP021",
+                    category: "Basements",
+                    description: basementCheck.message,
+                    remediation: "Pull lightwells back from the property lines"
+                });
+                results.failed++;
+            } else {
+                results.passed++;
+            }
+            if (!basementCheck.basement.qualifiesAsBasement) {
+                results.warnings.push({
+                    type: "basement_story",
+                    message: `Basement is not more than half below grade and counts as a story: ${basementCheck.basement.reason}`
+                });
+            }
+        }
 
         results.status = results.violations.length > 0 ? "violations_found" : "passed";
         return results;
@@ -335,6 +386,7 @@ class ValidationEngine {
         if (coveredParkingCheck.result === "FAIL") {
             results.violations.push({
                 type: this.criticalViolationTypes.MAJOR_STOPPER,
+                ruleId: "CP006",
                 category: "Covered Parking",
                 description: coveredParkingCheck.message
             });
@@ -381,6 +433,7 @@ class ValidationEngine {
         if (maneuverabilityCheck.result === "FAIL") {
             results.violations.push({
                 type: this.criticalViolationTypes.MAJOR_STOPPER,
+                ruleId: "CP007",
                 category: "Vehicle Access",
                 description: maneuverabilityCheck.message
             });
@@ -393,10 +446,14 @@ class ValidationEngine {
         const materialsCheck = this.validateDrivewayMaterials(designData);
         results.validationChecks.push(materialsCheck);
         if (materialsCheck.result === "FAIL") {
-            results.warnings.push({
-                type: "materials",
-                message: materialsCheck.message
+            results.violations.push({
+                type: this.criticalViolationTypes.MAJOR_STOPPER,
+                ruleId: "CP007",
+                category: "Driveway Materials",
+                description: materialsCheck.message,
+                remediation: `Specify an approved driveway material (${materialsCheck.approved.join(", ").replace(/_/g, " ")})`
             });
+            results.failed++;
         } else {
             results.passed++;
         }
@@ -459,9 +516,16 @@ class ValidationEngine {
         if (designData.accessoryStructures && designData.accessoryStructures.length > 0) {
             const accessoryCheck = this.validateAccessoryStructures(designData);
             results.validationChecks.push(accessoryCheck);
+            accessoryCheck.missing.forEach(message => {
+                results.warnings.push({
+                    type: "accessory_structure_incomplete",
+                    message: `${message}; the ${this.rulebook.getParameters("CP011").minSeparation} ft separation and lot coverage cannot be fully checked`
+                });
+            });
             if (accessoryCheck.result === "FAIL") {
                 results.violations.push({
                     type: this.criticalViolationTypes.DESIGN_STOPPER,
+                    ruleId: "CP011",
                     category: "Accessory Structures",
                     description: accessoryCheck.message
                 });
@@ -495,6 +559,7 @@ class ValidationEngine {
         if (totalCoverageCheck.result === "FAIL") {
             results.violations.push({
                 type: this.criticalViolationTypes.DESIGN_STOPPER,
+                ruleId: "CP013",
                 category: "Total Coverage",
                 description: totalCoverageCheck.message,
                 remediation: "Reduce structure sizes or eliminate features"
@@ -527,6 +592,11 @@ class ValidationEngine {
         // Check 5.1: Comprehensive Rule Validation
         const comprehensiveCheck = this.performComprehensiveValidation(siteData, designData);
         results.validationChecks.push(comprehensiveCheck);
+        if (comprehensiveCheck.result === "FAIL") {
+            results.failed++;
+        } else {
+            results.passed++;
+        }
 
         // Check 5.2: Critical Path Validation
         const criticalPathCheck = this.validateCriticalPath(allPreviousResults);
@@ -538,6 +608,7 @@ class ValidationEngine {
         if (professionalCheck.result === "FAIL") {
             results.violations.push({
                 type: this.criticalViolationTypes.PROCESS_STOPPER,
+                ruleId: "CP018",
                 category: "Professional Requirements",
                 description: professionalCheck.message
             });
@@ -552,6 +623,7 @@ class ValidationEngine {
         if (documentationCheck.result === "FAIL") {
             results.violations.push({
                 type: this.criticalViolationTypes.PROCESS_STOPPER,
+                ruleId: "CP019",
                 category: "Documentation",
                 description: documentationCheck.message
             });
@@ -560,22 +632,26 @@ class ValidationEngine {
             results.passed++;
         }
 
-        // Generate Final Report
-        results.finalReport = this.generateValidationReport(siteData, designData, allPreviousResults, results);
+        // Failing checklist items whose rule no phase check reported become violations here
+        const reported = new Set(this.collectAllViolations(allPreviousResults, results).map(violation => violation.ruleId));
+        comprehensiveCheck.items
+            .filter(item => item.result === "FAIL" && !reported.has(item.ruleId))
+            .forEach(item => {
+                results.violations.push({
+                    type: this.criticalViolationTypes.DESIGN_STOPPER,
+                    ruleId: item.ruleId,
+                    category: item.category,
+                    description: `Checklist item ${item.id} failed: ${item.description} (required ${this.formatChecklistValue(item.required)}, ` +
+                        `actual ${this.formatChecklistValue(item.actual)})`
+                });
+            });
 
         // Determine final status
         const allViolations = this.collectAllViolations(allPreviousResults, results);
-        const criticalViolations = allViolations.filter(v =>
-            v.type === this.criticalViolationTypes.ABSOLUTE_STOPPER
-        );
+        results.status = this.determineOverallStatus(allViolations).toLowerCase();
 
-        if (criticalViolations.length > 0) {
-            results.status = "rejected";
-        } else if (allViolations.length > 0) {
-            results.status = "conditional";
-        } else {
-            results.status = "approved";
-        }
+        // Generate Final Report
+        results.finalReport = this.generateValidationReport(siteData, designData, allPreviousResults, results);
 
         return results;
     }
@@ -588,7 +664,7 @@ class ValidationEngine {
 
         return {
             checkName: "Lot Size Validation",
-            ruleId: "R001",
+            ruleId: "CP001",
             result: isValid ? "PASS" : "FAIL",
             required: zoneReq.minLotSize,
             actual: siteData.lotSize,
@@ -621,6 +697,7 @@ class ValidationEngine {
 
         return {
             checkName: "Zone District Verification",
+            ruleId: "CP001",
             result: isValid ? "PASS" : "FAIL",
             expected: siteData.zone,
             submitted: designData.submittedZone,
@@ -653,81 +730,249 @@ class ValidationEngine {
     }
 
     validateEnvironmentalExclusions(siteData, designData) {
-        const buildableArea = this.calculateBuildableArea(siteData);
-        const encroachments = this.checkEnvironmentalEncroachments(siteData, designData);
+        const geometry = this.analyzeSiteGeometry(siteData, designData);
+        const buildableArea = this.calculateBuildableArea(siteData, geometry);
+        const encroachments = this.checkEnvironmentalEncroachments(geometry);
 
         return {
             checkName: "Environmental Exclusions",
+            ruleId: "CP012",
             result: encroachments.length === 0 ? "PASS" : "FAIL",
             buildableArea: buildableArea,
             encroachments: encroachments,
+            geometry: geometry,
             message: encroachments.length === 0 ?
                 "No encroachments into protected areas" :
                 `Building encroaches into protected areas: ${encroachments.join(", ")}`
         };
     }
 
-    validateBuildingHeight(designData, isSubStandard) {
-        const maxHeight = isSubStandard ? 17 : 30;
-        const isValid = designData.buildingHeight <= maxHeight;
+    validateBuildingHeight(designData, isSubStandard, storyCheck = null) {
+        const heightRule = this.rulebook.getParameters("CP002");
+        const maxHeight = isSubStandard ? heightRule.subStandardMaxHeight : heightRule.maxHeight;
+        const measurement = this.calculateBuildingHeight(designData);
+        const height = measurement ? measurement.height : designData.buildingHeight;
+        const isValid = height <= maxHeight;
+        const location = measurement ?
+            `${height} ft at the ${measurement.governing.label.toLowerCase()}, measured to the ${measurement.measuredTo}` : null;
+        const profile = storyCheck && storyCheck.profile;
 
         return {
             checkName: "Building Height Compliance",
             ruleId: "CP002",
             result: isValid ? "PASS" : "FAIL",
             maxAllowed: maxHeight,
-            actual: designData.buildingHeight,
+            actual: height,
             isSubStandard: isSubStandard,
+            measurement: measurement,
+            equivalentStories: storyCheck ? storyCheck.equivalentStories : designData.floors,
+            details: [
+                ...(measurement ? measurement.points.map(point =>
+                    `${point.label}: ${point.height} ft above grade ${point.grade} ft (existing ${point.existingGrade} ft, finished ${point.finishedGrade} ft)`) : []),
+                ...(measurement ? measurement.projections.map(projection =>
+                    `${projection.label} ${projection.height} ft above the roof: ${projection.counted ?
+                        `counted, exceeds the ${projection.allowed} ft allowed projection` :
+                        `not counted, within the ${projection.allowed} ft allowed projection`}`) : []),
+                ...(profile ? [`Floor profile: top plate ${profile.topPlate} ft above grade, ${profile.equivalentStories} equivalent ` +
+                    `${profile.equivalentStories === 1 ? "story" : "stories"}`] : [])
+            ],
             message: isValid ?
-                `Building height complies with ${maxHeight} ft limit` :
-                `Building height exceeds ${maxHeight} ft limit (Actual: ${designData.buildingHeight} ft)`
+                `Building height complies with ${maxHeight} ft limit${location ? ` (${location})` : ""}` :
+                `Building height exceeds ${maxHeight} ft limit (Actual: ${location || `${height} ft`})`
         };
     }
 
-    validateStoryEquivalency(designData) {
+    /**
+     * Building height from grade points and the roof. Each point is measured
+     * from its grade (the lower of existing and finished grade) up to the top
+     * of the roof; parapets and chimneys within their allowed projections are
+     * left out and taller ones are measured to their top. The governing height
+     * is the greatest point measurement. Returns null when the design only
+     * declares a building height.
+     */
+    calculateBuildingHeight(designData) {
+        const gradePoints = designData.gradePoints || [];
+        if (gradePoints.length === 0 || designData.topOfRoofElevation === undefined) return null;
+
+        const heightRule = this.rulebook.getParameters("CP002");
+        const round = value => Math.round(value * 100) / 100;
+        const projections = [
+            { feature: "parapet", label: "Parapet", height: designData.parapetHeight, allowed: heightRule.maxParapetProjection },
+            { feature: "chimney", label: "Chimney", height: designData.chimneyHeight, allowed: heightRule.maxChimneyProjection }
+        ]
+            .filter(projection => projection.height > 0)
+            .map(projection => ({ ...projection, counted: projection.height > projection.allowed }));
+
+        const highest = projections
+            .filter(projection => projection.counted)
+            .reduce((top, projection) => projection.height > top.height ? projection : top, { label: "Roof", height: 0 });
+        const topElevation = round(designData.topOfRoofElevation + highest.height);
+
+        const points = gradePoints.map((point, index) => {
+            const grade = heightRule.measureFromLowerGrade ? Math.min(point.existingGrade, point.finishedGrade) : point.finishedGrade;
+            return {
+                ...point,
+                label: this.formatGradePointLocation(point.location, index),
+                grade: grade,
+                height: round(topElevation - grade)
+            };
+        });
+        const governing = points.reduce((tallest, point) => point.height > tallest.height ? point : tallest);
+
+        return {
+            roofType: designData.roofType,
+            roofElevation: designData.topOfRoofElevation,
+            topElevation: topElevation,
+            measuredTo: highest.height > 0 ? `top of the ${highest.feature}` : `top of the ${designData.roofType === "pitched" ? "ridge" : "roof"}`,
+            projections: projections,
+            points: points,
+            governing: governing,
+            height: governing.height
+        };
+    }
+
+    formatGradePointLocation(location, index) {
+        return {
+            front_left: "Front left corner",
+            front_right: "Front right corner",
+            rear_left: "Rear left corner",
+            rear_right: "Rear right corner"
+        }[location] || `Grade point ${index + 1}`;
+    }
+
+    /**
+     * Story height equivalency. The second and third floor limits apply to
+     * each floor's own ceiling height, whether declared or taken from the
+     * floor profile. A floor whose plate height exceeds the tall story height
+     * counts as two stories toward the story limit, and its wall is checked
+     * against the daylight plane by validateDaylightPlane.
+     */
+    validateStoryEquivalency(designData, isSubStandard = false) {
+        const storyRule = this.rulebook.getParameters("CP015");
+        const profile = this.calculateStoryProfile(designData);
+        const maxStories = isSubStandard ? storyRule.subStandardMaxStories : storyRule.maxStories;
         const violations = [];
 
-        if (designData.floors >= 2 && designData.secondFloorCeiling > 17) {
-            violations.push(`Second floor ceiling height exceeds 17 ft (${designData.secondFloorCeiling} ft)`);
+        const ceilings = profile ? profile.ceilings : {
+            second: designData.floors >= 2 ? designData.secondFloorCeiling : undefined,
+            third: designData.floors >= 3 ? designData.thirdFloorCeiling : undefined
+        };
+
+        if (ceilings.second > storyRule.secondFloor) {
+            violations.push(`Second floor ceiling height exceeds ${storyRule.secondFloor} ft (${ceilings.second} ft)`);
         }
 
-        if (designData.floors >= 3 && designData.thirdFloorCeiling > 26) {
-            violations.push(`Third floor ceiling height exceeds 26 ft (${designData.thirdFloorCeiling} ft)`);
+        if (ceilings.third > storyRule.thirdFloor) {
+            violations.push(`Third floor ceiling height exceeds ${storyRule.thirdFloor} ft (${ceilings.third} ft)`);
+        }
+
+        const equivalentStories = profile ? profile.equivalentStories : designData.floors;
+        if (equivalentStories > maxStories) {
+            const tallFloors = profile ? profile.floors.filter(floor => floor.countsAs > 1) : [];
+            const tallNote = tallFloors.length > 0 ?
+                ` (${tallFloors.map(floor => `${floor.label.toLowerCase()} plate height over ${storyRule.tallStoryHeight} ft counts as two`).join(", ")})` : "";
+            violations.push(`Design counts as ${equivalentStories} stories${tallNote}; ` +
+                `${isSubStandard ? "substandard lots are" : "the zone is"} limited to ${maxStories} ${maxStories === 1 ? "story" : "stories"}`);
         }
 
         return {
             checkName: "Story Height Equivalency",
+            ruleId: "CP015",
             result: violations.length === 0 ? "PASS" : "FAIL",
             violations: violations,
+            maxStories: maxStories,
+            equivalentStories: equivalentStories,
+            ceilings: ceilings,
+            profile: profile,
+            details: profile ? profile.floors.map(floor =>
+                `${floor.label}: ${floor.ceilingHeight} ft ceiling, ${floor.plateHeight} ft plate; ` +
+                `floor ${floor.floorLevel} ft and plate ${floor.plateAboveGrade} ft above grade` +
+                `${floor.countsAs > 1 ? ` (counts as ${floor.countsAs} stories)` : ""}`) : [],
             message: violations.length === 0 ?
                 "All floor ceiling heights comply with story equivalencies" :
                 violations.join("; ")
         };
     }
 
+    /**
+     * Places each floor of the floor profile above grade. Floors stack on the
+     * plate heights below them, starting from the basement's exposure when
+     * there is a basement; a floor whose plate height exceeds the tall story
+     * height counts as two stories. Ceilings are each floor's own ceiling
+     * height, the same measurement as the declared ceiling fields. Returns
+     * null without a floor profile.
+     */
+    calculateStoryProfile(designData) {
+        const rows = designData.floorProfile || [];
+        if (rows.length === 0) return null;
+
+        const storyRule = this.rulebook.getParameters("CP015");
+        const levels = ["first", "second", "third"];
+        const round = value => Math.round(value * 100) / 100;
+        let floorLevel = designData.hasBasement && designData.basementExposure > 0 ? designData.basementExposure : 0;
+
+        const floors = [...rows]
+            .sort((a, b) => levels.indexOf(a.level) - levels.indexOf(b.level))
+            .map(row => {
+                const floor = {
+                    ...row,
+                    label: this.formatSpaceLevel(row.level),
+                    floorLevel: round(floorLevel),
+                    ceilingAboveGrade: round(floorLevel + row.ceilingHeight),
+                    plateAboveGrade: round(floorLevel + row.plateHeight),
+                    countsAs: row.plateHeight > storyRule.tallStoryHeight ? 2 : 1
+                };
+                floorLevel += row.plateHeight;
+                return floor;
+            });
+        const ceilingAt = level => (floors.find(floor => floor.level === level) || {}).ceilingHeight;
+
+        return {
+            floors: floors,
+            tallStoryHeight: storyRule.tallStoryHeight,
+            equivalentStories: floors.reduce((sum, floor) => sum + floor.countsAs, 0),
+            ceilings: { second: ceilingAt("second"), third: ceilingAt("third") },
+            topPlate: Math.max(...floors.map(floor => floor.plateAboveGrade))
+        };
+    }
+
     validateSetbacks(siteData, designData) {
+        const setbacks = this.rulebook.getParameters("CP004");
+        const declared = {
+            front: designData.frontSetback,
+            interiorSide: designData.interiorSideSetback,
+            streetSide: designData.streetSideSetback,
+            rear: designData.rearSetback
+        };
+        const measured = this.createSiteGeometry().measureSetbacks(siteData, designData);
+        const actual = { ...declared, ...(measured || {}) };
+        const discrepancies = measured ? this.compareDeclaredSetbacks(declared, measured) : [];
         const violations = [];
 
-        if (designData.frontSetback < 20) {
-            violations.push(`Front setback insufficient (${designData.frontSetback} ft < 20 ft required)`);
+        if (actual.front < setbacks.front) {
+            violations.push(`Front setback insufficient (${actual.front} ft < ${setbacks.front} ft required)`);
         }
 
-        if (designData.interiorSideSetback < 5) {
-            violations.push(`Interior side setback insufficient (${designData.interiorSideSetback} ft < 5 ft required)`);
+        if (actual.interiorSide < setbacks.interiorSide) {
+            violations.push(`Interior side setback insufficient (${actual.interiorSide} ft < ${setbacks.interiorSide} ft required)`);
         }
 
-        if (siteData.isCornerLot && designData.streetSideSetback < 16) {
-            violations.push(`Street side setback insufficient (${designData.streetSideSetback} ft < 16 ft required)`);
+        if (siteData.isCornerLot && actual.streetSide < setbacks.streetSide) {
+            violations.push(`Street side setback insufficient (${actual.streetSide} ft < ${setbacks.streetSide} ft required)`);
         }
 
-        if (designData.rearSetback < 20) {
-            violations.push(`Rear setback insufficient (${designData.rearSetback} ft < 20 ft required)`);
+        if (actual.rear < setbacks.rear) {
+            violations.push(`Rear setback insufficient (${actual.rear} ft < ${setbacks.rear} ft required)`);
         }
 
         return {
             checkName: "Setback Compliance",
             ruleId: "CP004",
             result: violations.length === 0 ? "PASS" : "FAIL",
+            source: measured ? "geometry" : "declared",
+            actual: actual,
+            measured: measured,
+            discrepancies: discrepancies,
             violations: violations,
             message: violations.length === 0 ?
                 "All setbacks meet minimum requirements" :
@@ -736,62 +981,309 @@ class ValidationEngine {
     }
 
     validateFAR(siteData, designData) {
-        const first5000 = Math.min(siteData.lotSize, 5000) * 0.45;
-        const excess = Math.max(siteData.lotSize - 5000, 0) * 0.30;
+        const farRule = this.rulebook.getParameters("CP003");
+        const first5000 = Math.min(siteData.lotSize, farRule.baseLotArea) * farRule.baseRatio;
+        const excess = Math.max(siteData.lotSize - farRule.baseLotArea, 0) * farRule.excessRatio;
         const calculated = first5000 + excess;
-        const maxAllowed = Math.min(calculated, 6000);
+        const maxAllowed = Math.min(calculated, farRule.maxFloorArea);
 
-        const isValid = designData.totalFloorArea <= maxAllowed;
+        const floorArea = this.calculateFloorArea(designData);
+        const isValid = floorArea.countable <= maxAllowed;
+        const source = floorArea.fromSpaces ? ` countable from ${floorArea.spaces.length} spaces` : "";
+        const basement = floorArea.basement;
 
         return {
             checkName: "Floor Area Ratio (FAR) Validation",
             ruleId: "CP003",
             result: isValid ? "PASS" : "FAIL",
             maxAllowed: maxAllowed,
-            actual: designData.totalFloorArea,
+            actual: floorArea.countable,
             calculation: {
                 first5000Allowance: first5000,
                 excessAllowance: excess,
                 calculatedFAR: calculated,
                 finalMax: maxAllowed
             },
+            floorArea: floorArea,
+            details: floorArea.fromSpaces ? [
+                ...floorArea.spaces.map(space =>
+                    `${this.formatSpaceName(space)}: ${space.area} sq ft counted as ${space.counted} sq ft (${space.reason})`),
+                ...Object.entries(floorArea.byLevel).map(([level, area]) => `${this.formatSpaceLevel(level)} total: ${area} sq ft`),
+                `Countable floor area: ${floorArea.countable} sq ft of ${maxAllowed} sq ft allowed`
+            ] : basement.hasBasement ? [
+                `Declared floor area above the basement: ${designData.totalFloorArea} sq ft`,
+                `Basement: ${designData.basementArea} sq ft ${basement.exemptFromFAR ? "excluded" : "counted"} (${basement.reason})`,
+                `Countable floor area: ${floorArea.countable} sq ft of ${maxAllowed} sq ft allowed`
+            ] : [],
             message: isValid ?
-                `Floor area within limits (${designData.totalFloorArea} sq ft ≤ ${maxAllowed} sq ft)` :
-                `Floor area exceeds calculated limit (${designData.totalFloorArea} sq ft > ${maxAllowed} sq ft)`
+                `Floor area within limits (${floorArea.countable} sq ft${source} ≤ ${maxAllowed} sq ft)` :
+                `Floor area exceeds calculated limit (${floorArea.countable} sq ft${source} > ${maxAllowed} sq ft)`
+        };
+    }
+
+    /**
+     * Countable floor area of the design's listed spaces. A space counts once,
+     * twice when it is taller than the double-count height, or not at all
+     * (excluded basements, attic space under the height threshold, and
+     * garages when the rule leaves them out). Designs without a space list
+     * count their declared total floor area.
+     */
+    calculateFloorArea(designData) {
+        const farRule = this.rulebook.getParameters("CP003");
+        const basement = this.evaluateBasement(designData);
+        const listed = designData.spaces || [];
+
+        if (listed.length === 0) {
+            // The declared total covers the floors above the basement
+            const basementCounted = basement.hasBasement && !basement.exemptFromFAR ? designData.basementArea : 0;
+            return {
+                countable: designData.totalFloorArea + basementCounted,
+                fromSpaces: false,
+                spaces: [],
+                byLevel: {},
+                excluded: basement.hasBasement && basement.exemptFromFAR ? designData.basementArea : 0,
+                doubleCounted: 0,
+                basement: basement
+            };
+        }
+
+        // A basement described only by its own inputs is counted as one space
+        const spaces = basement.hasBasement && !listed.some(space => space.level === "basement") ?
+            [...listed, { level: "basement", use: "living", area: designData.basementArea, height: designData.basementDepth + designData.basementExposure }] :
+            listed;
+
+        const counted = spaces.map(space => {
+            const treatment = this.getFloorAreaTreatment(space, farRule, basement);
+            return { ...space, multiplier: treatment.multiplier, counted: space.area * treatment.multiplier, reason: treatment.reason };
+        });
+        const byLevel = {};
+        counted.forEach(space => {
+            byLevel[space.level] = (byLevel[space.level] || 0) + space.counted;
+        });
+
+        return {
+            countable: counted.reduce((sum, space) => sum + space.counted, 0),
+            fromSpaces: true,
+            spaces: counted,
+            byLevel: byLevel,
+            excluded: counted.filter(space => space.multiplier === 0).reduce((sum, space) => sum + space.area, 0),
+            doubleCounted: counted.filter(space => space.multiplier === 2).reduce((sum, space) => sum + space.area, 0),
+            basement: basement
         };
     }
 
-    validateDaylightPlane(siteData, designData) {
-        // Simplified check - would need actual building envelope data
-        const compliant = designData.daylightPlaneCompliant !== false;
+    getFloorAreaTreatment(space, farRule, basement) {
+        if (space.level === "basement") {
+            return basement.exemptFromFAR ?
+                { multiplier: 0, reason: `basement excluded: ${basement.reason}` } :
+                { multiplier: 1, reason: `basement counted: ${basement.reason}` };
+        }
+        if (space.use === "garage" && !farRule.garageIncluded) {
+            return { multiplier: 0, reason: "garage excluded" };
+        }
+        if (space.level === "attic" && space.height <= farRule.atticHeightThreshold) {
+            return { multiplier: 0, reason: `attic space ${farRule.atticHeightThreshold} ft or lower excluded` };
+        }
+        if (space.height > farRule.doubleCountHeight) {
+            return { multiplier: 2, reason: `over ${farRule.doubleCountHeight} ft tall, counted twice` };
+        }
+        return { multiplier: 1, reason: space.use === "garage" ? "garage included" : "counted" };
+    }
+
+    /**
+     * A basement is exempt from floor area when it is more than half below
+     * grade (deeper than it is exposed) and its ceiling rises no more than the
+     * allowed exposure above grade
+     */
+    evaluateBasement(designData) {
+        const basementRule = this.rulebook.getParameters("CP021");
+        const farRule = this.rulebook.getParameters("CP003");
+
+        if (!designData.hasBasement) {
+            return { hasBasement: false, qualifiesAsBasement: false, exemptFromFAR: false, reason: "basement depth and exposure not given" };
+        }
+
+        const depth = designData.basementDepth;
+        const exposure = designData.basementExposure;
+        const qualifiesAsBasement = depth > exposure;
+        const withinExposure = exposure <= basementRule.maxExposureAboveGrade;
+        let reason;
+        if (!qualifiesAsBasement) {
+            reason = `${exposure} ft exposed above grade and only ${depth} ft below`;
+        } else if (!withinExposure) {
+            reason = `${exposure} ft exposed above grade, more than ${basementRule.maxExposureAboveGrade} ft`;
+        } else {
+            reason = `${exposure} ft exposed above grade, within ${basementRule.maxExposureAboveGrade} ft`;
+        }
+
+        return {
+            hasBasement: true,
+            area: designData.basementArea,
+            depth: depth,
+            exposure: exposure,
+            qualifiesAsBasement: qualifiesAsBasement,
+            exemptFromFAR: farRule.basementExcluded && qualifiesAsBasement && withinExposure,
+            reason: reason
+        };
+    }
+
+    validateBasement(siteData, designData) {
+        const basement = this.evaluateBasement(designData);
+        const required = this.getLightwellSetbacks();
+        const violations = [];
+
+        (designData.lightwells || []).forEach((lightwell, index) => {
+            const minimum = required[lightwell.propertyLine];
+            if (lightwell.setback < minimum) {
+                violations.push(`Lightwell ${index + 1} is ${lightwell.setback} ft from the ${this.formatSetbackName(lightwell.propertyLine).toLowerCase()} property line (${minimum} ft required)`);
+            }
+        });
+
+        return {
+            checkName: "Basement and Lightwells",
+            ruleId: "CP021",
+            result: violations.length === 0 ? "PASS" : "FAIL",
+            violations: violations,
+            basement: basement,
+            lightwellSetbacks: required,
+            details: [
+                `Basement: ${basement.area} sq ft, ${basement.depth} ft below grade, ${basement.exposure} ft exposed above grade`,
+                basement.exemptFromFAR ? `Excluded from floor area (${basement.reason})` : `Counted toward floor area (${basement.reason})`,
+                ...(designData.lightwells || []).map((lightwell, index) =>
+                    `Lightwell ${index + 1}: ${lightwell.setback} ft from the ${this.formatSetbackName(lightwell.propertyLine).toLowerCase()} property line, ${required[lightwell.propertyLine]} ft required`)
+            ],
+            message: violations.length === 0 ?
+                `All lightwells clear of setbacks; basement ${basement.exemptFromFAR ? "excluded from" : "counted toward"} floor area` :
+                violations.join("; ")
+        };
+    }
+
+    /**
+     * Closest a lightwell may come to each property line: it may reach into
+     * the required setback by the allowed encroachment, but no closer than
+     * the lightwell minimum
+     */
+    getLightwellSetbacks() {
+        const setbacks = this.rulebook.getParameters("CP004");
+        const basementRule = this.rulebook.getParameters("CP021");
+        const required = {};
+
+        ["front", "interiorSide", "streetSide", "rear"].forEach(line => {
+            required[line] = Math.max(setbacks[line] - basementRule.lightwellMaxEncroachment, basementRule.lightwellMinSetback);
+        });
+        return required;
+    }
+
+    formatSpaceName(space) {
+        return `${this.formatSpaceLevel(space.level)} ${space.use}`;
+    }
+
+    formatSpaceLevel(level) {
+        return {
+            basement: "Basement",
+            first: "First floor",
+            second: "Second floor",
+            third: "Third floor",
+            attic: "Attic"
+        }[level] || level;
+    }
+
+    validateDaylightPlane(siteData, designData, storyCheck = null) {
+        const daylightRule = this.rulebook.getParameters("CP005");
+        const sections = designData.daylightProfiles || [];
+        // A story counted as two rises as one wall, so its plate is checked at the setback even without sections
+        const tallWalls = storyCheck && storyCheck.profile ?
+            this.createTallStoryProfiles(siteData, designData, storyCheck.profile, daylightRule) : [];
+        const propertyLines = this.analyzeDaylightProfiles(siteData, [...sections, ...tallWalls], daylightRule);
+        const intrusions = propertyLines.filter(line => line.maxIntrusion > 0);
+
+        if (sections.length === 0 && intrusions.length === 0) {
+            // The floor profile's top plate, set at the declared setbacks, flags
+            // walls that would need a section to show they step back
+            const plateChecks = storyCheck && storyCheck.profile ?
+                this.checkPlateAgainstDaylightPlane(siteData, designData, storyCheck.profile.topPlate, daylightRule) : [];
+            const exceeded = plateChecks.filter(check => check.exceeds);
+
+            return {
+                checkName: "Daylight Plane Compliance",
+                ruleId: "CP005",
+                result: "N/A",
+                propertyLines: [],
+                plateChecks: plateChecks,
+                details: plateChecks.map(check =>
+                    `${check.label}: top plate ${check.plateHeight} ft ${check.exceeds ? "above" : "within"} the ${check.allowedHeight} ft daylight plane at the ${check.setback} ft setback`),
+                message: exceeded.length > 0 ?
+                    `No building section profiles provided - daylight plane not verified; the ${storyCheck.profile.topPlate} ft top plate is above ` +
+                    `the daylight plane at the ${exceeded.map(check => check.label.toLowerCase()).join(", ")} setback unless the wall steps back` :
+                    "No building section profiles provided - daylight plane not verified"
+            };
+        }
 
         return {
             checkName: "Daylight Plane Compliance",
             ruleId: "CP005",
-            result: compliant ? "PASS" : "FAIL",
-            message: compliant ?
-                "Building envelope complies with 45-degree daylight plane" :
-                "Building mass violates 45-degree daylight plane from property lines"
+            result: intrusions.length === 0 ? "PASS" : "FAIL",
+            angle: daylightRule.angle,
+            startHeight: daylightRule.startHeight,
+            propertyLines: propertyLines,
+            intrusions: intrusions,
+            message: intrusions.length === 0 ?
+                `Building envelope complies with ${daylightRule.angle}-degree daylight plane (${propertyLines.length} property lines checked)` :
+                intrusions.map(line => this.describeDaylightIntrusion(line)).join("; ")
         };
     }
 
+    compareDeclaredSetbacks(declared, measured) {
+        const tolerance = ValidationEngine.SETBACK_TOLERANCE;
+
+        return Object.keys(measured)
+            .filter(edge => typeof declared[edge] === "number" && declared[edge] > 0)
+            .filter(edge => Math.abs(declared[edge] - measured[edge]) > tolerance)
+            .map(edge => ({
+                setback: edge,
+                declared: declared[edge],
+                measured: measured[edge],
+                message: `${this.formatSetbackName(edge)} setback declared as ${declared[edge]} ft but measures ${measured[edge]} ft from plan geometry`
+            }));
+    }
+
+    formatChecklistValue(value) {
+        if (value === null || value === undefined) return "none";
+        return Array.isArray(value) ? value.join(", ").replace(/_/g, " ") : String(value);
+    }
+
+    formatSetbackName(edge) {
+        return {
+            front: "Front",
+            interiorSide: "Interior side",
+            streetSide: "Street side",
+            rear: "Rear"
+        }[edge] || edge;
+    }
+
     validateArchitecturalFeatures(designData) {
+        const featureRule = this.rulebook.getParameters("CP010");
         const violations = [];
 
-        if (designData.porchArea && designData.porchArea > 200) {
-            violations.push(`Porch area exceeds 200 sq ft (${designData.porchArea} sq ft)`);
+        if (designData.porchArea && designData.porchArea > featureRule.maxPorchArea) {
+            violations.push(`Porch area exceeds ${featureRule.maxPorchArea} sq ft (${designData.porchArea} sq ft)`);
         }
 
-        if (designData.entryProjection && designData.entryProjection > 6) {
-            violations.push(`Entry projection exceeds 6 ft (${designData.entryProjection} ft)`);
+        if (designData.entryProjection && designData.entryProjection > featureRule.maxEntryProjection) {
+            violations.push(`Entry projection exceeds ${featureRule.maxEntryProjection} ft (${designData.entryProjection} ft)`);
         }
 
-        if (designData.bayWindowProjection && designData.bayWindowProjection > 3) {
-            violations.push(`Bay window projection exceeds 3 ft (${designData.bayWindowProjection} ft)`);
+        if (designData.bayWindowProjection && designData.bayWindowProjection > featureRule.maxBayWindowProjection) {
+            violations.push(`Bay window projection exceeds ${featureRule.maxBayWindowProjection} ft (${designData.bayWindowProjection} ft)`);
+        }
+
+        if (designData.bayWindowWidth && designData.bayWindowWidth > featureRule.maxBayWindowWidth) {
+            violations.push(`Bay window width exceeds ${featureRule.maxBayWindowWidth} ft (${designData.bayWindowWidth} ft)`);
         }
 
         return {
             checkName: "Architectural Feature Compliance",
+            ruleId: "CP010",
             result: violations.length === 0 ? "PASS" : "FAIL",
             violations: violations,
             message: violations.length === 0 ?
@@ -801,33 +1293,131 @@ class ValidationEngine {
     }
 
     validateLotCoverage(siteData, designData) {
-        const maxCoverageBase = siteData.lotSize * 0.35;
-        const additionalAllowance = siteData.lotSize * 0.05;
-        const totalMaxCoverage = maxCoverageBase + additionalAllowance;
-
-        const isValid = designData.totalCoverage <= totalMaxCoverage;
+        const coverage = this.calculateLotCoverage(siteData, designData);
+        const isValid = coverage.buildingCoverage <= coverage.buildingLimit;
+        const accessoryNote = coverage.accessoryCoverage > 0 ? ` including ${coverage.accessoryCoverage} sq ft of accessory structures` : "";
+        const limitNote = coverage.itemized ? ` (${coverage.basePercent}% base)` : "";
 
         return {
             checkName: "Lot Coverage Validation",
             ruleId: "CP013",
             result: isValid ? "PASS" : "FAIL",
-            maxAllowed: totalMaxCoverage,
-            actual: designData.totalCoverage,
+            maxAllowed: coverage.buildingLimit,
+            actual: coverage.buildingCoverage,
             breakdown: {
-                baseCoverage: maxCoverageBase,
-                additionalAllowance: additionalAllowance,
-                totalMax: totalMaxCoverage
+                baseCoverage: coverage.baseAllowed,
+                additionalAllowance: coverage.additionalAllowed,
+                totalMax: coverage.totalAllowed,
+                buildingCoverage: coverage.buildingCoverage,
+                accessoryCoverage: coverage.accessoryCoverage,
+                featureCoverage: coverage.featureCoverage
             },
+            coverage: coverage,
+            details: coverage.itemized ? [
+                ...coverage.items.map(item => `${item.label}: ${item.counted} sq ft (${item.reason})`),
+                `Buildings: ${coverage.buildingCoverage} sq ft of the ${coverage.baseAllowed} sq ft ${coverage.basePercent}% base`,
+                `Covered features: ${coverage.featureCoverage} sq ft, ${coverage.featuresInBase} sq ft within the base and ` +
+                    `${coverage.usedAllowance} sq ft of the ${coverage.additionalAllowed} sq ft ${coverage.additionalPercent}% allowance`
+            ] : [],
             message: isValid ?
-                `Lot coverage within limits (${designData.totalCoverage} sq ft ≤ ${totalMaxCoverage} sq ft)` :
-                `Lot coverage exceeds maximum (${designData.totalCoverage} sq ft > ${totalMaxCoverage} sq ft)`
+                `Lot coverage within limits (${coverage.buildingCoverage} sq ft${accessoryNote} ≤ ${coverage.buildingLimit} sq ft${limitNote})` :
+                `Lot coverage exceeds maximum (${coverage.buildingCoverage} sq ft${accessoryNote} > ${coverage.buildingLimit} sq ft${limitNote})`
         };
     }
 
+    /**
+     * Lot coverage from the design's itemized list. Buildings (main house,
+     * garage, other buildings and accessory structures) must fit within the
+     * base percentage; covered porches, patios and eaves beyond the exempt
+     * projection fill what is left of the base and then the additional
+     * allowance. Without an itemized list the declared main building coverage
+     * (which excludes accessory structures) plus the accessory footprints may
+     * take the whole allowance, since features cannot be told apart from
+     * buildings.
+     */
+    calculateLotCoverage(siteData, designData) {
+        const coverageRule = this.rulebook.getParameters("CP013");
+        const baseAllowed = siteData.lotSize * coverageRule.baseCoveragePercent / 100;
+        const additionalAllowed = siteData.lotSize * coverageRule.additionalAllowancePercent / 100;
+        const totalAllowed = baseAllowed + additionalAllowed;
+        const accessoryCoverage = this.calculateAccessoryCoverage(designData);
+        const listed = designData.coverageItems || [];
+
+        let items = [];
+        let buildingCoverage;
+        let featureCoverage;
+        if (listed.length > 0) {
+            items = listed.map(item => this.getCoverageItemTreatment(item, coverageRule));
+            (designData.accessoryStructures || []).forEach((structure, index) => {
+                if (accessoryCoverage > 0 && structure.footprint) {
+                    items.push({ type: "accessory", label: `Accessory structure ${index + 1}`, area: structure.footprint, counted: structure.footprint, bucket: "building", reason: "building" });
+                }
+            });
+            buildingCoverage = items.filter(item => item.bucket === "building").reduce((sum, item) => sum + item.counted, 0);
+            featureCoverage = items.filter(item => item.bucket === "feature").reduce((sum, item) => sum + item.counted, 0);
+        } else {
+            buildingCoverage = designData.totalCoverage + accessoryCoverage;
+            featureCoverage = designData.totalCoverageWithFeatures !== undefined ?
+                Math.max(designData.totalCoverageWithFeatures - designData.totalCoverage, 0) : 0;
+        }
+
+        const total = buildingCoverage + featureCoverage;
+        const usedAllowance = Math.max(total - baseAllowed, 0);
+
+        return {
+            itemized: listed.length > 0,
+            items: items,
+            basePercent: coverageRule.baseCoveragePercent,
+            additionalPercent: coverageRule.additionalAllowancePercent,
+            baseAllowed: baseAllowed,
+            additionalAllowed: additionalAllowed,
+            totalAllowed: totalAllowed,
+            buildingLimit: listed.length > 0 ? baseAllowed : totalAllowed,
+            accessoryCoverage: accessoryCoverage,
+            buildingCoverage: buildingCoverage,
+            featureCoverage: featureCoverage,
+            featuresInBase: Math.max(featureCoverage - usedAllowance, 0),
+            usedAllowance: usedAllowance,
+            total: total,
+            hasFeatureTotal: listed.length > 0 || designData.totalCoverageWithFeatures !== undefined
+        };
+    }
+
+    getCoverageItemTreatment(item, coverageRule) {
+        const label = this.formatCoverageItemType(item.type);
+
+        if (item.type === "eave") {
+            // Only the part of the overhang beyond the exempt projection counts
+            const beyond = Math.max((item.projection || 0) - coverageRule.exemptEaveProjection, 0);
+            const counted = item.projection > 0 ? Math.round(item.area * beyond / item.projection * 100) / 100 : 0;
+            return {
+                ...item, label, counted, bucket: "feature",
+                reason: beyond > 0 ?
+                    `${item.projection} ft projection, ${beyond} ft beyond the ${coverageRule.exemptEaveProjection} ft exemption` :
+                    `within the ${coverageRule.exemptEaveProjection} ft exemption`
+            };
+        }
+
+        const isFeature = ["covered_porch", "covered_patio"].includes(item.type);
+        return { ...item, label, counted: item.area, bucket: isFeature ? "feature" : "building", reason: isFeature ? "covered feature" : "building" };
+    }
+
+    formatCoverageItemType(type) {
+        return {
+            main_house: "Main house",
+            garage: "Garage",
+            other_building: "Other building",
+            covered_porch: "Covered porch",
+            covered_patio: "Covered patio",
+            eave: "Eaves"
+        }[type] || type;
+    }
+
     validateParkingSpaceCount(designData) {
-        let required = 2; // Main dwelling
+        const parkingRule = this.rulebook.getParameters("CP006");
+        let required = parkingRule.mainDwelling.total;
         if (designData.hasSecondUnit) {
-            required += 2;
+            required += parkingRule.secondUnit.total;
         }
 
         const isValid = designData.parkingSpaces >= required;
@@ -845,15 +1435,17 @@ class ValidationEngine {
     }
 
     validateCoveredParking(designData) {
-        let required = 1; // Main dwelling
+        const parkingRule = this.rulebook.getParameters("CP006");
+        let required = parkingRule.mainDwelling.covered;
         if (designData.hasSecondUnit) {
-            required += 1;
+            required += parkingRule.secondUnit.covered;
         }
 
         const isValid = designData.coveredParkingSpaces >= required;
 
         return {
             checkName: "Covered Parking Validation",
+            ruleId: "CP006",
             result: isValid ? "PASS" : "FAIL",
             required: required,
             provided: designData.coveredParkingSpaces,
@@ -864,18 +1456,20 @@ class ValidationEngine {
     }
 
     validateDrivewayDimensions(designData) {
+        const drivewayRule = this.rulebook.getParameters("CP007");
         const violations = [];
 
-        if (designData.drivewaySurfaceWidth < 8) {
-            violations.push(`Driveway surface width insufficient (${designData.drivewaySurfaceWidth} ft < 8 ft required)`);
+        if (designData.drivewaySurfaceWidth < drivewayRule.minSurfaceWidth) {
+            violations.push(`Driveway surface width insufficient (${designData.drivewaySurfaceWidth} ft < ${drivewayRule.minSurfaceWidth} ft required)`);
         }
 
-        if (designData.drivewayClearanceWidth < 10) {
-            violations.push(`Driveway clearance width insufficient (${designData.drivewayClearanceWidth} ft < 10 ft required)`);
+        if (designData.drivewayClearanceWidth < drivewayRule.minClearanceWidth) {
+            violations.push(`Driveway clearance width insufficient (${designData.drivewayClearanceWidth} ft < ${drivewayRule.minClearanceWidth} ft required)`);
         }
 
         return {
             checkName: "Driveway Dimensions",
+            ruleId: "CP007",
             result: violations.length === 0 ? "PASS" : "FAIL",
             violations: violations,
             message: violations.length === 0 ?
@@ -893,27 +1487,29 @@ class ValidationEngine {
             };
         }
 
+        const garageRule = this.rulebook.getParameters("CP014");
+
         if (siteData.isCornerLot) {
-            const frontOk = designData.garageFrontSetback >= 75;
-            const streetSideOk = designData.garageStreetSideSetback >= 20;
+            const frontOk = designData.garageFrontSetback >= garageRule.cornerLotFrontSetback;
+            const streetSideOk = designData.garageStreetSideSetback >= garageRule.cornerLotStreetSideSetback;
 
             if (!frontOk || !streetSideOk) {
                 return {
                     checkName: "Garage Placement (Corner Lot)",
                     ruleId: "CP014",
                     result: "FAIL",
-                    message: `Corner lot garage setback violations: Front: ${designData.garageFrontSetback} ft (≥75 required), Street side: ${designData.garageStreetSideSetback} ft (≥20 required)`
+                    message: `Corner lot garage setback violations: Front: ${designData.garageFrontSetback} ft (≥${garageRule.cornerLotFrontSetback} required), Street side: ${designData.garageStreetSideSetback} ft (≥${garageRule.cornerLotStreetSideSetback} required)`
                 };
             }
         } else {
-            const frontOk = designData.garageFrontSetback >= 20;
+            const frontOk = designData.garageFrontSetback >= garageRule.frontSetback;
 
             if (!frontOk) {
                 return {
                     checkName: "Garage Placement",
                     ruleId: "CP014",
                     result: "FAIL",
-                    message: `Garage front setback insufficient (${designData.garageFrontSetback} ft < 20 ft required)`
+                    message: `Garage front setback insufficient (${designData.garageFrontSetback} ft < ${garageRule.frontSetback} ft required)`
                 };
             }
         }
@@ -926,25 +1522,28 @@ class ValidationEngine {
     }
 
     validateVehicleManeuverability(designData) {
-        const backingOk = designData.backingDistance >= 18;
+        const minBackingDistance = this.rulebook.getParameters("CP007").minBackingDistance;
+        const backingOk = designData.backingDistance >= minBackingDistance;
 
         return {
             checkName: "Vehicle Maneuverability",
+            ruleId: "CP007",
             result: backingOk ? "PASS" : "FAIL",
-            required: 18,
+            required: minBackingDistance,
             actual: designData.backingDistance,
             message: backingOk ?
                 "Adequate backing distance provided" :
-                `Insufficient backing distance (${designData.backingDistance} ft < 18 ft required)`
+                `Insufficient backing distance (${designData.backingDistance} ft < ${minBackingDistance} ft required)`
         };
     }
 
     validateDrivewayMaterials(designData) {
-        const approvedMaterials = ["concrete", "asphalt", "approved_pavers"];
+        const approvedMaterials = this.rulebook.getParameters("CP007").approvedMaterials;
         const isValid = approvedMaterials.includes(designData.drivewayMaterial);
 
         return {
             checkName: "Driveway Materials",
+            ruleId: "CP007",
             result: isValid ? "PASS" : "FAIL",
             approved: approvedMaterials,
             specified: designData.drivewayMaterial,
@@ -974,7 +1573,8 @@ class ValidationEngine {
     }
 
     validateSecondUnitSize(designData) {
-        const maxSize = Math.min(640, designData.mainHouseArea * 0.5);
+        const sizeRule = this.rulebook.getParameters("CP017");
+        const maxSize = Math.min(sizeRule.maxSize, designData.mainHouseArea * sizeRule.maxPercentOfMainHouse / 100);
         const isValid = designData.secondUnitArea <= maxSize;
 
         return {
@@ -990,33 +1590,70 @@ class ValidationEngine {
     }
 
     validateAccessoryStructures(designData) {
+        const accessoryRule = this.rulebook.getParameters("CP011");
         const violations = [];
+        const missing = [];
 
         designData.accessoryStructures.forEach((structure, index) => {
-            if (structure.height > 15) {
-                violations.push(`Structure ${index + 1}: Height exceeds 15 ft (${structure.height} ft)`);
+            const name = `Structure ${index + 1}${structure.type ? ` (${structure.type.replace(/_/g, " ")})` : ""}`;
+
+            if (structure.height > accessoryRule.maxHeight) {
+                violations.push(`${name}: Height exceeds ${accessoryRule.maxHeight} ft (${structure.height} ft)`);
             }
 
-            if (structure.setback < 5) {
-                violations.push(`Structure ${index + 1}: Setback less than 5 ft (${structure.setback} ft)`);
+            if (structure.sideSetback < accessoryRule.minSetback) {
+                violations.push(`${name}: Side setback less than ${accessoryRule.minSetback} ft (${structure.sideSetback} ft)`);
+            }
+
+            if (structure.rearSetback < accessoryRule.minSetback) {
+                violations.push(`${name}: Rear setback less than ${accessoryRule.minSetback} ft (${structure.rearSetback} ft)`);
+            }
+
+            if (structure.separation < accessoryRule.minSeparation) {
+                violations.push(`${name}: Separation from main house less than ${accessoryRule.minSeparation} ft (${structure.separation} ft)`);
+            }
+
+            // Structures recorded before separation and footprint were collected
+            const unrecorded = [
+                structure.separation === undefined ? "separation from main house" : null,
+                structure.footprint === undefined ? "footprint" : null
+            ].filter(Boolean);
+            if (unrecorded.length > 0) {
+                missing.push(`${name}: ${unrecorded.join(" and ")} not given`);
             }
         });
 
         return {
             checkName: "Accessory Structures",
+            ruleId: "CP011",
             result: violations.length === 0 ? "PASS" : "FAIL",
             violations: violations,
+            missing: missing,
+            coverage: this.calculateAccessoryCoverage(designData),
             message: violations.length === 0 ?
                 "All accessory structures comply with requirements" :
                 violations.join("; ")
         };
     }
 
+    /**
+     * Footprint of the listed accessory structures that counts toward lot
+     * coverage on top of the declared building coverage
+     */
+    calculateAccessoryCoverage(designData) {
+        if (!this.rulebook.getParameters("CP011").includedInCoverage) {
+            return 0;
+        }
+        return (designData.accessoryStructures || [])
+            .reduce((sum, structure) => sum + (structure.footprint || 0), 0);
+    }
+
     validatePoolSafety(designData) {
+        const minSetback = this.rulebook.getParameters("CP020").minSetback;
         const violations = [];
 
-        if (designData.poolSetback < 5) {
-            violations.push(`Pool setback insufficient (${designData.poolSetback} ft < 5 ft required)`);
+        if (designData.poolSetback < minSetback) {
+            violations.push(`Pool setback insufficient (${designData.poolSetback} ft < ${minSetback} ft required)`);
         }
 
         if (!designData.poolSafetyBarriers) {
@@ -1035,27 +1672,53 @@ class ValidationEngine {
     }
 
     validateTotalCoverageWithFeatures(siteData, designData) {
-        // This would calculate total coverage including all structures
-        const isValid = designData.totalCoverageWithFeatures <= (siteData.lotSize * 0.40); // 35% + 5% allowance
+        const coverage = this.calculateLotCoverage(siteData, designData);
+        const isValid = coverage.total <= coverage.totalAllowed;
 
         return {
             checkName: "Total Coverage With Features",
+            ruleId: "CP013",
             result: isValid ? "PASS" : "FAIL",
+            maxAllowed: coverage.totalAllowed,
+            actual: coverage.total,
+            details: [
+                `${coverage.basePercent}% base: ${Math.min(coverage.total, coverage.baseAllowed)} of ${coverage.baseAllowed} sq ft used`,
+                `${coverage.additionalPercent}% allowance: ${coverage.usedAllowance} of ${coverage.additionalAllowed} sq ft used`
+            ],
             message: isValid ?
-                "Total coverage including all features within limits" :
-                "Total coverage including all features exceeds maximum allowed"
+                `Total coverage including all features within limits (${coverage.total} sq ft ≤ ${coverage.totalAllowed} sq ft)` :
+                `Total coverage including all features exceeds maximum allowed (${coverage.total} sq ft > ${coverage.totalAllowed} sq ft)`
         };
     }
 
     performComprehensiveValidation(siteData, designData) {
-        // This would run all 127 checklist items
+        const isSubStandard = this.validateSubStandardStatus(siteData).isSubStandard;
+        const stories = this.validateStoryEquivalency(designData, isSubStandard);
+        const checklist = this.createComplianceChecklist().evaluate(siteData, designData, {
+            isSubStandard: isSubStandard,
+            buildingHeight: (this.calculateBuildingHeight(designData) || { height: designData.buildingHeight }).height,
+            stories: stories,
+            setbacks: this.validateSetbacks(siteData, designData),
+            daylightLines: this.validateDaylightPlane(siteData, designData, stories).propertyLines,
+            geometry: this.analyzeSiteGeometry(siteData, designData),
+            lotCoverage: this.calculateLotCoverage(siteData, designData),
+            floorArea: this.calculateFloorArea(designData).countable
+        });
+        const failedItems = checklist.items.filter(item => item.result === "FAIL");
+
         return {
             checkName: "Comprehensive Rule Validation",
-            result: "PASS",
-            totalChecks: 127,
-            passed: 127,
-            failed: 0,
-            message: "All 127 checklist items validated"
+            result: checklist.failed === 0 ? "PASS" : "FAIL",
+            totalChecks: checklist.totalChecks,
+            passed: checklist.passed,
+            failed: checklist.failed,
+            notApplicable: checklist.notApplicable,
+            byCategory: checklist.byCategory,
+            items: checklist.items,
+            message: checklist.failed === 0 ?
+                `All ${checklist.passed} applicable checklist items passed (${checklist.notApplicable} not applicable)` :
+                `${checklist.failed} of ${checklist.totalChecks - checklist.notApplicable} applicable checklist items failed: ` +
+                failedItems.map(item => item.id).join(", ")
         };
     }
 
@@ -1084,15 +1747,17 @@ class ValidationEngine {
     }
 
     validateProfessionalRequirements(designData) {
-        const requiredStamps = ["Architect", "Structural Engineer"];
+        const requiredStamps = this.rulebook.getParameters("CP018").requiredStamps;
         const missingStamps = requiredStamps.filter(stamp =>
             !designData.professionalStamps || !designData.professionalStamps.includes(stamp)
         );
 
         return {
             checkName: "Professional Requirements",
+            ruleId: "CP018",
             result: missingStamps.length === 0 ? "PASS" : "FAIL",
             required: requiredStamps,
+            actual: designData.professionalStamps || [],
             missing: missingStamps,
             message: missingStamps.length === 0 ?
                 "All required professional stamps present" :
@@ -1101,15 +1766,17 @@ class ValidationEngine {
     }
 
     validateDocumentationCompleteness(designData) {
-        const requiredDocs = ["site_plan", "floor_plans", "elevations", "structural_calcs"];
+        const requiredDocs = this.rulebook.getParameters("CP019").requiredDocuments;
         const missingDocs = requiredDocs.filter(doc =>
             !designData.submittedDocuments || !designData.submittedDocuments.includes(doc)
         );
 
         return {
             checkName: "Documentation Completeness",
+            ruleId: "CP019",
             result: missingDocs.length === 0 ? "PASS" : "FAIL",
             required: requiredDocs,
+            actual: designData.submittedDocuments || [],
             missing: missingDocs,
             message: missingDocs.length === 0 ?
                 "All required documentation present" :
@@ -1119,31 +1786,158 @@ class ValidationEngine {
 
     // Utility Methods
 
-    calculateBuildableArea(siteData) {
-        return siteData.lotSize - (siteData.creekAreas || 0) - (siteData.easements || 0);
+    createSiteGeometry() {
+        const Geometry = typeof SiteGeometry !== 'undefined' ? SiteGeometry : require('./site_geometry');
+        return new Geometry();
+    }
+
+    createDesignRemediator() {
+        const Remediator = typeof DesignRemediator !== 'undefined' ? DesignRemediator : require('./design_remediation');
+        return new Remediator(this);
     }
 
-    checkEnvironmentalEncroachments(siteData, designData) {
-        const encroachments = [];
+    /**
+     * Exact changes needed for each failing numeric dimension
+     */
+    calculateRemediations(siteData, designData, violations = null) {
+        return this.createDesignRemediator().calculateRemediations(siteData, designData, violations);
+    }
 
-        if (siteData.creekAreas && designData.buildingFootprint) {
-            // Check if building footprint overlaps with creek areas
-            // This would need actual geometric calculations
-            if (designData.encroachesCreek) {
-                encroachments.push("creek channel");
-            }
+    /**
+     * Combined design applying every minimal change, re-validated
+     */
+    proposeMinimalChangeDesign(siteData, designData) {
+        return this.createDesignRemediator().proposeMinimalChangeDesign(siteData, designData);
+    }
+
+    createComplianceChecklist() {
+        const Checklist = typeof ComplianceChecklist !== 'undefined' ? ComplianceChecklist : require('./compliance_checklist');
+        return new Checklist(this.rulebook);
+    }
+
+    analyzeSiteGeometry(siteData, designData) {
+        if (!siteData.lotBoundary && !designData.buildingFootprint) {
+            return null;
         }
+        return this.createSiteGeometry().analyzeSite(siteData, designData);
+    }
 
-        if (siteData.easements && designData.buildingFootprint) {
-            // Check if building footprint overlaps with easements
-            if (designData.encroachesEasement) {
-                encroachments.push("utility easement");
-            }
+    calculateBuildableArea(siteData, geometry = null) {
+        return this.createSiteGeometry().calculateBuildableArea(siteData, geometry);
+    }
+
+    checkEnvironmentalEncroachments(geometry) {
+        if (!geometry) {
+            return [];
         }
 
+        // Overlap of the footprint polygon with each creek setback area and easement
+        const encroachments = geometry.encroachments.map(encroachment =>
+            `${encroachment.label} (${encroachment.area} sq ft)`
+        );
+        if (geometry.footprintWithinLot === false) {
+            encroachments.push("lot boundary (footprint extends outside the lot)");
+        }
         return encroachments;
     }
 
+    /**
+     * Tests each section profile point against the daylight plane rising from
+     * its property line. Profiles are piecewise linear and the plane is a
+     * straight line, so the worst intrusion always falls on a profile point.
+     */
+    analyzeDaylightProfiles(siteData, profiles, daylightRule) {
+        const lines = {};
+
+        profiles.forEach((profile, profileIndex) => {
+            if (!daylightRule.applicableLines.includes(profile.propertyLine)) return;
+            if (profile.propertyLine === "side_street" && !siteData.isCornerLot) return;
+
+            const line = lines[profile.propertyLine] || {
+                propertyLine: profile.propertyLine,
+                pointsChecked: 0,
+                maxIntrusion: 0,
+                location: null
+            };
+
+            (profile.points || []).forEach((point, pointIndex) => {
+                const allowedHeight = this.calculateDaylightPlaneHeight(point.distance, daylightRule);
+                const intrusion = Math.round((point.height - allowedHeight) * 100) / 100;
+                line.pointsChecked++;
+
+                // Track the point closest to (or furthest through) the plane
+                if (line.location === null || intrusion > line.location.intrusion) {
+                    line.maxIntrusion = Math.max(intrusion, 0);
+                    line.location = {
+                        section: profile.label || `Section ${profileIndex + 1}`,
+                        point: point.label || `Point ${pointIndex + 1}`,
+                        distance: point.distance,
+                        height: point.height,
+                        allowedHeight: Math.round(allowedHeight * 100) / 100,
+                        intrusion: intrusion,
+                        fromFloorProfile: Boolean(profile.fromFloorProfile)
+                    };
+                }
+            });
+
+            lines[profile.propertyLine] = line;
+        });
+
+        return Object.values(lines);
+    }
+
+    /**
+     * One-point section profiles for the walls of floors that count as two
+     * stories: the floor's top plate at the declared setback of each line
+     */
+    createTallStoryProfiles(siteData, designData, profile, daylightRule) {
+        return profile.floors
+            .filter(floor => floor.countsAs > 1)
+            .flatMap(floor => this.checkPlateAgainstDaylightPlane(siteData, designData, floor.plateAboveGrade, daylightRule)
+                .map(check => ({
+                    propertyLine: check.propertyLine,
+                    label: `${floor.label} tall story wall`,
+                    fromFloorProfile: true,
+                    points: [{ label: "top plate", distance: check.setback, height: floor.plateAboveGrade }]
+                })));
+    }
+
+    checkPlateAgainstDaylightPlane(siteData, designData, plateHeight, daylightRule) {
+        const setbackFields = {
+            front: ["frontSetback", "Front"],
+            rear: ["rearSetback", "Rear"],
+            side_interior: ["interiorSideSetback", "Interior side"],
+            side_street: ["streetSideSetback", "Street side"]
+        };
+
+        return daylightRule.applicableLines
+            .filter(line => line !== "side_street" || siteData.isCornerLot)
+            .filter(line => typeof designData[setbackFields[line][0]] === "number")
+            .map(line => {
+                const setback = designData[setbackFields[line][0]];
+                const allowedHeight = Math.round(this.calculateDaylightPlaneHeight(setback, daylightRule) * 100) / 100;
+                return {
+                    propertyLine: line,
+                    label: setbackFields[line][1],
+                    setback: setback,
+                    plateHeight: plateHeight,
+                    allowedHeight: allowedHeight,
+                    exceeds: plateHeight > allowedHeight
+                };
+            });
+    }
+
+    calculateDaylightPlaneHeight(distance, daylightRule) {
+        return daylightRule.startHeight + distance * Math.tan(daylightRule.angle * Math.PI / 180);
+    }
+
+    describeDaylightIntrusion(line) {
+        const lineName = line.propertyLine.replace("_", " ");
+        const loc = line.location;
+        return `${lineName} line: ${line.maxIntrusion} ft intrusion at ${loc.section} ${loc.point} ` +
+            `(${loc.height} ft high, ${loc.distance} ft from line; plane allows ${loc.allowedHeight} ft)`;
+    }
+
     collectAllViolations(allPreviousResults, currentResults) {
         const allViolations = [];
 
@@ -1155,36 +1949,51 @@ class ValidationEngine {
         });
 
         // Add current phase violations
-        if (currentResults.violations) {
+        if (currentResults && currentResults.violations) {
             allViolations.push(...currentResults.violations);
         }
 
         return allViolations;
     }
 
-    generateValidationReport(siteData, designData, allResults, finalResults) {
+    /**
+     * Approval status for a set of violations: any absolute stopper rejects the
+     * design, any other violation makes it conditional
+     */
+    determineOverallStatus(violations) {
+        if (violations.some(v => v.type === this.criticalViolationTypes.ABSOLUTE_STOPPER)) {
+            return "REJECTED";
+        } else if (violations.length > 0) {
+            return "CONDITIONAL";
+        }
+        return "APPROVED";
+    }
+
+    /**
+     * Builds the validation report model. The on-screen report, downloads and
+     * CLI output all render from this object. finalResults may be null when
+     * the workflow stopped before Phase 5.
+     */
+    generateValidationReport(siteData, designData, allResults, finalResults = null) {
         const allViolations = this.collectAllViolations(allResults, finalResults);
+        const checklist = finalResults ?
+            finalResults.validationChecks.find(check => check.checkName === "Comprehensive Rule Validation") : null;
         const criticalViolations = allViolations.filter(v => v.type === this.criticalViolationTypes.ABSOLUTE_STOPPER);
         const majorViolations = allViolations.filter(v => v.type === this.criticalViolationTypes.MAJOR_STOPPER);
         const designViolations = allViolations.filter(v => v.type === this.criticalViolationTypes.DESIGN_STOPPER);
         const processViolations = allViolations.filter(v => v.type === this.criticalViolationTypes.PROCESS_STOPPER);
-
-        let overallStatus;
-        if (criticalViolations.length > 0) {
-            overallStatus = "REJECTED";
-        } else if (allViolations.length > 0) {
-            overallStatus = "CONDITIONAL";
-        } else {
-            overallStatus = "APPROVED";
-        }
+        const phaseResults = [allResults.phase1, allResults.phase2, allResults.phase3, allResults.phase4, finalResults];
+        const overallStatus = this.determineOverallStatus(allViolations);
 
         return {
             projectSummary: {
                 address: siteData.address,
+                apn: siteData.apn || null,
                 zone: siteData.zone,
                 lotSize: siteData.lotSize,
                 validationDate: new Date().toISOString()
             },
+            ordinance: this.rulebook.describeEdition(),
             overallStatus: overallStatus,
             violationSummary: {
                 total: allViolations.length,
@@ -1198,19 +2007,72 @@ class ValidationEngine {
                 phase2: allResults.phase2?.status || "not_run",
                 phase3: allResults.phase3?.status || "not_run",
                 phase4: allResults.phase4?.status || "not_run",
-                phase5: finalResults.status
+                phase5: finalResults?.status || "not_run"
             },
+            phases: phaseResults.filter(Boolean).map(phase => this.summarizePhase(phase)),
+            checklistSummary: checklist ? {
+                totalChecks: checklist.totalChecks,
+                passed: checklist.passed,
+                failed: checklist.failed,
+                notApplicable: checklist.notApplicable,
+                byCategory: checklist.byCategory,
+                items: checklist.items
+            } : null,
+            remediations: finalResults ? this.calculateRemediations(siteData, designData, allViolations) : [],
+            minimalChangeDesign: null,
             violations: {
                 critical: criticalViolations,
                 major: majorViolations,
                 design: designViolations,
                 process: processViolations
             },
+            warnings: phaseResults.filter(Boolean).flatMap(phase => phase.warnings || []),
             nextSteps: this.generateNextSteps(overallStatus, allViolations),
             estimatedResolution: this.estimateResolutionTime(allViolations)
         };
     }
 
+    /**
+     * Reduces a phase result to the checks, violations and warnings shown in
+     * reports. Each violation is paired with the check that raised it (same
+     * rule and message), so checks carry a severity and violations carry the
+     * required and actual values.
+     */
+    summarizePhase(phaseResult) {
+        const firstDefined = (...values) => values.find(value => value !== undefined);
+        const raisedBy = (violation, check) => violation.ruleId === check.ruleId && violation.description === check.message;
+
+        const checks = phaseResult.validationChecks.map(check => {
+            const violation = check.result === "FAIL" ? phaseResult.violations.find(v => raisedBy(v, check)) : null;
+            return {
+                checkName: check.checkName,
+                ruleId: check.ruleId || null,
+                result: check.result,
+                severity: violation ? violation.type : null,
+                message: check.message,
+                actual: firstDefined(check.actual, check.provided, check.specified, check.submitted),
+                required: firstDefined(check.required, check.maxAllowed, check.expected, check.threshold),
+                details: check.details || []
+            };
+        });
+
+        return {
+            phase: phaseResult.phase,
+            phaseName: phaseResult.phaseName,
+            status: phaseResult.status,
+            passed: phaseResult.passed,
+            failed: phaseResult.failed,
+            checks: checks,
+            violations: phaseResult.violations.map(violation => {
+                const check = checks.find(check => raisedBy(violation, check));
+                return check ?
+                    { ...violation, checkName: check.checkName, required: check.required, actual: check.actual } :
+                    { ...violation };
+            }),
+            warnings: phaseResult.warnings
+        };
+    }
+
     generateNextSteps(overallStatus, violations) {
         if (overallStatus === "APPROVED") {
             return [
@@ -1250,43 +2112,82 @@ class ValidationEngine {
         }
     }
 
+    getRulebookClass() {
+        return typeof ZoningRulebook !== 'undefined' ? ZoningRulebook : require('./zoning_rulebook');
+    }
+
+    createInputSchema() {
+        const Schema = typeof InputSchema !== 'undefined' ? InputSchema : require('./input_schema');
+        return new Schema(this.rulebook);
+    }
+
+    /**
+     * Checks siteData and designData against the input schemas
+     */
+    validateInputs(siteData, designData) {
+        return this.createInputSchema().validateProject(siteData, designData);
+    }
+
+    /**
+     * Returns an engine bound to the ordinance edition in effect on the given date
+     */
+    forDate(asOf) {
+        return new this.constructor(this.getRulebookClass().forDate(asOf));
+    }
+
     /**
      * Main execution method - runs complete validation workflow
      */
-    executeValidationWorkflow(siteData, designData) {
+    executeValidationWorkflow(siteData, designData, options = {}) {
         const workflow = {
             startTime: new Date(),
             siteData: siteData,
             designData: designData,
+            asOf: options.asOf || null,
+            ordinance: null,
             phases: {},
             overallStatus: "in_progress",
             finalReport: null
         };
 
         try {
+            // Apply the ordinance edition the project is vested under
+            const engine = options.asOf ? this.forDate(options.asOf) : this;
+            workflow.ordinance = engine.rulebook.describeEdition();
+
+            // Reject malformed input before any rule is evaluated
+            const inputCheck = engine.validateInputs(siteData, designData);
+            if (!inputCheck.valid) {
+                workflow.overallStatus = "invalid_input";
+                workflow.inputErrors = inputCheck.errors;
+                workflow.stopReason = "Input does not match the siteData/designData schemas";
+                return workflow;
+            }
+
             // Execute Phase 1
-            const phase1Results = this.executePhase1Validation(siteData, designData);
+            const phase1Results = engine.executePhase1Validation(siteData, designData);
             workflow.phases.phase1 = phase1Results;
 
             if (phase1Results.status === "critical_failure") {
                 workflow.overallStatus = "rejected";
                 workflow.stopReason = "Critical site validation failures";
+                workflow.finalReport = engine.generateValidationReport(siteData, designData, { phase1: phase1Results });
                 return workflow;
             }
 
             // Execute Phase 2
-            const phase2Results = this.executePhase2Validation(siteData, designData, phase1Results);
+            const phase2Results = engine.executePhase2Validation(siteData, designData, phase1Results);
             workflow.phases.phase2 = phase2Results;
 
             // Execute Phase 3
-            const phase3Results = this.executePhase3Validation(siteData, designData, {
+            const phase3Results = engine.executePhase3Validation(siteData, designData, {
                 phase1: phase1Results,
                 phase2: phase2Results
             });
             workflow.phases.phase3 = phase3Results;
 
             // Execute Phase 4
-            const phase4Results = this.executePhase4Validation(siteData, designData, {
+            const phase4Results = engine.executePhase4Validation(siteData, designData, {
                 phase1: phase1Results,
                 phase2: phase2Results,
                 phase3: phase3Results
@@ -1294,7 +2195,7 @@ class ValidationEngine {
             workflow.phases.phase4 = phase4Results;
 
             // Execute Phase 5
-            const phase5Results = this.executePhase5Validation(siteData, designData, {
+            const phase5Results = engine.executePhase5Validation(siteData, designData, {
                 phase1: phase1Results,
                 phase2: phase2Results,
                 phase3: phase3Results,
@@ -1304,6 +2205,12 @@ class ValidationEngine {
 
             workflow.overallStatus = phase5Results.status;
             workflow.finalReport = phase5Results.finalReport;
+
+            if (options.remediate !== false && workflow.overallStatus !== "approved") {
+                workflow.minimalChangeDesign = engine.proposeMinimalChangeDesign(siteData, designData);
+                workflow.finalReport.minimalChangeDesign = workflow.minimalChangeDesign;
+            }
+
             workflow.endTime = new Date();
 
         } catch (error) {
@@ -1315,6 +2222,9 @@ class ValidationEngine {
     }
 }
 
+// Declared and measured setbacks may differ by this much (ft) before being flagged
+ValidationEngine.SETBACK_TOLERANCE = 0.5;
+
 // Export for use in webapp
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ValidationEngine;
@@ -0,0 +1,323 @@
+/**
+ * Palo Alto Workspace Bundle
+ * Moves templates and projects between workspaces as versioned JSON files so
+ * teams can share standard lot setups. Older files are migrated to the
+ * current schema on import, and name clashes with existing templates or
+ * projects are resolved by renaming, overwriting or skipping.
+ */
+
+class WorkspaceBundle {
+    constructor(workspace) {
+        this.workspace = workspace;
+    }
+
+    // Export
+
+    async exportTemplate(id) {
+        const template = await this.workspace.getTemplate(id);
+        if (!template) {
+            throw new Error(`Template not found: ${id}`);
+        }
+        return WorkspaceBundle.createBundle({ templates: [template] });
+    }
+
+    async exportTemplates() {
+        return WorkspaceBundle.createBundle({ templates: await this.workspace.listTemplates() });
+    }
+
+    async exportProject(id) {
+        const project = await this.workspace.requireProject(id);
+        return WorkspaceBundle.createBundle({ projects: [project] });
+    }
+
+    async exportWorkspace() {
+        return WorkspaceBundle.createBundle({
+            templates: await this.workspace.listTemplates(),
+            projects: await this.workspace.listProjects({ includeArchived: true })
+        });
+    }
+
+    // Import
+
+    /**
+     * Names in the bundle that already exist in the workspace, so the caller
+     * can choose a conflict strategy before importing
+     */
+    async findConflicts(data) {
+        const bundle = WorkspaceBundle.migrate(data);
+        const templateNames = new Set((await this.workspace.listTemplates()).map(template => template.name));
+        const projectNames = new Set((await this.workspace.listProjects({ includeArchived: true })).map(project => project.name));
+
+        return {
+            templates: bundle.templates.filter(template => templateNames.has(template.name)).map(template => template.name),
+            projects: bundle.projects.filter(project => projectNames.has(project.name)).map(project => project.name)
+        };
+    }
+
+    /**
+     * Imports a bundle (parsed or as JSON text). onConflict decides what
+     * happens when a template or project of the same name exists:
+     * "rename" keeps both, "overwrite" replaces the existing record and
+     * "skip" keeps the existing record.
+     */
+    async importBundle(data, options = {}) {
+        const onConflict = options.onConflict || "rename";
+        if (!WorkspaceBundle.CONFLICT_STRATEGIES.includes(onConflict)) {
+            throw new Error(`Unknown conflict strategy: ${onConflict}. Use ${WorkspaceBundle.CONFLICT_STRATEGIES.join(", ")}`);
+        }
+
+        const parsed = typeof data === "string" ? WorkspaceBundle.parse(data) : data;
+        const bundle = WorkspaceBundle.migrate(parsed);
+        const summary = {
+            fromVersion: WorkspaceBundle.detectVersion(parsed),
+            templates: WorkspaceBundle.emptyCounts(),
+            projects: WorkspaceBundle.emptyCounts()
+        };
+
+        const templates = await this.workspace.listTemplates();
+        for (const template of bundle.templates) {
+            const record = this.resolveConflict(template, templates, onConflict, summary.templates);
+            if (!record) continue;
+
+            await this.workspace.saveTemplate(record);
+            templates.push(record);
+        }
+
+        const projects = await this.workspace.listProjects({ includeArchived: true });
+        for (const project of bundle.projects) {
+            const record = this.resolveConflict(project, projects, onConflict, summary.projects);
+            if (!record) continue;
+
+            await this.workspace.saveProject(record);
+            projects.push(record);
+        }
+
+        return summary;
+    }
+
+    /**
+     * The record to store for an incoming template or project, or null when
+     * it is skipped. Imported records get fresh ids unless they overwrite.
+     */
+    resolveConflict(incoming, existingRecords, onConflict, counts) {
+        const existing = existingRecords.find(record => record.name === incoming.name);
+        const prefix = incoming.designRevisions ? "project" : "template";
+        const generateId = this.workspace.constructor.generateId;
+
+        if (!existing) {
+            counts.imported++;
+            return { ...incoming, id: generateId(prefix) };
+        }
+
+        if (onConflict === "skip") {
+            counts.skipped++;
+            return null;
+        }
+
+        if (onConflict === "overwrite") {
+            counts.overwritten++;
+            const index = existingRecords.indexOf(existing);
+            existingRecords.splice(index, 1);
+            return { ...incoming, id: existing.id };
+        }
+
+        counts.renamed++;
+        return {
+            ...incoming,
+            id: generateId(prefix),
+            name: WorkspaceBundle.uniqueName(incoming.name, existingRecords.map(record => record.name))
+        };
+    }
+
+    // Schema
+
+    static createBundle({ templates = [], projects = [] }) {
+        return {
+            format: WorkspaceBundle.FORMAT,
+            version: WorkspaceBundle.VERSION,
+            exportedAt: new Date().toISOString(),
+            templates: templates,
+            projects: projects
+        };
+    }
+
+    static toJson(bundle) {
+        return JSON.stringify(bundle, null, 2);
+    }
+
+    static parse(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a valid JSON file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Version 0 is what earlier releases kept in localStorage: a bare
+     * template, a list of templates, or the run-history map keyed by site
+     */
+    static detectVersion(data) {
+        if (data && data.format === WorkspaceBundle.FORMAT) {
+            return data.version;
+        }
+        if (Array.isArray(data) || (data && typeof data === "object" && (data.data || Object.values(data).every(entry => entry && Array.isArray(entry.runs))))) {
+            return 0;
+        }
+        throw new Error("Not a Palo Alto template or project file");
+    }
+
+    /**
+     * Upgrades any supported bundle version to the current schema
+     */
+    static migrate(data) {
+        let version = WorkspaceBundle.detectVersion(data);
+        if (typeof version !== "number" || version > WorkspaceBundle.VERSION) {
+            throw new Error(`This file was written by a newer version (format version ${version}); this app reads up to version ${WorkspaceBundle.VERSION}`);
+        }
+
+        let bundle = data;
+        while (version < WorkspaceBundle.VERSION) {
+            bundle = WorkspaceBundle.MIGRATIONS[version](bundle);
+            version++;
+        }
+
+        return {
+            ...bundle,
+            templates: (bundle.templates || []).map(WorkspaceBundle.normalizeTemplate),
+            projects: (bundle.projects || []).map(WorkspaceBundle.normalizeProject)
+        };
+    }
+
+    static normalizeTemplate(template) {
+        if (!template.name || !template.data) {
+            throw new Error("Each template needs a name and form data");
+        }
+        return {
+            id: template.id || null,
+            name: template.name,
+            description: template.description || "",
+            mode: template.mode === "validation" ? "validation" : "planning",
+            tags: Array.isArray(template.tags) ? template.tags : [],
+            askOnLoad: Array.isArray(template.askOnLoad) ? template.askOnLoad : [],
+            data: template.data,
+            created: template.created || new Date().toISOString()
+        };
+    }
+
+    static normalizeProject(project) {
+        if (!project.name || !project.siteData) {
+            throw new Error("Each project needs a name and site data");
+        }
+        const now = new Date().toISOString();
+        return {
+            id: project.id || null,
+            name: project.name,
+            siteData: project.siteData,
+            designRevisions: project.designRevisions || [],
+            planningRuns: project.planningRuns || [],
+            validationRuns: project.validationRuns || [],
+            notes: project.notes || [],
+            archived: project.archived || false,
+            createdAt: project.createdAt || now,
+            updatedAt: project.updatedAt || now
+        };
+    }
+
+    /**
+     * Earlier releases recorded one setback per accessory structure, held to
+     * the same minimum on every line; it becomes both the side and the rear
+     * setback. Separation and footprint were not recorded and stay unset.
+     */
+    static upgradeAccessoryStructures(data) {
+        if (!data || !Array.isArray(data.accessoryStructures)) {
+            return data;
+        }
+        return {
+            ...data,
+            accessoryStructures: data.accessoryStructures.map(structure => {
+                if (!structure || structure.setback === undefined) return structure;
+                const { setback, ...rest } = structure;
+                return { type: "other", sideSetback: setback, rearSetback: setback, ...rest };
+            })
+        };
+    }
+
+    static upgradeTemplate(template) {
+        return { ...template, data: WorkspaceBundle.upgradeAccessoryStructures(template.data) };
+    }
+
+    static upgradeProject(project) {
+        return {
+            ...project,
+            designRevisions: (project.designRevisions || []).map(revision => ({
+                ...revision,
+                designData: WorkspaceBundle.upgradeAccessoryStructures(revision.designData)
+            }))
+        };
+    }
+
+    static uniqueName(name, existingNames) {
+        let candidate = name;
+        for (let copy = 2; existingNames.includes(candidate); copy++) {
+            candidate = `${name} (${copy})`;
+        }
+        return candidate;
+    }
+
+    static emptyCounts() {
+        return { imported: 0, renamed: 0, overwritten: 0, skipped: 0 };
+    }
+}
+
+WorkspaceBundle.FORMAT = "palo-alto-workspace";
+WorkspaceBundle.VERSION = 3;
+WorkspaceBundle.CONFLICT_STRATEGIES = ["rename", "overwrite", "skip"];
+
+// Each entry upgrades a bundle from its version to the next
+WorkspaceBundle.MIGRATIONS = {
+    0: legacy => {
+        if (Array.isArray(legacy) || legacy.data) {
+            return { ...WorkspaceBundle.createBundle({ templates: [].concat(legacy) }), version: 1 };
+        }
+
+        // Run history kept one entry of runs per site
+        const bundle = WorkspaceBundle.createBundle({
+            projects: Object.values(legacy).map(history => {
+                const latestRun = history.runs[history.runs.length - 1];
+                return {
+                    name: history.address || history.key,
+                    siteData: latestRun && latestRun.siteData ? latestRun.siteData : { address: history.address, apn: history.apn },
+                    validationRuns: history.runs
+                };
+            })
+        });
+        return { ...bundle, version: 1 };
+    },
+
+    // Version 2 added template tags and ask-on-load fields
+    1: bundle => ({
+        ...bundle,
+        version: 2,
+        templates: (bundle.templates || []).map(template => ({
+            ...template,
+            tags: template.tags || [],
+            askOnLoad: template.askOnLoad || []
+        }))
+    }),
+
+    // Version 3 split the accessory structure setback into side and rear setbacks
+    2: bundle => ({
+        ...bundle,
+        version: 3,
+        templates: (bundle.templates || []).map(WorkspaceBundle.upgradeTemplate),
+        projects: (bundle.projects || []).map(WorkspaceBundle.upgradeProject)
+    })
+};
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkspaceBundle;
+} else if (typeof window !== 'undefined') {
+    window.WorkspaceBundle = WorkspaceBundle;
+}
\ No newline at end of file
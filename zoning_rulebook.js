@@ -0,0 +1,394 @@
+/**
+ * Palo Alto Zoning Rulebook
+ * Declarative R-1 zoning standards shared by the planning and validation engines.
+ * Each ordinance edition carries an effective date range so vested projects can
+ * be checked against the code that applied to them.
+ */
+
+class ZoningRulebook {
+    constructor(data = ZoningRulebook.DEFAULT_DATA) {
+        this.data = data;
+        this.version = data.version;
+        this.edition = data.edition;
+        this.effectiveFrom = data.effectiveFrom || null;
+        this.effectiveTo = data.effectiveTo || null;
+    }
+
+    /**
+     * Returns a rulebook for the ordinance edition in effect on the given date.
+     * When ranges overlap the newest edition wins, so an amendment only needs
+     * an effectiveFrom date to supersede the edition before it.
+     */
+    static forDate(asOf) {
+        const date = ZoningRulebook.normalizeDate(asOf);
+        const edition = ZoningRulebook.EDITIONS.find(candidate =>
+            ZoningRulebook.isDateInRange(date, candidate.effectiveFrom, candidate.effectiveTo)
+        );
+
+        if (!edition) {
+            throw new Error(`No ordinance edition in effect on ${date}`);
+        }
+
+        return new ZoningRulebook(edition);
+    }
+
+    static getEdition(version) {
+        const edition = ZoningRulebook.EDITIONS.find(candidate => candidate.version === version);
+        if (!edition) {
+            throw new Error(`Unknown ordinance edition: ${version}`);
+        }
+        return edition;
+    }
+
+    static getEditions() {
+        return ZoningRulebook.EDITIONS.map(edition => ({
+            version: edition.version,
+            edition: edition.edition,
+            effectiveFrom: edition.effectiveFrom || null,
+            effectiveTo: edition.effectiveTo || null
+        }));
+    }
+
+    /**
+     * Adds a code amendment. An edition with `basedOn` only needs to list the
+     * zones and rule parameters that changed; everything else is inherited.
+     */
+    static registerEdition(edition) {
+        if (ZoningRulebook.EDITIONS.some(existing => existing.version === edition.version)) {
+            throw new Error(`Ordinance edition already registered: ${edition.version}`);
+        }
+
+        const base = edition.basedOn ? ZoningRulebook.getEdition(edition.basedOn) : { zones: {}, rules: {} };
+        const rules = { ...base.rules };
+
+        Object.entries(edition.rules || {}).forEach(([ruleId, rule]) => {
+            const baseRule = base.rules[ruleId] || {};
+            rules[ruleId] = {
+                ...baseRule,
+                ...rule,
+                parameters: { ...(baseRule.parameters || {}), ...(rule.parameters || {}) }
+            };
+        });
+
+        const resolved = {
+            ...edition,
+            zones: { ...base.zones, ...(edition.zones || {}) },
+            rules: rules
+        };
+
+        ZoningRulebook.EDITIONS.push(resolved);
+        ZoningRulebook.EDITIONS.sort((a, b) =>
+            (b.effectiveFrom || "").localeCompare(a.effectiveFrom || "")
+        );
+
+        return resolved;
+    }
+
+    static normalizeDate(value) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid ordinance date: ${value}`);
+        }
+        return date.toISOString().split('T')[0];
+    }
+
+    static isDateInRange(date, effectiveFrom, effectiveTo) {
+        if (effectiveFrom && date < effectiveFrom) return false;
+        if (effectiveTo && date > effectiveTo) return false;
+        return true;
+    }
+
+    isEffectiveOn(asOf) {
+        return ZoningRulebook.isDateInRange(
+            ZoningRulebook.normalizeDate(asOf), this.effectiveFrom, this.effectiveTo
+        );
+    }
+
+    describeEdition() {
+        return {
+            version: this.version,
+            edition: this.edition,
+            effectiveFrom: this.effectiveFrom,
+            effectiveTo: this.effectiveTo
+        };
+    }
+
+    getZoneRequirements(zone) {
+        if (zone === undefined) {
+            return this.data.zones;
+        }
+        return this.data.zones[zone];
+    }
+
+    getZones() {
+        return Object.keys(this.data.zones);
+    }
+
+    getRule(ruleId) {
+        const rule = this.data.rules[ruleId];
+        if (!rule) {
+            throw new Error(`Unknown zoning rule: ${ruleId}`);
+        }
+        return rule;
+    }
+
+    getParameters(ruleId) {
+        return this.getRule(ruleId).parameters;
+    }
+
+    getRules() {
+        return Object.values(this.data.rules);
+    }
+}
+
+ZoningRulebook.DEFAULT_DATA = {
+    version: "1.0.0",
+    edition: "Palo Alto Municipal Code Title 18 - R-1 Single-Family Residential",
+    effectiveFrom: null,
+    effectiveTo: null,
+
+    zones: {
+        "R-1": {
+            minLotSize: 6000,
+            maxLotSize: 9999,
+            subStandardTypical: 4980,
+            subStandardFlag: 5976,
+            secondUnitMinTypical: 8100,
+            secondUnitMinFlag: 9720
+        },
+        "R-1(7000)": {
+            minLotSize: 7000,
+            maxLotSize: 13999,
+            subStandardTypical: 5810,
+            subStandardFlag: 6972,
+            secondUnitMinTypical: 9450,
+            secondUnitMinFlag: 11340
+        },
+        "R-1(8000)": {
+            minLotSize: 8000,
+            maxLotSize: 15999,
+            subStandardTypical: 6640,
+            subStandardFlag: 7968,
+            secondUnitMinTypical: 10800,
+            secondUnitMinFlag: 12960
+        },
+        "R-1(10000)": {
+            minLotSize: 10000,
+            maxLotSize: 19999,
+            subStandardTypical: 8300,
+            subStandardFlag: 9960,
+            secondUnitMinTypical: 13500,
+            secondUnitMinFlag: 16200
+        },
+        "R-1(20000)": {
+            minLotSize: 20000,
+            maxLotSize: 39999,
+            subStandardTypical: 16600,
+            subStandardFlag: 19920,
+            secondUnitMinTypical: 27000,
+            secondUnitMinFlag: 32400
+        }
+    },
+
+    rules: {
+        CP001: {
+            id: "CP001",
+            title: "Minimum Lot Size",
+            category: "Lot Requirements",
+            parameters: {}
+        },
+        CP002: {
+            id: "CP002",
+            title: "Building Height",
+            category: "Building Height",
+            parameters: {
+                maxHeight: 30,
+                subStandardMaxHeight: 17,
+                measureFromLowerGrade: true,
+                maxParapetProjection: 3,
+                maxChimneyProjection: 3
+            }
+        },
+        CP003: {
+            id: "CP003",
+            title: "Floor Area Ratio",
+            category: "Floor Area",
+            parameters: {
+                baseLotArea: 5000,
+                baseRatio: 0.45,
+                excessRatio: 0.30,
+                maxFloorArea: 6000,
+                garageIncluded: true,
+                basementExcluded: true,
+                atticHeightThreshold: 5,
+                doubleCountHeight: 17
+            }
+        },
+        CP004: {
+            id: "CP004",
+            title: "Setbacks",
+            category: "Setbacks",
+            parameters: {
+                front: 20,
+                interiorSide: 5,
+                streetSide: 16,
+                rear: 20
+            }
+        },
+        CP005: {
+            id: "CP005",
+            title: "Daylight Plane",
+            category: "Building Envelope",
+            parameters: {
+                angle: 45,
+                startHeight: 10,
+                applicableLines: ["front", "rear", "side_interior", "side_street"]
+            }
+        },
+        CP006: {
+            id: "CP006",
+            title: "Parking Requirements",
+            category: "Parking",
+            parameters: {
+                mainDwelling: { total: 2, covered: 1 },
+                secondUnit: { total: 2, covered: 1 }
+            }
+        },
+        CP007: {
+            id: "CP007",
+            title: "Driveway and Vehicle Access",
+            category: "Access",
+            parameters: {
+                minSurfaceWidth: 8,
+                minClearanceWidth: 10,
+                minBackingDistance: 18,
+                approvedMaterials: ["concrete", "asphalt", "approved_pavers"]
+            }
+        },
+        CP008: {
+            id: "CP008",
+            title: "Second Dwelling Unit Lot Size",
+            category: "Second Dwelling Unit",
+            parameters: {}
+        },
+        CP009: {
+            id: "CP009",
+            title: "Historic Properties",
+            category: "Historic Properties",
+            parameters: {}
+        },
+        CP010: {
+            id: "CP010",
+            title: "Architectural Features",
+            category: "Architectural Features",
+            parameters: {
+                maxPorchArea: 200,
+                maxEntryProjection: 6,
+                maxBayWindowProjection: 3,
+                maxBayWindowWidth: 12
+            }
+        },
+        CP011: {
+            id: "CP011",
+            title: "Accessory Structures",
+            category: "Accessory Structures",
+            parameters: {
+                maxHeight: 15,
+                minSetback: 5,
+                minSeparation: 5,
+                includedInCoverage: true
+            }
+        },
+        CP012: {
+            id: "CP012",
+            title: "Environmental Exclusions",
+            category: "Environmental",
+            parameters: {}
+        },
+        CP013: {
+            id: "CP013",
+            title: "Lot Coverage",
+            category: "Lot Coverage",
+            parameters: {
+                baseCoveragePercent: 35,
+                additionalAllowancePercent: 5,
+                exemptEaveProjection: 2
+            }
+        },
+        CP014: {
+            id: "CP014",
+            title: "Garage Placement",
+            category: "Garage Placement",
+            parameters: {
+                frontSetback: 20,
+                cornerLotFrontSetback: 75,
+                cornerLotStreetSideSetback: 20
+            }
+        },
+        CP015: {
+            id: "CP015",
+            title: "Story Height Equivalency",
+            category: "Story Height",
+            parameters: {
+                secondFloor: 17,
+                thirdFloor: 26,
+                tallStoryHeight: 17,
+                maxStories: 3,
+                subStandardMaxStories: 1
+            }
+        },
+        CP017: {
+            id: "CP017",
+            title: "Second Unit Size",
+            category: "Second Unit Design",
+            parameters: {
+                maxSize: 640,
+                maxPercentOfMainHouse: 50
+            }
+        },
+        CP018: {
+            id: "CP018",
+            title: "Professional Stamps",
+            category: "Professional Requirements",
+            parameters: {
+                requiredStamps: ["Architect", "Structural Engineer"]
+            }
+        },
+        CP019: {
+            id: "CP019",
+            title: "Documentation Completeness",
+            category: "Documentation",
+            parameters: {
+                requiredDocuments: ["site_plan", "floor_plans", "elevations", "structural_calcs"]
+            }
+        },
+        CP020: {
+            id: "CP020",
+            title: "Pool Safety",
+            category: "Pool Safety",
+            parameters: {
+                minSetback: 5
+            }
+        },
+        CP021: {
+            id: "CP021",
+            title: "Basements",
+            category: "Basements",
+            parameters: {
+                maxExposureAboveGrade: 3,
+                lightwellMaxEncroachment: 4,
+                lightwellMinSetback: 3
+            }
+        }
+    }
+};
+
+// Editions ordered newest first; amendments are added with registerEdition()
+ZoningRulebook.EDITIONS = [ZoningRulebook.DEFAULT_DATA];
+
+// Export for use in webapp
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZoningRulebook;
+} else if (typeof window !== 'undefined') {
+    window.ZoningRulebook = ZoningRulebook;
+}
\ No newline at end of file